@@ -7,6 +7,7 @@ require('dotenv').config();
 
 const processorRoutes = require('./src/routes/processor');
 const memoryRoutes = require('./src/routes/memory');
+const simulationRoutes = require('./src/routes/simulation');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -24,6 +25,7 @@ app.use(express.urlencoded({ extended: true }));
 // API routes
 app.use('/api/processor', processorRoutes);
 app.use('/api/memory', memoryRoutes);
+app.use('/api/simulation', simulationRoutes);
 
 // API overview endpoint
 app.get('/api', (req, res) => {
@@ -55,6 +57,17 @@ app.get('/api', (req, res) => {
         measure: 'POST /api/memory/quantum/measure',
         quantumStats: 'GET /api/memory/quantum/stats',
         quantumGate: 'POST /api/memory/quantum/gate'
+      },
+      simulation: {
+        start: 'POST /api/simulation/start',
+        stop: 'POST /api/simulation/stop',
+        status: 'GET /api/simulation/status',
+        performance: 'GET /api/simulation/performance',
+        algorithms: 'GET /api/simulation/algorithms',
+        pause: 'POST /api/simulation/pause',
+        resume: 'POST /api/simulation/resume',
+        step: 'POST /api/simulation/step',
+        breakpoints: 'GET|POST /api/simulation/breakpoints'
       }
     }
   });
@@ -1,13 +1,27 @@
-const HybridProcessor = require('../models/HybridProcessor');
-
-// Use the same processor instance
-let processor = require('./processorController');
+// Use the same processor instance as the task executor
+const ProcessorController = require('./processorController');
+const ClassicalMemory = require('../models/ClassicalMemory');
+const { singleQubitGate, listSingleQubitGates } = require('../utils/gateLibrary');
+const { createRandom, normalizeSeed } = require('../utils/random');
+const { createTraceReader } = require('../utils/traceFormats');
+
+// ClassicalMemory options that rebuild the processor's memory hierarchy
+const hierarchyOptions = (processor) => ({
+  caches: processor.config.caches,
+  inclusion: processor.classicalMemory.inclusion,
+  memoryLatency: processor.classicalMemory.memoryLatency,
+  dram: processor.config.dram,
+  virtualMemory: processor.config.virtualMemory,
+  cores: processor.classicalMemory.cores.length,
+  coherence: processor.classicalMemory.coherence || undefined,
+  coherenceLatency: processor.classicalMemory.coherenceLatency
+});
 
 class MemoryController {
   // Get memory status
   static async getMemoryStatus(req, res) {
     try {
-      const memoryUsage = processor.processor?.getMemoryUsage() || {
+      const memoryUsage = ProcessorController.getProcessor()?.getMemoryUsage() || {
         quantum: { qubits: 0, activeStates: 0, entanglements: 0, coherenceTime: 0 },
         classical: { totalMemory: 0, usedMemory: 0, cacheHitRate: 0, performance: {} }
       };
@@ -25,8 +39,8 @@ class MemoryController {
   // Get quantum state (single)
   static async getQuantumState(req, res) {
     try {
-      const tempProcessor = new HybridProcessor();
-      const quantumState = tempProcessor.quantumMemory.getQuantumState();
+      const processor = ProcessorController.getProcessor();
+      const quantumState = processor.quantumMemory.getQuantumState();
 
       res.json({
         success: true,
@@ -41,8 +55,8 @@ class MemoryController {
   // Get all quantum states
   static async getAllQuantumStates(req, res) {
     try {
-      const tempProcessor = new HybridProcessor();
-      const allStates = tempProcessor.quantumMemory.getAllStates(); // assuming this method exists
+      const processor = ProcessorController.getProcessor();
+      const allStates = processor.quantumMemory.getAllStates();
 
       res.json({
         success: true,
@@ -57,8 +71,8 @@ class MemoryController {
   // Get quantum stats
   static async getQuantumStats(req, res) {
     try {
-      const tempProcessor = new HybridProcessor();
-      const stats = tempProcessor.quantumMemory.getStats(); // assuming this method exists
+      const processor = ProcessorController.getProcessor();
+      const stats = processor.quantumMemory.getStats();
 
       res.json({
         success: true,
@@ -79,12 +93,12 @@ class MemoryController {
         return res.status(400).json({ success: false, error: 'Operation is required' });
       }
 
-      const tempProcessor = new HybridProcessor();
+      const processor = ProcessorController.getProcessor();
       let result;
 
       switch (operation) {
         case 'CREATE_SUPERPOSITION':
-          result = tempProcessor.quantumMemory.createSuperposition(
+          result = processor.quantumMemory.createSuperposition(
             qubitIndex,
             parameters?.alpha || 0.707,
             parameters?.beta || 0.707
@@ -92,19 +106,23 @@ class MemoryController {
           break;
 
         case 'ENTANGLE_QUBITS':
-          result = tempProcessor.quantumMemory.entangleQubits(
+          result = processor.quantumMemory.entangleQubits(
             parameters.qubit1,
             parameters.qubit2
           );
           break;
 
         case 'MEASURE_QUBIT':
-          result = tempProcessor.quantumMemory.measureQubit(qubitIndex);
+          result = processor.quantumMemory.measureQubit(qubitIndex);
           break;
 
-        case 'APPLY_GATE':
-          result = tempProcessor.quantumMemory.applyGate(qubitIndex, parameters.gate);
+        case 'APPLY_GATE': {
+          const gateError = MemoryController.validateGate(parameters?.gate);
+          if (gateError) return res.status(400).json(gateError);
+
+          result = processor.quantumMemory.applyGate(qubitIndex, parameters.gate);
           break;
+        }
 
         default:
           return res.status(400).json({ success: false, error: 'Unknown quantum operation' });
@@ -130,8 +148,8 @@ class MemoryController {
         return res.status(400).json({ success: false, error: 'qubit1 and qubit2 are required' });
       }
 
-      const tempProcessor = new HybridProcessor();
-      const result = tempProcessor.quantumMemory.entangleQubits(qubit1, qubit2);
+      const processor = ProcessorController.getProcessor();
+      const result = processor.quantumMemory.entangleQubits(qubit1, qubit2);
 
       res.json({
         success: true,
@@ -153,8 +171,8 @@ class MemoryController {
         return res.status(400).json({ success: false, error: 'qubitIndex is required' });
       }
 
-      const tempProcessor = new HybridProcessor();
-      const result = tempProcessor.quantumMemory.measureQubit(qubitIndex);
+      const processor = ProcessorController.getProcessor();
+      const result = processor.quantumMemory.measureQubit(qubitIndex);
 
       res.json({
         success: true,
@@ -176,8 +194,11 @@ class MemoryController {
         return res.status(400).json({ success: false, error: 'qubitIndex and gate are required' });
       }
 
-      const tempProcessor = new HybridProcessor();
-      const result = tempProcessor.quantumMemory.applyGate(qubitIndex, gate);
+      const gateError = MemoryController.validateGate(gate);
+      if (gateError) return res.status(400).json(gateError);
+
+      const processor = ProcessorController.getProcessor();
+      const result = processor.quantumMemory.applyGate(qubitIndex, gate);
 
       res.json({
         success: true,
@@ -190,6 +211,16 @@ class MemoryController {
     }
   }
 
+  // Body for a 400 when the gate is unknown or missing a parameter
+  static validateGate(gate) {
+    try {
+      singleQubitGate(gate || {});
+      return null;
+    } catch (error) {
+      return { success: false, error: error.message, supportedGates: listSingleQubitGates() };
+    }
+  }
+
   // Classical memory operations
   static async classicalOperation(req, res) {
     try {
@@ -199,20 +230,28 @@ class MemoryController {
         return res.status(400).json({ success: false, error: 'Operation is required' });
       }
 
-      const tempProcessor = new HybridProcessor();
+      const processor = ProcessorController.getProcessor();
       let result;
 
+      if (operation === 'WRITE' || operation === 'READ') {
+        try {
+          processor.classicalMemory.validateAddress(address);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+      }
+
       switch (operation) {
         case 'WRITE':
-          result = tempProcessor.classicalMemory.write(address, data);
+          result = processor.classicalMemory.write(address, data);
           break;
 
         case 'READ':
-          result = tempProcessor.classicalMemory.read(address);
+          result = processor.classicalMemory.read(address);
           break;
 
         case 'GET_STATS':
-          result = tempProcessor.classicalMemory.getMemoryStats();
+          result = processor.classicalMemory.getMemoryStats();
           break;
 
         default:
@@ -229,6 +268,91 @@ class MemoryController {
       res.status(500).json({ success: false, error: error.message });
     }
   }
+
+  // Replay an address trace under each replacement policy, on the
+  // processor's cache geometry unless caches is given
+  static async compareCachePolicies(req, res) {
+    try {
+      const { trace, policies, caches, inclusion, seed } = req.body;
+
+      if (policies !== undefined && (!Array.isArray(policies) || policies.length === 0)) {
+        return res.status(400).json({ success: false, error: 'policies must be a non-empty array' });
+      }
+
+      const processor = ProcessorController.getProcessor();
+      let report;
+      try {
+        const options = hierarchyOptions(processor);
+        report = ClassicalMemory.comparePolicies(trace, {
+          ...options,
+          policies,
+          caches: caches ?? options.caches,
+          inclusion: inclusion ?? options.inclusion,
+          memorySize: processor.classicalMemory.size,
+          seed: seed === undefined ? processor.rng.nextSeed() : normalizeSeed(seed)
+        });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // Replay an uploaded address trace on a fresh copy of the processor's
+  // memory hierarchy. The body is the raw trace (text/plain or
+  // application/octet-stream), read as it arrives; ?format= picks text,
+  // din or binary (see traceFormats).
+  static async replayTrace(req, res) {
+    try {
+      if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Send the trace as text/plain or application/octet-stream'
+        });
+      }
+
+      const { format = 'text', seed } = req.query;
+      const processor = ProcessorController.getProcessor();
+      let reader;
+      let replaySeed;
+      let memory;
+      try {
+        reader = createTraceReader(format);
+        // A seed given as digits means the number, as in a JSON body
+        replaySeed = seed === undefined
+          ? processor.rng.nextSeed()
+          : normalizeSeed(/^\d+$/.test(seed) ? Number(seed) : seed);
+        memory = new ClassicalMemory(processor.classicalMemory.size, {
+          ...hierarchyOptions(processor),
+          random: createRandom(replaySeed)
+        });
+        for await (const accesses of reader.read(req)) memory.replay(accesses);
+      } catch (error) {
+        // Drain what's left of the upload so the client can read the reply
+        req.resume();
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...reader.getStats(),
+          seed: replaySeed,
+          ...memory.getReplayStats()
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
 }
 
 module.exports = MemoryController;
@@ -1,4 +1,21 @@
 const HybridProcessor = require('../models/HybridProcessor');
+const NoiseModel = require('../models/NoiseModel');
+const ClassicalMemory = require('../models/ClassicalMemory');
+const HybridCpu = require('../models/HybridCpu');
+const { DEFAULT_BACKEND, listQuantumBackends, maxQubits } = require('../models/quantumBackends');
+const { listSchedulingPolicies } = require('../models/schedulingPolicies');
+const { parseQasm, toQasm, circuitFromGates } = require('../utils/qasm');
+const { assemble } = require('../utils/assembler');
+const { normalizeSeed } = require('../utils/random');
+
+// Qubits a reset processor gets when none are asked for, fewer if the
+// backend can't simulate that many
+const DEFAULT_QUBITS = 16;
+// Most queued tasks one step request runs
+const MAX_TASK_STEPS = 1000;
+// Megabytes of classical memory a reset processor can model, the same bound
+// as the simulation service's memorySize
+const MAX_MEMORY_SIZE = 1048576;
 
 // Global processor instance
 let processor = new HybridProcessor({
@@ -9,6 +26,11 @@ let processor = new HybridProcessor({
 });
 
 class ProcessorController {
+  // Shared instance, also used by MemoryController
+  static getProcessor() {
+    return processor;
+  }
+
   // Get processor status
   static async getStatus(req, res) {
     try {
@@ -51,10 +73,24 @@ class ProcessorController {
           complexity: 'Exponential',
           qubitsRequired: 'System size'
         },
+        {
+          name: 'Quantum Circuit',
+          type: 'QUANTUM_CIRCUIT',
+          description: 'Gate-level circuit from OpenQASM 2.0/3 or a JSON gate list',
+          complexity: 'O(gates × 2ⁿ)',
+          qubitsRequired: 'Circuit width'
+        },
+        {
+          name: 'Hybrid Program',
+          type: 'HYBRID_PROGRAM',
+          description: 'Assembly program mixing classical ALU, load/store and branch instructions with quantum gates and measurements',
+          complexity: 'Program-dependent',
+          qubitsRequired: 'Highest qubit used + 1'
+        },
         {
           name: 'Hybrid Parallel Processing',
           type: 'PARALLEL_COMPUTATION',
-          description: 'Parallel quantum-classical computation',
+          description: 'Parallel subtasks routed between the quantum unit and the classical cores by estimated quantum advantage',
           complexity: 'O(N/P)',
           qubitsRequired: 'Task-dependent'
         },
@@ -126,40 +162,75 @@ class ProcessorController {
     }
   }
   
-  // Execute quantum circuit - converted to use existing executeTask method
+  // Execute quantum circuit. Accepts OpenQASM 2.0 or 3 source as qasm (or as a
+  // string circuit) or a JSON gate list, run for shots repetitions with an
+  // optional seed; a circuit without gates keeps the older behaviour of
+  // running a QUANTUM_SIMULATION of that size.
   static async executeCircuit(req, res) {
     try {
-      const { circuit, parameters } = req.body;
+      const { circuit, qasm, parameters, shots = 1, seed } = req.body;
       
-      if (!circuit) {
+      if (!circuit && !qasm) {
         return res.status(400).json({
           success: false,
-          error: 'Circuit is required'
+          error: 'Circuit or qasm source is required'
         });
       }
 
-      // Convert circuit to a task format that HybridProcessor can understand
-      const task = {
-        type: 'QUANTUM_SIMULATION',
-        data: {
-          system: circuit.system || { particles: circuit.qubits || 4 },
-          timeSteps: circuit.steps || 10,
-          gates: circuit.gates || [],
-          parameters: parameters || {}
-        },
-        algorithm: 'quantum_circuit'
-      };
+      const seedError = ProcessorController.validateSeed(seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      const source = qasm ?? (typeof circuit === 'string' ? circuit : null);
+      if (source === null && !Array.isArray(circuit.gates)) {
+        return await ProcessorController.runSimulationCircuit(req, res, circuit, parameters, seed);
+      }
+
+      let program;
+      try {
+        program = source !== null ? parseQasm(source) : circuitFromGates(circuit);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid circuit: ${error.message}`
+        });
+      }
+
+      if (program.numQubits > processor.quantumMemory.qubits) {
+        return res.status(400).json({
+          success: false,
+          error: `Circuit needs ${program.numQubits} qubits, processor has ${processor.quantumMemory.qubits}`
+        });
+      }
+
+      if (!Number.isInteger(shots) || shots < 1 || shots > HybridProcessor.MAX_SHOTS) {
+        return res.status(400).json({
+          success: false,
+          error: `shots must be an integer between 1 and ${HybridProcessor.MAX_SHOTS}`
+        });
+      }
+
+      const result = await processor.executeTask({
+        type: 'QUANTUM_CIRCUIT',
+        data: { circuit: program, shots },
+        algorithm: 'quantum_circuit',
+        seed
+      });
 
-      const result = await processor.executeTask(task);
-      
       res.json({
         success: true,
         data: {
+          circuitId: result.result.circuitId,
           circuitResult: result.result,
           quantumOperations: result.quantumOperations,
           executionTime: result.executionTime,
+          shots: result.result.shots,
+          seed: result.seed,
+          counts: result.result.counts,
+          marginals: result.result.marginals,
+          classicalRegisters: result.result.classicalRegisters,
           finalState: result.result.finalState,
-          entanglements: result.result.entanglements
+          estimatedFidelity: result.estimatedFidelity,
+          noise: result.noise
         },
         timestamp: new Date().toISOString()
       });
@@ -170,6 +241,67 @@ class ProcessorController {
       });
     }
   }
+
+  static async runSimulationCircuit(req, res, circuit, parameters, seed) {
+    const task = {
+      type: 'QUANTUM_SIMULATION',
+      data: {
+        system: circuit.system || { particles: circuit.qubits || 4 },
+        timeSteps: circuit.steps || 10,
+        parameters: parameters || {}
+      },
+      algorithm: 'quantum_circuit',
+      seed
+    };
+
+    const result = await processor.executeTask(task);
+    
+    res.json({
+      success: true,
+      data: {
+        circuitResult: result.result,
+        quantumOperations: result.quantumOperations,
+        executionTime: result.executionTime,
+        seed: result.seed,
+        finalState: result.result.finalState,
+        entanglements: result.result.entanglements,
+        estimatedFidelity: result.estimatedFidelity,
+        noise: result.noise
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Export a circuit that ran on this processor, in its OpenQASM version
+  static async getCircuitQasm(req, res) {
+    try {
+      const circuit = processor.getCircuit(req.params.id);
+
+      if (!circuit) {
+        return res.status(404).json({
+          success: false,
+          error: `Circuit ${req.params.id} not found`
+        });
+      }
+
+      let source;
+      try {
+        source = toQasm(circuit);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Circuit ${req.params.id} cannot be exported: ${error.message}`
+        });
+      }
+
+      res.type('text/plain').send(source);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
   
   // Get system metrics - comprehensive system information using existing methods
   static async getMetrics(req, res) {
@@ -227,6 +359,145 @@ class ProcessorController {
     }
   }
 
+  // Assemble a hybrid program and run it to completion as a task
+  static async runProgram(req, res) {
+    try {
+      const { source, maxSteps, seed } = req.body;
+
+      const seedError = ProcessorController.validateSeed(seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      if (maxSteps !== undefined && !(Number.isInteger(maxSteps) && maxSteps > 0 && maxSteps <= HybridCpu.MAX_STEPS)) {
+        return res.status(400).json({
+          success: false,
+          error: `maxSteps must be an integer between 1 and ${HybridCpu.MAX_STEPS}`
+        });
+      }
+
+      const { program, error } = ProcessorController.assembleProgram(source);
+      if (error) return res.status(400).json(error);
+
+      let result;
+      try {
+        result = await processor.executeTask({
+          type: 'HYBRID_PROGRAM',
+          data: { source, program, maxSteps },
+          algorithm: 'hybrid_program',
+          seed
+        });
+      } catch (error) {
+        // The program assembled, so a failure is a fault or a runaway loop
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Load a hybrid program for single-stepping, replacing any loaded one
+  static async loadProgram(req, res) {
+    try {
+      const { source, seed } = req.body;
+
+      const seedError = ProcessorController.validateSeed(seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      const { program, error } = ProcessorController.assembleProgram(source);
+      if (error) return res.status(400).json(error);
+
+      res.json({
+        success: true,
+        data: processor.loadProgram(program, seed),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Execute the next count instructions of the loaded program
+  static async stepProgram(req, res) {
+    try {
+      const { count = 1 } = req.body || {};
+
+      if (!Number.isInteger(count) || count < 1 || count > HybridCpu.MAX_STEPS) {
+        return res.status(400).json({
+          success: false,
+          error: `count must be an integer between 1 and ${HybridCpu.MAX_STEPS}`
+        });
+      }
+
+      if (!processor.getProgramState()) {
+        return res.status(404).json({
+          success: false,
+          error: 'No program is loaded'
+        });
+      }
+
+      let step;
+      try {
+        step = processor.stepProgram(count);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          state: processor.getProgramState()
+        });
+      }
+
+      res.json({
+        success: true,
+        data: step,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Registers, data and next instruction of the loaded program
+  static async getProgramState(req, res) {
+    try {
+      const state = processor.getProgramState();
+
+      if (!state) {
+        return res.status(404).json({
+          success: false,
+          error: 'No program is loaded'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: state,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   // Execute a task
   static async executeTask(req, res) {
     try {
@@ -239,6 +510,12 @@ class ProcessorController {
         });
       }
 
+      const seedError = ProcessorController.validateSeed(task.seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      const policyError = ProcessorController.validateSchedulingPolicy(task.data && task.data.policy);
+      if (policyError) return res.status(400).json(policyError);
+
       const result = await processor.executeTask(task);
       
       res.json({
@@ -254,13 +531,149 @@ class ProcessorController {
     }
   }
 
-  // Start processor
+  // Queue a task for the background worker, which runs queued tasks while
+  // the processor is started. priority is an integer, higher first;
+  // deadline a time in milliseconds or a date string.
+  static async enqueueTask(req, res) {
+    try {
+      const { task, priority = 0, deadline = null } = req.body;
+
+      if (!task || !task.type) {
+        return res.status(400).json({
+          success: false,
+          error: 'Task type is required'
+        });
+      }
+
+      const seedError = ProcessorController.validateSeed(task.seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      const policyError = ProcessorController.validateSchedulingPolicy(task.data && task.data.policy);
+      if (policyError) return res.status(400).json(policyError);
+
+      if (!Number.isInteger(priority)) {
+        return res.status(400).json({
+          success: false,
+          error: 'priority must be an integer'
+        });
+      }
+
+      let deadlineTime = null;
+      if (deadline !== null) {
+        deadlineTime = typeof deadline === 'number' ? deadline : typeof deadline === 'string' ? Date.parse(deadline) : NaN;
+        if (!Number.isFinite(deadlineTime)) {
+          return res.status(400).json({
+            success: false,
+            error: 'deadline must be a time in milliseconds or a date string'
+          });
+        }
+        if (deadlineTime <= Date.now()) {
+          return res.status(400).json({
+            success: false,
+            error: 'deadline has already passed'
+          });
+        }
+      }
+
+      const queued = processor.enqueueTask(task, { priority, deadline: deadlineTime });
+      res.json({
+        success: true,
+        data: queued,
+        message: processor.isRunning ? 'Task queued' : 'Task queued; start the processor to run it',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Queued tasks in run order, the running one and counts by status
+  static async getQueue(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: processor.getQueue(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Status of a queued task, with its execution once done
+  static async getQueuedTask(req, res) {
+    try {
+      const task = processor.getTask(req.params.id);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: `Task ${req.params.id} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: task,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  static async cancelTask(req, res) {
+    try {
+      const task = processor.getTask(req.params.id);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: `Task ${req.params.id} not found`
+        });
+      }
+
+      if (!processor.cancelTask(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          error: `Task ${req.params.id} is ${task.status}; only queued tasks can be cancelled`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: processor.getTask(req.params.id),
+        message: 'Task cancelled'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Start processor, optionally restarting its random stream from a seed
   static async startProcessor(req, res) {
     try {
-      await processor.startProcessing();
+      const { seed } = req.body || {};
+      const seedError = ProcessorController.validateSeed(seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      await processor.startProcessing({ seed });
       res.json({
         success: true,
-        message: 'Processor started successfully'
+        message: 'Processor started successfully',
+        seed: processor.seed
       });
     } catch (error) {
       res.status(500).json({
@@ -286,6 +699,170 @@ class ProcessorController {
     }
   }
 
+  // Pause the queue worker after the running task, with a snapshot of the
+  // state it stopped in
+  static async pauseProcessor(req, res) {
+    try {
+      let snapshot;
+      try {
+        snapshot = await processor.pauseProcessing();
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Processor paused',
+        data: snapshot
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // The state getSnapshot reports, for a client that saw the processor stop
+  // without having paused or stepped it itself
+  static async getSnapshot(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: processor.getSnapshot()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  static async resumeProcessor(req, res) {
+    try {
+      let snapshot;
+      try {
+        snapshot = processor.resumeProcessing();
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Processor resumed',
+        data: snapshot
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Run the next count queued tasks of the paused processor
+  static async stepProcessor(req, res) {
+    try {
+      const { count = 1 } = req.body || {};
+
+      if (!Number.isInteger(count) || count < 1 || count > MAX_TASK_STEPS) {
+        return res.status(400).json({
+          success: false,
+          error: `count must be an integer between 1 and ${MAX_TASK_STEPS}`
+        });
+      }
+
+      let step;
+      try {
+        step = await processor.stepProcessing(count);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: step,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  static async getBreakpoints(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: processor.getBreakpoints()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Body { type: 'task', taskId? } or { type: 'gate', index }; see
+  // HybridProcessor.addBreakpoint
+  static async addBreakpoint(req, res) {
+    try {
+      let breakpoint;
+      try {
+        breakpoint = processor.addBreakpoint(req.body || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: breakpoint
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  static async removeBreakpoint(req, res) {
+    try {
+      if (!processor.removeBreakpoint(Number(req.params.id))) {
+        return res.status(404).json({
+          success: false,
+          error: `Breakpoint ${req.params.id} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Breakpoint ${req.params.id} removed`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   // Get execution history
   static async getHistory(req, res) {
     try {
@@ -325,17 +902,112 @@ class ProcessorController {
   static async resetProcessor(req, res) {
     try {
       const config = req.body.config || {};
-      processor = new HybridProcessor({
-        qubits: config.qubits || 16,
-        memorySize: config.memorySize || 2048,
-        quantumThreshold: config.quantumThreshold || 0.1,
-        hybridMode: config.hybridMode !== false
+
+      if (config.quantumBackend && !listQuantumBackends().includes(config.quantumBackend)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown quantum backend '${config.quantumBackend}'`,
+          availableBackends: listQuantumBackends()
+        });
+      }
+
+      const backend = config.quantumBackend || DEFAULT_BACKEND;
+      const qubitLimit = maxQubits(backend);
+      const qubits = config.qubits ?? Math.min(DEFAULT_QUBITS, qubitLimit);
+      if (!(Number.isInteger(qubits) && qubits >= 1 && qubits <= qubitLimit)) {
+        return res.status(400).json({
+          success: false,
+          error: `qubits must be an integer between 1 and ${qubitLimit} for the ${backend} backend`
+        });
+      }
+
+      const memorySize = config.memorySize ?? 2048;
+      if (!(Number.isInteger(memorySize) && memorySize >= 1 && memorySize <= MAX_MEMORY_SIZE)) {
+        return res.status(400).json({
+          success: false,
+          error: `memorySize must be an integer between 1 and ${MAX_MEMORY_SIZE}`
+        });
+      }
+
+      const seedError = ProcessorController.validateSeed(config.seed);
+      if (seedError) return res.status(400).json(seedError);
+
+      const policyError = ProcessorController.validateSchedulingPolicy(config.schedulingPolicy);
+      if (policyError) return res.status(400).json(policyError);
+
+      if (config.quantumThreshold !== undefined && !Number.isFinite(config.quantumThreshold)) {
+        return res.status(400).json({
+          success: false,
+          error: 'quantumThreshold must be a number'
+        });
+      }
+
+      if (config.optimizationLevel !== undefined && !(Number.isInteger(config.optimizationLevel) && config.optimizationLevel >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'optimizationLevel must be a non-negative integer'
+        });
+      }
+
+      if (config.noiseModel) {
+        try {
+          new NoiseModel(config.noiseModel);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid noise model: ${error.message}`
+          });
+        }
+      }
+
+      try {
+        new ClassicalMemory(memorySize, {
+          caches: config.caches,
+          inclusion: config.cacheInclusion,
+          memoryLatency: config.memoryLatency,
+          dram: config.dram,
+          virtualMemory: config.virtualMemory,
+          cores: config.classicalCores,
+          coherence: config.coherence,
+          coherenceLatency: config.coherenceLatency
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid memory configuration: ${error.message}`
+        });
+      }
+
+      // Build the replacement first, so a config that fails here leaves the
+      // live processor running
+      const replacement = new HybridProcessor({
+        qubits,
+        memorySize,
+        quantumThreshold: config.quantumThreshold ?? 0.1,
+        optimizationLevel: config.optimizationLevel ?? 2,
+        schedulingPolicy: config.schedulingPolicy,
+        hybridMode: config.hybridMode !== false,
+        quantumBackend: config.quantumBackend,
+        noiseModel: config.noiseModel,
+        caches: config.caches,
+        cacheInclusion: config.cacheInclusion,
+        memoryLatency: config.memoryLatency,
+        dram: config.dram,
+        virtualMemory: config.virtualMemory,
+        classicalCores: config.classicalCores,
+        coherence: config.coherence,
+        coherenceLatency: config.coherenceLatency,
+        seed: config.seed
       });
+
+      // The old processor's worker finishes its current task and stops
+      await processor.stopProcessing();
+      processor = replacement;
       
       res.json({
         success: true,
         message: 'Processor reset successfully',
-        config
+        config: { ...config, qubits, seed: processor.seed }
       });
     } catch (error) {
       res.status(500).json({
@@ -344,6 +1016,43 @@ class ProcessorController {
       });
     }
   }
+
+  // { program } assembled for this processor, or { error } holding the 400
+  // body for source that doesn't assemble or needs too many qubits
+  static assembleProgram(source) {
+    try {
+      const program = assemble(source);
+      if (program.numQubits > processor.quantumMemory.qubits) {
+        throw new Error(`program needs ${program.numQubits} qubits, processor has ${processor.quantumMemory.qubits}`);
+      }
+      return { program };
+    } catch (error) {
+      return { error: { success: false, error: `Invalid program: ${error.message}` } };
+    }
+  }
+
+  // 400 body for an unknown scheduling policy, null when absent or known
+  static validateSchedulingPolicy(policy) {
+    if (policy === undefined || listSchedulingPolicies().includes(String(policy).toLowerCase())) return null;
+
+    return {
+      success: false,
+      error: `Unknown scheduling policy '${policy}'`,
+      availablePolicies: listSchedulingPolicies()
+    };
+  }
+
+  // 400 body for a seed utils/random can't use, null when absent or valid
+  static validateSeed(seed) {
+    if (seed === undefined) return null;
+
+    try {
+      normalizeSeed(seed);
+      return null;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = ProcessorController;
\ No newline at end of file
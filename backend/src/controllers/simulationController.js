@@ -0,0 +1,214 @@
+const simulationService = require('../services/simulationService');
+const { DEFAULT_BACKEND, listQuantumBackends, maxQubits } = require('../models/quantumBackends');
+const { normalizeSeed } = require('../utils/random');
+
+// Most steps one step request runs
+const MAX_SIMULATION_STEPS = 10000;
+// Step interval bounds in milliseconds
+const MIN_STEP_INTERVAL = 10;
+const MAX_STEP_INTERVAL = 60000;
+// Entries the service keeps in its performance history
+const MAX_PERFORMANCE_HISTORY = 1000;
+// Words of simulated classical memory, which the service allocates up front
+const MAX_MEMORY_SIZE = 1048576;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// 400 body for start options the service can't use, null when they're fine
+const validateStartConfig = (config) => {
+  const { stepInterval, algorithm, qubits, memorySize, hybridMode, backend, seed } = config;
+  const algorithms = simulationService.getAlgorithms().map(({ id }) => id);
+
+  if (stepInterval !== undefined &&
+      !(Number.isInteger(stepInterval) && stepInterval >= MIN_STEP_INTERVAL && stepInterval <= MAX_STEP_INTERVAL)) {
+    return { success: false, error: `stepInterval must be an integer between ${MIN_STEP_INTERVAL} and ${MAX_STEP_INTERVAL} ms` };
+  }
+  if (algorithm !== undefined && algorithm !== null && !algorithms.includes(algorithm)) {
+    return { success: false, error: `Unknown algorithm '${algorithm}'`, availableAlgorithms: algorithms };
+  }
+  if (memorySize !== undefined && !(isPositiveInteger(memorySize) && memorySize <= MAX_MEMORY_SIZE)) {
+    return { success: false, error: `memorySize must be an integer between 1 and ${MAX_MEMORY_SIZE}` };
+  }
+  if (hybridMode !== undefined && typeof hybridMode !== 'boolean') {
+    return { success: false, error: 'hybridMode must be true or false' };
+  }
+  if (backend !== undefined && !listQuantumBackends().includes(backend)) {
+    return { success: false, error: `Unknown quantum backend '${backend}'`, availableBackends: listQuantumBackends() };
+  }
+  const qubitLimit = maxQubits(backend ?? DEFAULT_BACKEND);
+  if (qubits !== undefined && !(isPositiveInteger(qubits) && qubits <= qubitLimit)) {
+    return { success: false, error: `qubits must be an integer between 1 and ${qubitLimit} for the ${backend ?? DEFAULT_BACKEND} backend` };
+  }
+  if (seed !== undefined) {
+    try {
+      normalizeSeed(seed);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return null;
+};
+
+class SimulationController {
+  // Start the step loop. Body: { stepInterval, algorithm, qubits,
+  // memorySize, hybridMode, backend, noise, seed }, all optional; without
+  // an algorithm each step applies random operations.
+  static async startSimulation(req, res) {
+    try {
+      const config = req.body || {};
+      const configError = validateStartConfig(config);
+      if (configError) return res.status(400).json(configError);
+
+      const result = await simulationService.startSimulation(config);
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      res.json({ success: true, message: result.message, config: result.config });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  static async stopSimulation(req, res) {
+    try {
+      const result = simulationService.stopSimulation();
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      res.json({ success: true, message: result.message, data: result.stats });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  static async getStatus(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: simulationService.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // The last ?limit= steps' performance, 100 by default
+  static async getPerformanceHistory(req, res) {
+    try {
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+      if (!(isPositiveInteger(limit) && limit <= MAX_PERFORMANCE_HISTORY)) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be an integer between 1 and ${MAX_PERFORMANCE_HISTORY}`
+        });
+      }
+
+      const history = simulationService.getPerformanceHistory(limit);
+      res.json({ success: true, data: history, total: history.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  static async getAlgorithms(req, res) {
+    try {
+      const algorithms = simulationService.getAlgorithms();
+      res.json({ success: true, data: algorithms, total: algorithms.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // Pause the step loop, with a snapshot of the state it stopped in
+  static async pauseSimulation(req, res) {
+    try {
+      const result = simulationService.pauseSimulation();
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      res.json({ success: true, message: result.message, data: result.snapshot });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  static async resumeSimulation(req, res) {
+    try {
+      const result = simulationService.resumeSimulation();
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      res.json({ success: true, message: result.message, data: result.snapshot });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // Run count steps of the paused simulation
+  static async stepSimulation(req, res) {
+    try {
+      const { count = 1 } = req.body || {};
+
+      if (!Number.isInteger(count) || count < 1 || count > MAX_SIMULATION_STEPS) {
+        return res.status(400).json({
+          success: false,
+          error: `count must be an integer between 1 and ${MAX_SIMULATION_STEPS}`
+        });
+      }
+
+      const { success, message, ...step } = simulationService.stepSimulation(count);
+      if (!success) {
+        return res.status(400).json({ success: false, error: message });
+      }
+
+      res.json({ success: true, data: step, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  static async getBreakpoints(req, res) {
+    try {
+      res.json({ success: true, data: simulationService.getBreakpoints() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // Body { type: 'task' } or { type: 'gate', index }; see
+  // SimulationService.addBreakpoint
+  static async addBreakpoint(req, res) {
+    try {
+      let breakpoint;
+      try {
+        breakpoint = simulationService.addBreakpoint(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      res.json({ success: true, data: breakpoint });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  static async removeBreakpoint(req, res) {
+    try {
+      if (!simulationService.removeBreakpoint(Number(req.params.id))) {
+        return res.status(404).json({ success: false, error: `Breakpoint ${req.params.id} not found` });
+      }
+
+      res.json({ success: true, message: `Breakpoint ${req.params.id} removed` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+module.exports = SimulationController;
@@ -0,0 +1,283 @@
+const { DEFAULT_POLICY, createReplacementPolicy } = require('./replacementPolicies');
+const { createPrefetcher } = require('./prefetchers');
+
+// One level of a set-associative cache. Sizes are in bytes, latency in cycles.
+//
+// {
+//   size: 32768, lineSize: 64, associativity: 8, latency: 4, policy: 'lru',
+//   writePolicy: 'write-back',     // or 'write-through'
+//   writeAllocate: true,           // fetch the line on a write miss
+//   prefetcher: null               // or a prefetcher (see prefetchers)
+// }
+//
+// Only tags and dirty bits are modelled; the data itself stays in
+// ClassicalMemory. A byte address splits into | tag | set index | line offset |.
+// options.random feeds the randomized replacement policies.
+const WRITE_POLICIES = ['write-back', 'write-through'];
+
+const isPowerOfTwo = (value) => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+
+class Cache {
+  constructor(name, config = {}, options = {}) {
+    this.name = name;
+    this.size = config.size;
+    this.lineSize = config.lineSize;
+    this.associativity = config.associativity;
+    this.latency = config.latency;
+    this.writePolicy = config.writePolicy || 'write-back';
+    this.writeAllocate = config.writeAllocate !== undefined ? config.writeAllocate : true;
+
+    this.validate();
+
+    this.numSets = this.size / (this.lineSize * this.associativity);
+    // Sets are created on first use, so a large L3 costs nothing until touched
+    this.sets = new Array(this.numSets).fill(null);
+    this.validLines = 0;
+    this.dirtyLines = 0;
+    this.policyName = String(config.policy || DEFAULT_POLICY).toLowerCase();
+    this.policy = createReplacementPolicy(this.policyName, this.numSets, this.associativity, options);
+    this.resetStats();
+    this.prefetcher = createPrefetcher(config.prefetcher, this);
+    // Lines evicted by prefetches, oldest first; a demand miss on one of
+    // them is pollution. Holds at most as many lines as the cache.
+    this.prefetchVictims = new Set();
+  }
+
+  validate() {
+    const { name } = this;
+    if (!isPowerOfTwo(this.size)) throw new Error(`${name} size must be a power of two in bytes`);
+    if (!isPowerOfTwo(this.lineSize)) throw new Error(`${name} lineSize must be a power of two in bytes`);
+    if (!isPowerOfTwo(this.associativity)) throw new Error(`${name} associativity must be a power of two`);
+    if (this.lineSize * this.associativity > this.size) {
+      throw new Error(`${name} size must hold at least one set of ${this.associativity} lines`);
+    }
+    if (!(Number.isInteger(this.latency) && this.latency >= 0)) {
+      throw new Error(`${name} latency must be a non-negative number of cycles`);
+    }
+    if (!WRITE_POLICIES.includes(this.writePolicy)) {
+      throw new Error(`${name} writePolicy must be one of ${WRITE_POLICIES.join(', ')}`);
+    }
+    if (typeof this.writeAllocate !== 'boolean') throw new Error(`${name} writeAllocate must be a boolean`);
+  }
+
+  isWriteBack() {
+    return this.writePolicy === 'write-back';
+  }
+
+  // writebacks counts dirty lines evicted; writeBytes is everything sent to
+  // the level below, written-back lines and written-through stores alike;
+  // backInvalidations counts lines dropped to keep an inclusive hierarchy
+  resetStats() {
+    this.stats = {
+      reads: 0,
+      writes: 0,
+      hits: 0,
+      misses: 0,
+      fills: 0,
+      evictions: 0,
+      writebacks: 0,
+      writeBytes: 0,
+      backInvalidations: 0
+    };
+    // requests: lines the prefetcher asked for; redundant: already cached;
+    // fills: fetched from below; useful: used by a demand access before
+    // leaving; useless: left unused; bufferHits: misses the prefetcher's own
+    // buffers served; pollution: demand misses on lines a prefetch evicted
+    this.prefetchStats = {
+      requests: 0,
+      redundant: 0,
+      fills: 0,
+      useful: 0,
+      useless: 0,
+      bufferHits: 0,
+      pollution: 0
+    };
+  }
+
+  decompose(address) {
+    const lineNumber = Math.floor(address / this.lineSize);
+    return {
+      tag: Math.floor(lineNumber / this.numSets),
+      set: lineNumber % this.numSets,
+      offset: address % this.lineSize
+    };
+  }
+
+  lineAddress(address) {
+    return address - (address % this.lineSize);
+  }
+
+  getSet(index) {
+    if (!this.sets[index]) this.sets[index] = new Array(this.associativity).fill(null);
+    return this.sets[index];
+  }
+
+  findWay(address) {
+    const { tag, set } = this.decompose(address);
+    const lines = this.sets[set];
+    return lines ? lines.findIndex(line => line !== null && line.tag === tag) : -1;
+  }
+
+  findLine(address) {
+    const way = this.findWay(address);
+    return way === -1 ? null : this.sets[this.decompose(address).set][way];
+  }
+
+  // Presence check without touching stats or recency
+  contains(address) {
+    return this.findWay(address) !== -1;
+  }
+
+  // Look the address up as a demand read or write; true on a hit
+  access(address, write = false) {
+    if (write) {
+      this.stats.writes++;
+    } else {
+      this.stats.reads++;
+    }
+
+    const way = this.findWay(address);
+    if (way === -1) {
+      this.stats.misses++;
+      if (this.prefetchVictims.delete(this.lineAddress(address))) this.prefetchStats.pollution++;
+      return false;
+    }
+
+    const { set } = this.decompose(address);
+    const line = this.sets[set][way];
+    if (line.prefetched) {
+      line.prefetched = false;
+      this.prefetchStats.useful++;
+    }
+    this.stats.hits++;
+    this.policy.touch(set, way);
+    return true;
+  }
+
+  // Bring the line holding address in, evicting the replacement policy's
+  // victim when its set is full. Returns the evicted { address, dirty }, or
+  // null.
+  fill(address, dirty = false, prefetched = false) {
+    if (this.contains(address)) {
+      if (dirty) this.markDirty(address);
+      return null;
+    }
+
+    const { tag, set } = this.decompose(address);
+    const lines = this.getSet(set);
+    let way = lines.indexOf(null);
+    let evicted = null;
+
+    if (way === -1) {
+      way = this.policy.victim(set);
+      evicted = { address: (lines[way].tag * this.numSets + set) * this.lineSize, dirty: lines[way].dirty };
+      if (evicted.dirty) this.dirtyLines--;
+      if (lines[way].prefetched) this.prefetchStats.useless++;
+      if (prefetched) this.rememberPrefetchVictim(evicted.address);
+      this.stats.evictions++;
+    } else {
+      this.validLines++;
+    }
+
+    if (!prefetched) this.prefetchVictims.delete(this.lineAddress(address));
+    lines[way] = { tag, dirty, prefetched };
+    if (dirty) this.dirtyLines++;
+    this.policy.insert(set, way);
+    this.stats.fills++;
+    return evicted;
+  }
+
+  rememberPrefetchVictim(address) {
+    this.prefetchVictims.add(address);
+    if (this.prefetchVictims.size > this.size / this.lineSize) {
+      this.prefetchVictims.delete(this.prefetchVictims.values().next().value);
+    }
+  }
+
+  markDirty(address) {
+    const line = this.findLine(address);
+    if (line && !line.dirty) {
+      line.dirty = true;
+      this.dirtyLines++;
+    }
+  }
+
+  // The line's data has been written back elsewhere
+  markClean(address) {
+    const line = this.findLine(address);
+    if (line && line.dirty) {
+      line.dirty = false;
+      this.dirtyLines--;
+    }
+  }
+
+  // Drop the line holding address. Returns the removed { address, dirty },
+  // or null if it wasn't cached.
+  invalidate(address) {
+    const way = this.findWay(address);
+    if (way === -1) return null;
+
+    const { set } = this.decompose(address);
+    const { dirty, prefetched } = this.sets[set][way];
+    if (prefetched) this.prefetchStats.useless++;
+    this.sets[set][way] = null;
+    this.policy.invalidate(set, way);
+    this.validLines--;
+    if (dirty) this.dirtyLines--;
+    return { address: this.lineAddress(address), dirty };
+  }
+
+  // Addresses of every valid line
+  residentLines() {
+    const addresses = [];
+    this.sets.forEach((lines, set) => {
+      if (!lines) return;
+      lines.forEach(line => {
+        if (line !== null) addresses.push((line.tag * this.numSets + set) * this.lineSize);
+      });
+    });
+    return addresses;
+  }
+
+  getStats() {
+    const { hits, misses } = this.stats;
+    const accesses = hits + misses;
+
+    return {
+      size: this.size,
+      lineSize: this.lineSize,
+      associativity: this.associativity,
+      sets: this.numSets,
+      latency: this.latency,
+      policy: this.policyName,
+      writePolicy: this.writePolicy,
+      writeAllocate: this.writeAllocate,
+      linesInUse: this.validLines,
+      dirtyLines: this.dirtyLines,
+      accesses,
+      ...this.stats,
+      fillBytes: this.stats.fills * this.lineSize,
+      hitRate: accesses > 0 ? (hits / accesses) * 100 : 0,
+      prefetcher: this.prefetcher ? this.prefetcher.type : null,
+      prefetch: this.prefetcher ? this.getPrefetchStats() : null
+    };
+  }
+
+  // accuracy: share of fetched prefetches that were used; coverage: share
+  // of would-be misses a prefetch removed; pollutionRate: share of misses a
+  // prefetch caused. All percentages.
+  getPrefetchStats() {
+    const { fills, useful, bufferHits, pollution } = this.prefetchStats;
+    const { misses } = this.stats;
+    const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+    return {
+      ...this.prefetchStats,
+      accuracy: percent(useful, fills),
+      coverage: percent(useful, useful + misses - bufferHits),
+      pollutionRate: percent(pollution, misses)
+    };
+  }
+}
+
+module.exports = Cache;
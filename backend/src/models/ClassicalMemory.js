@@ -1,168 +1,1058 @@
+const Cache = require('./Cache');
+const Dram = require('./Dram');
+const VirtualMemory = require('./VirtualMemory');
+const { listReplacementPolicies } = require('./replacementPolicies');
+const { createRandom, randomSeed } = require('../utils/random');
+
+// Cache hierarchy, fastest level first. options.caches overrides fields per
+// level by name (geometry, latency, replacement and write policies; see
+// Cache), adds levels under new names, or drops one when set to null.
+const DEFAULT_CACHES = {
+  L1: { size: 32 * 1024, lineSize: 64, associativity: 8, latency: 4 },
+  L2: { size: 256 * 1024, lineSize: 64, associativity: 8, latency: 12 },
+  L3: { size: 8 * 1024 * 1024, lineSize: 64, associativity: 16, latency: 40 }
+};
+
+// How the levels share lines: inclusive keeps every line of a level in all
+// levels below it (evicting below invalidates above), exclusive keeps each
+// line in exactly one level (victims move down, hits move up), and nine
+// (non-inclusive non-exclusive) fills every level and evicts independently
+const INCLUSION_MODES = ['inclusive', 'exclusive', 'nine'];
+
+// With options.cores above 1, every core gets private copies of all levels
+// but the last, which they share. options.coherence picks the protocol
+// keeping the private copies coherent, through a directory at the shared
+// level: msi, mesi (adds Exclusive, so a private line can be written
+// without a bus transaction) or moesi (adds Owned, so a dirty line can be
+// shared without writing it back first). options.coherenceLatency is the
+// cycles a coherence transaction (intervention or invalidation) adds.
+const COHERENCE_PROTOCOLS = ['msi', 'mesi', 'moesi'];
+const DEFAULT_COHERENCE = 'mesi';
+const DEFAULT_COHERENCE_LATENCY = 20;
+const MAX_CORES = 64;
+
+// Cycles for a line to come back from main memory, unless options.dram
+// configures a DRAM timing model (see Dram) to serve it instead
+const DEFAULT_MEMORY_LATENCY = 200;
+
+// Named addresses are laid out on this alignment
+const WORD_SIZE = 8;
+// Prefetchers don't cross pages of this size (the page size itself under
+// virtual memory), since the next physical page needn't be related
+const PREFETCH_PAGE_SIZE = 4096;
+// Instruction tag of page table reads, kept apart from the data streams
+const PAGE_WALK_PC = 'page-walk';
+const MAX_ACCESS_HISTORY = 1000;
+const MAX_TRACE_LENGTH = 100000;
+// A single access spans at most a page, so one bad size can't walk millions
+// of lines
+const MAX_ACCESS_SIZE = 4096;
+
+const buildCacheLevels = (caches = {}, options = {}) => {
+  if (typeof caches !== 'object' || caches === null || Array.isArray(caches)) {
+    throw new Error('caches must be an object keyed by level name');
+  }
+
+  const configs = { ...DEFAULT_CACHES };
+  Object.entries(caches).forEach(([name, config]) => {
+    if (config === null) {
+      delete configs[name];
+    } else {
+      configs[name] = { ...DEFAULT_CACHES[name], ...config };
+    }
+  });
+
+  const levels = Object.entries(configs).map(([name, config]) => new Cache(name, config, options));
+  levels.forEach((level, index) => {
+    if (index > 0 && level.lineSize < levels[index - 1].lineSize) {
+      throw new Error(`${level.name} lineSize cannot be smaller than ${levels[index - 1].name} lineSize`);
+    }
+  });
+  return levels;
+};
+
+// Power-of-two histogram bucket holding a latency: 1, 2-3, 4-7, ...
+const latencyBucket = (cycles) => (cycles < 1 ? 0 : 2 ** Math.floor(Math.log2(cycles)));
+
+// Validate an address trace: byte addresses, or { address, operation, size,
+// pc, core } with operation READ or WRITE, pc an optional tag of the issuing
+// instruction and core the one issuing it (0 by default). Returns the
+// entries in object form.
+const parseTrace = (trace) => {
+  if (!Array.isArray(trace) || trace.length === 0) throw new Error('Trace must be a non-empty array');
+  if (trace.length > MAX_TRACE_LENGTH) throw new Error(`Trace is limited to ${MAX_TRACE_LENGTH} accesses`);
+
+  return trace.map((entry, index) => {
+    const access = typeof entry === 'number' ? { address: entry } : entry;
+    const { address, operation = 'READ', size = 1, pc = null, core = 0 } = access || {};
+
+    if (!Number.isInteger(address) || address < 0) {
+      throw new Error(`Trace entry ${index}: address must be a non-negative integer`);
+    }
+    if (operation !== 'READ' && operation !== 'WRITE') {
+      throw new Error(`Trace entry ${index}: operation must be READ or WRITE`);
+    }
+    if (!Number.isInteger(size) || size < 1 || size > MAX_ACCESS_SIZE) {
+      throw new Error(`Trace entry ${index}: size must be an integer from 1 to ${MAX_ACCESS_SIZE}`);
+    }
+    if (pc !== null && typeof pc !== 'string' && !Number.isInteger(pc)) {
+      throw new Error(`Trace entry ${index}: pc must be a string or an integer`);
+    }
+    if (!Number.isInteger(core) || core < 0) {
+      throw new Error(`Trace entry ${index}: core must be a non-negative integer`);
+    }
+    return { address, operation, size, pc, core };
+  });
+};
+
 class ClassicalMemory {
-    constructor(size = 1024) { // Size in MB
+    constructor(size = 1024, options = {}) { // Size in MB
       this.size = size;
-      this.memory = new Map();
-      this.cache = {
-        L1: new Map(), // 32KB
-        L2: new Map(), // 256KB  
-        L3: new Map()  // 8MB
-      };
+      this.capacity = size * 1024 * 1024;
+      this.levels = buildCacheLevels(options.caches, { random: options.random });
+      this.cache = Object.fromEntries(this.levels.map(level => [level.name, level]));
+      this.inclusion = options.inclusion || 'nine';
+      this.validateInclusion();
+      this.createCores(options);
+      this.memoryLatency = options.memoryLatency !== undefined ? options.memoryLatency : DEFAULT_MEMORY_LATENCY;
+      if (!(Number.isInteger(this.memoryLatency) && this.memoryLatency >= 0)) {
+        throw new Error('memoryLatency must be a non-negative number of cycles');
+      }
+      this.dramModel = options.dram ? new Dram(options.dram === true ? {} : options.dram) : null;
+      // Cycle the current line's memory request issues at, and the cycles
+      // the DRAM model took to serve it
+      this.issueTime = 0;
+      this.lineMemoryCycles = this.memoryLatency;
+      // Tag of the instruction behind the current request, for prefetchers
+      // that track streams per instruction
+      this.currentPc = null;
+      // With options.virtualMemory, byte addresses are virtual and translated
+      // per address space (see VirtualMemory); without it they are physical
+      // and there is only address space 0
+      this.virtualMemory = options.virtualMemory
+        ? new VirtualMemory(options.virtualMemory === true ? {} : options.virtualMemory, {
+          capacity: this.capacity,
+          random: options.random
+        })
+        : null;
+      if (this.virtualMemory && this.levels.some(level => level.lineSize > this.virtualMemory.pageSize)) {
+        throw new Error('Cache lineSize cannot be larger than pageSize');
+      }
+      this.addressLimit = this.virtualMemory ? this.virtualMemory.addressLimit : this.capacity;
+      // Each address space holds its data and the byte ranges of names,
+      // which get one on first write (allocated upwards from nextFree)
+      this.spaces = new Map();
+      this.space = this.spaces.get(this.createAddressSpace());
+      // Lookups are serial, so reaching levels[i] costs every latency above it
+      this.lookupLatency = [];
+      this.levels.reduce((sum, level) => {
+        this.lookupLatency.push(sum + level.latency);
+        return sum + level.latency;
+      }, 0);
       this.accessHistory = [];
-      this.hitRates = { L1: 0, L2: 0, L3: 0 };
+      this.totalAccesses = 0;
+      // Demand lookups no cache level could serve
+      this.memoryAccesses = 0;
+      // Traffic on the DRAM bus: line fetches in, written-back lines and
+      // written-through stores out
+      this.dram = { reads: 0, writes: 0, readBytes: 0, writeBytes: 0 };
+      // Modelled cycles, in total, per power-of-two bucket, and spent below
+      // each level after it missed
+      this.totalCycles = 0;
+      this.latencyHistogram = new Map();
+      this.missPenaltyCycles = this.levels.map(() => 0);
+    }
+
+    createCores(options) {
+      const cores = options.cores !== undefined ? options.cores : 1;
+      if (!(Number.isInteger(cores) && cores > 0 && cores <= MAX_CORES)) {
+        throw new Error(`cores must be an integer between 1 and ${MAX_CORES}`);
+      }
+
+      // Levels from sharedIndex down are shared by every core
+      this.sharedIndex = cores > 1 ? this.levels.length - 1 : this.levels.length;
+      this.cores = [];
+      for (let id = 0; id < cores; id++) {
+        const levels = id === 0
+          ? this.levels
+          : [
+            ...buildCacheLevels(options.caches, { random: options.random }).slice(0, this.sharedIndex),
+            ...this.levels.slice(this.sharedIndex)
+          ];
+        // invalidated: lines another core's write took away, so the next
+        // miss on one of them is a coherence miss
+        this.cores.push({ id, levels, cycles: 0, accesses: 0, coherenceMisses: 0, invalidated: new Set() });
+      }
+      this.core = this.cores[0];
+
+      this.coherence = null;
+      if (cores === 1) return;
+
+      this.coherence = String(options.coherence || DEFAULT_COHERENCE).toLowerCase();
+      if (!COHERENCE_PROTOCOLS.includes(this.coherence)) {
+        throw new Error(`Coherence protocol must be one of ${COHERENCE_PROTOCOLS.join(', ')}`);
+      }
+      this.coherenceLatency = options.coherenceLatency !== undefined ? options.coherenceLatency : DEFAULT_COHERENCE_LATENCY;
+      if (!(Number.isInteger(this.coherenceLatency) && this.coherenceLatency >= 0)) {
+        throw new Error('coherenceLatency must be a non-negative number of cycles');
+      }
+      if (this.inclusion === 'exclusive') throw new Error('A multi-core hierarchy cannot be exclusive');
+      if (this.levels.some(level => level.lineSize !== this.levels[0].lineSize)) {
+        throw new Error('A multi-core hierarchy needs the same lineSize at every level');
+      }
+      // Line address -> Map of core id -> M, O, E or S. A core missing from
+      // it, or no longer holding the line, is in I.
+      this.directory = new Map();
+      this.coherenceStats = { invalidations: 0, interventions: 0, upgrades: 0, writebacks: 0, coherenceMisses: 0 };
+    }
+
+    // Make subsequent accesses come from core id
+    switchCore(id) {
+      const core = this.cores[id];
+      if (!core) throw new Error(`Core must be an integer between 0 and ${this.cores.length - 1}`);
+      this.core = core;
+      this.levels = core.levels;
+      this.cache = Object.fromEntries(this.levels.map(level => [level.name, level]));
+    }
+
+    validateInclusion() {
+      if (!INCLUSION_MODES.includes(this.inclusion)) {
+        throw new Error(`Cache inclusion must be one of ${INCLUSION_MODES.join(', ')}`);
+      }
+      if (this.inclusion === 'exclusive' && this.levels.some(level => level.lineSize !== this.levels[0].lineSize)) {
+        throw new Error('An exclusive cache hierarchy needs the same lineSize at every level');
+      }
+    }
+
+    validateAddress(address) {
+      if (typeof address === 'string' && address.length > 0) return;
+      if (Number.isInteger(address) && address >= 0 && address < this.addressLimit) return;
+      throw new Error(`Address must be a name or a byte address below ${this.addressLimit}`);
+    }
+
+    createAddressSpace() {
+      if (this.spaces.size > 0 && !this.virtualMemory) {
+        throw new Error('Separate address spaces need virtualMemory to be configured');
+      }
+
+      const id = this.virtualMemory ? this.virtualMemory.createAddressSpace() : 0;
+      this.spaces.set(id, { id, memory: new Map(), symbols: new Map(), nextFree: 0 });
+      return id;
+    }
+
+    switchAddressSpace(id) {
+      const space = this.spaces.get(id);
+      if (!space) throw new Error(`Unknown address space ${id}`);
+      this.space = space;
     }
-  
-    write(address, data, type = 'data') {
+
+    // Drop an address space along with its data and pages. The first one
+    // (the default) always stays.
+    releaseAddressSpace(id) {
+      const [defaultId] = this.spaces.keys();
+      if (id === defaultId) throw new Error('The default address space cannot be released');
+      if (!this.spaces.has(id)) throw new Error(`Unknown address space ${id}`);
+
+      this.virtualMemory.releaseAddressSpace(id);
+      this.spaces.delete(id);
+      if (this.space.id === id) this.space = this.spaces.get(defaultId);
+    }
+
+    // Byte range backing address, growing a named allocation that no longer
+    // fits its data
+    allocate(address, size) {
+      if (typeof address === 'number') {
+        return { start: address, size: Math.min(size, this.addressLimit - address) };
+      }
+
+      const { space } = this;
+      const existing = space.symbols.get(address);
+      if (existing && existing.size >= size) return { start: existing.start, size };
+
+      const start = space.nextFree;
+      const reserved = Math.ceil(size / WORD_SIZE) * WORD_SIZE;
+      if (start + reserved > this.addressLimit) throw new Error('Classical memory is full');
+
+      space.nextFree += reserved;
+      space.symbols.set(address, { start, size: reserved });
+      return { start, size };
+    }
+
+    // pc optionally tags the instruction issuing the access (see prefetchers);
+    // size overrides the bytes the data is taken to fill, as for fixed-width
+    // words
+    write(address, data, type = 'data', pc = null, size = this.calculateSize(data)) {
+      this.validateAddress(address);
+
       const timestamp = Date.now();
+      const range = this.allocate(address, size);
       const entry = {
         data,
         type,
         timestamp,
         accessCount: 0,
-        lastAccessed: timestamp
+        lastAccessed: timestamp,
+        byteAddress: range.start,
+        size: range.size
       };
-  
-      this.memory.set(address, entry);
-      
-      // Update caches using LRU policy
-      this.updateCache('L1', address, entry);
-      
-      this.accessHistory.push({
-        operation: 'WRITE',
-        address,
-        timestamp,
-        cacheHit: false
-      });
-  
-      return { address, size: this.calculateSize(data), timestamp };
+
+      this.space.memory.set(address, entry);
+      const { cacheLevel, latency } = this.accessRange(range, 'WRITE', pc);
+      this.recordAccess('WRITE', address, cacheLevel, latency, timestamp);
+
+      return { address, byteAddress: range.start, size: range.size, timestamp, cacheLevel, latency };
     }
 
-    read(address) {
+    read(address, pc = null) {
+      this.validateAddress(address);
+
       const timestamp = Date.now();
-      let cacheLevel = null;
-      let entry = null;
-  
-      // Check cache hierarchy
-      if (this.cache.L1.has(address)) {
-        entry = this.cache.L1.get(address);
-        cacheLevel = 'L1';
-        this.hitRates.L1++;
-      } else if (this.cache.L2.has(address)) {
-        entry = this.cache.L2.get(address);
-        cacheLevel = 'L2';
-        this.hitRates.L2++;
-        // Promote to L1
-        this.updateCache('L1', address, entry);
-      } else if (this.cache.L3.has(address)) {
-        entry = this.cache.L3.get(address);
-        cacheLevel = 'L3';
-        this.hitRates.L3++;
-        // Promote to L2 and L1
-        this.updateCache('L2', address, entry);
-        this.updateCache('L1', address, entry);
-      } else {
-        // Cache miss - fetch from main memory
-        entry = this.memory.get(address);
-        if (entry) {
-          this.updateCache('L1', address, entry);
-        }
-      }
-  
+      const entry = this.space.memory.get(address);
+      let access = { cacheLevel: null, latency: 0 };
+
+      // Unwritten byte addresses still go through the caches; unknown names
+      // have no location to look up
       if (entry) {
+        access = this.accessRange({ start: entry.byteAddress, size: entry.size }, 'READ', pc);
         entry.accessCount++;
         entry.lastAccessed = timestamp;
+      } else if (typeof address === 'number') {
+        access = this.accessRange({ start: address, size: 1 }, 'READ', pc);
+      }
+
+      this.recordAccess('READ', address, access.cacheLevel, access.latency, timestamp);
+      return entry ? { ...entry, ...access } : null;
+    }
+
+    // Stored data, without going through the caches or counting an access
+    peek(address) {
+      const entry = this.space.memory.get(address);
+      return entry ? entry.data : null;
+    }
+
+    // Access every line the range touches, one after another. Returns the
+    // slowest level that served part of it (null when any line came from
+    // main memory) and the modelled latency in cycles.
+    accessRange({ start, size }, operation = 'READ', pc = null) {
+      const end = start + Math.max(size, 1);
+      const write = operation === 'WRITE';
+      this.currentPc = pc;
+
+      if (this.levels.length === 0) {
+        // Without caches the range goes to memory in one request, at the
+        // physical address of its first byte
+        const { address, cycles } = this.translate(start, write, 0);
+        this.memoryAccesses++;
+        this.startLine(this.core.cycles + cycles);
+        if (write) {
+          this.dramWrite(end - start, address, true);
+        } else {
+          this.dramRead(end - start, address);
+        }
+        return { cacheLevel: null, latency: cycles + this.lineMemoryCycles };
+      }
+
+      const { lineSize } = this.levels[0];
+      let depth = 0;
+      let latency = 0;
+
+      for (let line = start - (start % lineSize); line < end; line += lineSize) {
+        const bytes = Math.min(end, line + lineSize) - Math.max(start, line);
+        const { address, cycles } = this.translate(line, write, latency);
+        latency += cycles;
+
+        this.startLine(this.core.cycles + latency + this.lookupLatency[this.levels.length - 1], write);
+        const lineDepth = write ? this.writeLine(0, address, bytes, true) : this.readLine(0, address);
+        if (write && this.coherence) this.takeOwnership(address);
+        depth = Math.max(depth, lineDepth);
+        latency += this.serveLine(lineDepth);
+      }
+
+      return { cacheLevel: depth < this.levels.length ? this.levels[depth].name : null, latency };
+    }
+
+    // Physical address of a virtual one in the current address space, and
+    // the cycles translating it took: the TLB lookup, then on a miss the page
+    // walk (each entry read through the caches like any other line) and any
+    // page fault. elapsed is how far into the request translation starts.
+    translate(address, write, elapsed) {
+      if (!this.virtualMemory) return { address, cycles: 0 };
+
+      const translation = this.virtualMemory.translate(this.space.id, address, write);
+      let cycles = this.virtualMemory.tlb.latency;
+      let walkCycles = 0;
+      const { currentPc } = this;
+      this.currentPc = PAGE_WALK_PC;
+
+      translation.walk.forEach(entry => {
+        const issueTime = this.core.cycles + elapsed + cycles + walkCycles;
+        if (this.levels.length === 0) {
+          this.memoryAccesses++;
+          this.startLine(issueTime);
+          this.dramRead(VirtualMemory.PTE_SIZE, entry);
+          walkCycles += this.lineMemoryCycles;
+        } else {
+          this.startLine(issueTime + this.lookupLatency[this.levels.length - 1]);
+          walkCycles += this.serveLine(this.readLine(0, entry));
+        }
+      });
+
+      this.currentPc = currentPc;
+      this.virtualMemory.stats.walkCycles += walkCycles;
+      cycles += walkCycles + translation.faultCycles;
+      return { address: translation.physical, cycles };
+    }
+
+    // Cycles of a demand line served at levels[depth], counted towards the
+    // memory accesses and the miss penalties of the levels it missed
+    serveLine(depth) {
+      const cycles = this.lineLatency(depth);
+
+      if (depth === this.levels.length) this.memoryAccesses++;
+      for (let missed = 0; missed < Math.min(depth, this.levels.length); missed++) {
+        this.missPenaltyCycles[missed] += cycles - this.lookupLatency[missed];
+      }
+      return cycles;
+    }
+
+    // Lines are served one after another, so a line's memory request issues
+    // once the lookups of every line before it and its own have finished.
+    // Each core keeps its own clock.
+    startLine(issueTime, write = false) {
+      this.issueTime = issueTime;
+      this.lineMemoryCycles = this.memoryLatency;
+      this.lineCoherenceCycles = 0;
+      this.currentWrite = write;
+    }
+
+    // Cycles for a line served at levels[depth] (levels.length: memory).
+    // Write-backs and written-through stores are buffered and cost nothing
+    // beyond keeping their DRAM bank busy.
+    lineLatency(depth) {
+      const last = this.levels.length - 1;
+      const cycles = depth <= last ? this.lookupLatency[depth] : this.lookupLatency[last] + this.lineMemoryCycles;
+      return cycles + this.lineCoherenceCycles;
+    }
+
+    // Demand read of a line, arriving at levels[index]. Returns the index of
+    // the level that had it (levels.length: main memory).
+    readLine(index, address) {
+      if (index === this.levels.length) {
+        this.dramRead(this.levels[index - 1].lineSize, address);
+        return index;
+      }
+      // A private miss: another core may hold the line, dirty even
+      if (index === this.sharedIndex && this.coherence && this.snoop(address, this.currentWrite)) return index;
+
+      const firstUse = this.isUnusedPrefetch(index, address);
+      if (this.levels[index].access(address)) {
+        this.prefetch(index, address, true, firstUse);
+        return index;
+      }
+
+      const depth = this.fetchLine(index, address);
+      this.prefetch(index, address, false);
+      return depth;
+    }
+
+    // Bring a line missing from levels[index] in from below. Normally it is
+    // filled into every level on the way up; in an exclusive hierarchy it
+    // moves out of the level that had it, dirty bit and all. A line waiting
+    // in the level's prefetch buffers is taken from there.
+    fetchLine(index, address) {
+      const level = this.levels[index];
+      const line = level.lineAddress(address);
+      if (level.prefetcher && !this.heldElsewhere(index, line) && level.prefetcher.claim(line)) {
+        this.fillLine(index, address);
+        this.notePrivateFill(index, line);
+        return index;
+      }
+
+      if (this.inclusion !== 'exclusive') {
+        const depth = this.readLine(index + 1, address);
+        this.fillLine(index, address);
+        return depth;
+      }
+
+      let depth = index + 1;
+      while (depth < this.levels.length && !this.levels[depth].access(address)) depth++;
+      for (let looked = index + 1; looked <= Math.min(depth, this.levels.length - 1); looked++) {
+        this.prefetch(looked, address, looked === depth);
+      }
+
+      let dirty = false;
+      if (depth < this.levels.length) {
+        dirty = this.levels[depth].invalidate(address).dirty;
+      } else {
+        this.dramRead(this.levels[index].lineSize, address);
+      }
+
+      this.fillLine(index, address, dirty);
+      return depth;
+    }
+
+    // Write of bytes within a line, arriving at levels[index]: a store from
+    // the CPU (demand) or a line written back or through from above. A
+    // write-back level keeps it as a dirty line, a write-through level also
+    // passes it on, and a miss without write-allocate goes straight down.
+    // Returns the index of the level that took the write.
+    writeLine(index, address, bytes, demand) {
+      if (index === this.levels.length) {
+        this.dramWrite(bytes, address, demand);
+        return index;
+      }
+
+      const level = this.levels[index];
+      let depth = index;
+      const firstUse = demand && this.isUnusedPrefetch(index, address);
+      const hit = demand ? level.access(address, true) : level.contains(address);
+      let present = hit;
+      // Lines only enter an exclusive hierarchy at the top
+      const allocate = level.writeAllocate && (demand || this.inclusion !== 'exclusive');
+
+      if (!present && !allocate) {
+        return this.writeLine(index + 1, address, bytes, demand);
+      }
+
+      if (!present) {
+        // Only a write covering the whole line can skip fetching the rest
+        if (bytes < level.lineSize || this.inclusion === 'exclusive') {
+          depth = this.fetchLine(index, address);
+        } else {
+          this.fillLine(index, address);
+        }
+        present = true;
+      }
+
+      if (level.isWriteBack()) {
+        level.markDirty(address);
+      } else {
+        level.stats.writeBytes += bytes;
+        this.writeLine(index + 1, address, bytes, false);
       }
-  
+      if (demand) this.prefetch(index, address, hit, firstUse);
+      return depth;
+    }
+
+    isUnusedPrefetch(index, address) {
+      const level = this.levels[index];
+      if (!level.prefetcher) return false;
+      const line = level.findLine(address);
+      return Boolean(line && line.prefetched);
+    }
+
+    // Train levels[index]'s prefetcher on a demand access and fetch the
+    // lines it asks for. Prefetches are off the critical path: they move
+    // lines and cause traffic but add no latency to the request.
+    prefetch(index, address, hit, firstUse = false) {
+      const level = this.levels[index];
+      if (!level.prefetcher) return;
+
+      const last = this.levels.length;
+      const trigger = level.lineAddress(address);
+      const pageSize = this.virtualMemory ? this.virtualMemory.pageSize : PREFETCH_PAGE_SIZE;
+      const page = Math.floor(trigger / pageSize);
+      const lines = level.prefetcher.observe({ address: trigger, hit, firstUse, pc: this.currentPc });
+      const memoryCycles = this.lineMemoryCycles;
+
+      lines.forEach(line => {
+        if (Math.floor(line / pageSize) !== page) {
+          level.prefetcher.drop(line);
+          return;
+        }
+        level.prefetchStats.requests++;
+        // Stream buffers fetch without looking at the level, like the
+        // hardware; they are only consulted on its misses
+        if (level.prefetcher.fillsCache && level.contains(line)) {
+          level.prefetchStats.redundant++;
+          return;
+        }
+
+        // Only lines no other core holds are prefetched into private levels
+        if (this.heldElsewhere(index, line)) {
+          level.prefetcher.drop(line);
+          return;
+        }
+
+        let depth = index + 1;
+        while (depth < last && !this.levels[depth].contains(line)) depth++;
+        level.prefetchStats.fills++;
+        if (depth === last) this.dramRead(this.levels[last - 1].lineSize, line);
+        // Stream buffers keep the line to themselves
+        if (!level.prefetcher.fillsCache) return;
+
+        if (this.inclusion === 'exclusive') {
+          const dirty = depth < last ? this.levels[depth].invalidate(line).dirty : false;
+          this.fillLine(index, line, dirty, true);
+          return;
+        }
+        for (let fill = Math.min(depth, last) - 1; fill >= index; fill--) {
+          this.fillLine(fill, line, false, fill === index);
+        }
+        this.notePrivateFill(index, line);
+      });
+
+      this.lineMemoryCycles = memoryCycles;
+    }
+
+    // Fill a line into levels[index] and deal with the victim: in an
+    // exclusive hierarchy it moves one level down, otherwise it is written
+    // back if dirty. Inclusive hierarchies first drop copies above.
+    fillLine(index, address, dirty = false, prefetched = false) {
+      const level = this.levels[index];
+      const evicted = level.fill(address, dirty, prefetched);
+      if (!evicted) return;
+
+      if (this.inclusion === 'inclusive' && this.backInvalidate(index, evicted)) {
+        evicted.dirty = true;
+      }
+
+      if (this.inclusion === 'exclusive' && index + 1 < this.levels.length) {
+        if (evicted.dirty) level.stats.writebacks++;
+        level.stats.writeBytes += level.lineSize;
+        this.fillLine(index + 1, evicted.address, evicted.dirty);
+      } else if (evicted.dirty) {
+        level.stats.writebacks++;
+        level.stats.writeBytes += level.lineSize;
+        this.writeLine(index + 1, evicted.address, level.lineSize, false);
+      }
+    }
+
+    // Invalidate the copies above levels[index] of a line it evicted. True
+    // when one of them was dirty, so the newer data goes down with the line.
+    // A shared level's evictions reach every core's private levels.
+    backInvalidate(index, evicted) {
+      const { lineSize } = this.levels[index];
+      const cores = index >= this.sharedIndex ? this.cores : [this.core];
+      const uppers = cores.flatMap(core => core.levels.slice(0, Math.min(index, this.sharedIndex)))
+        .concat(this.levels.slice(this.sharedIndex, index));
+      let dirty = false;
+
+      uppers.forEach(level => {
+        for (let address = evicted.address; address < evicted.address + lineSize; address += level.lineSize) {
+          const removed = level.invalidate(address);
+          if (removed) {
+            level.stats.backInvalidations++;
+            dirty = dirty || removed.dirty;
+          }
+        }
+      });
+      return dirty;
+    }
+
+    // Coherence state of a line in a core's private levels
+    lineState(core, line) {
+      const states = this.directory.get(line);
+      const state = states && states.get(core.id);
+      if (!state) return 'I';
+      // Lines leave private levels without telling the directory
+      if (core.levels.slice(0, this.sharedIndex).some(level => level.contains(line))) return state;
+
+      states.delete(core.id);
+      if (states.size === 0) this.directory.delete(line);
+      return 'I';
+    }
+
+    setLineState(core, line, state) {
+      if (state === 'I') {
+        const states = this.directory.get(line);
+        if (!states) return;
+        states.delete(core.id);
+        if (states.size === 0) this.directory.delete(line);
+        return;
+      }
+      if (!this.directory.has(line)) this.directory.set(line, new Map());
+      this.directory.get(line).set(core.id, state);
+    }
+
+    // Whether a core other than the current one holds a line that would be
+    // filled into the private levels[index]
+    heldElsewhere(index, line) {
+      if (!this.coherence || index >= this.sharedIndex) return false;
+      return this.cores.some(core => core !== this.core && this.lineState(core, line) !== 'I');
+    }
+
+    // A line prefetched into the current core's private levels without a
+    // snoop is one no other core holds
+    notePrivateFill(index, line) {
+      if (!this.coherence || index >= this.sharedIndex || this.lineState(this.core, line) !== 'I') return;
+      this.setLineState(this.core, line, this.coherence === 'msi' ? 'S' : 'E');
+    }
+
+    // A private miss of the current core. A dirty copy (M or O) elsewhere
+    // supplies the line itself (an intervention); a read leaves the other
+    // copies shared (MESI writes a Modified one back first, MOESI keeps it
+    // as Owned) and a write invalidates them. True when another core
+    // supplied the line.
+    snoop(line, write) {
+      const core = this.core;
+      let supplied = false;
+      let shared = false;
+      let involved = false;
+
+      if (core.invalidated.delete(line)) {
+        core.coherenceMisses++;
+        this.coherenceStats.coherenceMisses++;
+      }
+
+      this.cores.forEach(other => {
+        if (other === core) return;
+        const state = this.lineState(other, line);
+        if (state === 'I') return;
+
+        involved = true;
+        if (state === 'M' || state === 'O') {
+          supplied = true;
+          this.coherenceStats.interventions++;
+        }
+        if (write) {
+          this.invalidateCore(other, line);
+          return;
+        }
+
+        shared = true;
+        if (state === 'M' && this.coherence !== 'moesi') {
+          other.levels.slice(0, this.sharedIndex).forEach(level => level.markClean(line));
+          this.coherenceStats.writebacks++;
+          this.writeLine(this.sharedIndex, line, this.levels[this.sharedIndex].lineSize, false);
+          this.setLineState(other, line, 'S');
+        } else if (state === 'M') {
+          this.setLineState(other, line, 'O');
+        } else if (state === 'E') {
+          this.setLineState(other, line, 'S');
+        }
+      });
+
+      let state = 'S';
+      if (write) {
+        state = 'M';
+      } else if (!shared && this.coherence !== 'msi') {
+        state = 'E';
+      }
+      this.setLineState(core, line, state);
+      if (involved) this.lineCoherenceCycles += this.coherenceLatency;
+      return supplied;
+    }
+
+    // After a store by the current core it must be the only holder, in M.
+    // E becomes M silently; from S or O (or a line the store didn't bring
+    // in) the other copies are invalidated by a bus transaction.
+    takeOwnership(address) {
+      const core = this.core;
+      const line = this.levels[0].lineAddress(address);
+      const state = this.lineState(core, line);
+      if (state === 'M') return;
+
+      const holds = core.levels.slice(0, this.sharedIndex).some(level => level.contains(line));
+      if (state === 'E') {
+        this.setLineState(core, line, 'M');
+        return;
+      }
+
+      let invalidated = false;
+      this.cores.forEach(other => {
+        if (other === core || this.lineState(other, line) === 'I') return;
+        this.invalidateCore(other, line);
+        invalidated = true;
+      });
+
+      if (state === 'S' || state === 'O') this.coherenceStats.upgrades++;
+      if (state === 'S' || state === 'O' || invalidated) this.lineCoherenceCycles += this.coherenceLatency;
+      this.setLineState(core, line, holds ? 'M' : 'I');
+    }
+
+    // Drop another core's private copies of a line; any dirty data has
+    // passed to the writer
+    invalidateCore(core, line) {
+      core.levels.slice(0, this.sharedIndex).forEach(level => {
+        level.invalidate(line);
+        if (level.prefetcher) level.prefetcher.drop(line);
+      });
+      this.setLineState(core, line, 'I');
+      core.invalidated.add(line);
+      if (core.invalidated.size > MAX_ACCESS_HISTORY) core.invalidated.delete(core.invalidated.values().next().value);
+      this.coherenceStats.invalidations++;
+    }
+
+    dramRead(bytes, address) {
+      this.dram.reads++;
+      this.dram.readBytes += bytes;
+      if (this.dramModel) this.lineMemoryCycles = this.dramModel.access(address, this.issueTime).latency;
+    }
+
+    // Only a store from the CPU that missed every level waits for DRAM
+    dramWrite(bytes, address, demand = false) {
+      this.dram.writes++;
+      this.dram.writeBytes += bytes;
+      if (this.dramModel) {
+        const { latency } = this.dramModel.access(address, this.issueTime, true);
+        if (demand) this.lineMemoryCycles = latency;
+      }
+    }
+
+    // Run parsed trace entries through the caches, each from its core; no
+    // data is stored. Unlike a write, an access running past the end of
+    // memory is an error rather than clipped, since the trace is wrong.
+    replay(trace) {
+      trace.forEach(({ address, operation, size, pc, core }) => {
+        this.validateAddress(address);
+        if (address + size > this.addressLimit) {
+          throw new Error(`Access of ${size} bytes at ${address} runs past the end of memory at ${this.addressLimit}`);
+        }
+        this.switchCore(core);
+        const { cacheLevel, latency } = this.accessRange({ start: address, size }, operation, pc);
+        this.recordAccess(operation, address, cacheLevel, latency, Date.now());
+      });
+      this.switchCore(0);
+    }
+
+    recordAccess(operation, address, cacheLevel, latency, timestamp) {
+      this.totalAccesses++;
+      this.totalCycles += latency;
+      this.core.accesses++;
+      this.core.cycles += latency;
+      const bucket = latencyBucket(latency);
+      this.latencyHistogram.set(bucket, (this.latencyHistogram.get(bucket) || 0) + 1);
+
       this.accessHistory.push({
-        operation: 'READ',
+        operation,
         address,
         timestamp,
         cacheHit: cacheLevel !== null,
-        cacheLevel
+        cacheLevel,
+        latency
       });
-  
-      return entry ? { ...entry, cacheLevel } : null;
-    }
-  
-    updateCache(level, address, entry) {
-      const cache = this.cache[level];
-      const maxSize = this.getCacheSize(level);
-  
-      if (cache.size >= maxSize) {
-        const oldestAddress = this.findLRUAddress(cache);
-        cache.delete(oldestAddress);
-      }
-  
-      cache.set(address, { ...entry, cachedAt: Date.now() });
-    }
-  
-    getCacheSize(level) {
-      const sizes = { L1: 32, L2: 256, L3: 8192 }; // In entries
-      return sizes[level] || 32;
-    }
-  
-    findLRUAddress(cache) {
-      let oldestTime = Date.now();
-      let oldestAddress = null;
-  
-      for (const [address, entry] of cache.entries()) {
-        if (entry.lastAccessed < oldestTime) {
-          oldestTime = entry.lastAccessed;
-          oldestAddress = address;
-        }
-      }
-  
-      return oldestAddress;
+      if (this.accessHistory.length > MAX_ACCESS_HISTORY) this.accessHistory.shift();
     }
-  
+
     calculateSize(data) {
       return JSON.stringify(data).length;
     }
-  
+
     getMemoryStats() {
-      const totalAccesses = this.accessHistory.length;
       const recentAccesses = this.accessHistory.slice(-100);
-      
+
       return {
         totalSize: this.size,
-        usedMemory: this.memory.size,
-        cacheStats: {
-          L1: {
-            size: this.cache.L1.size,
-            hitRate: totalAccesses > 0 ? (this.hitRates.L1 / totalAccesses) * 100 : 0
-          },
-          L2: {
-            size: this.cache.L2.size,
-            hitRate: totalAccesses > 0 ? (this.hitRates.L2 / totalAccesses) * 100 : 0
-          },
-          L3: {
-            size: this.cache.L3.size,
-            hitRate: totalAccesses > 0 ? (this.hitRates.L3 / totalAccesses) * 100 : 0
-          }
-        },
+        usedMemory: [...this.spaces.values()].reduce((sum, space) => sum + space.memory.size, 0),
+        allocatedBytes: [...this.spaces.values()].reduce((sum, space) => sum + space.nextFree, 0),
+        totalAccesses: this.totalAccesses,
+        cacheStats: Object.fromEntries(this.levels.map(level => [level.name, level.getStats()])),
+        memoryAccesses: this.memoryAccesses,
+        dram: this.getDramStats(),
+        hierarchy: this.getHierarchyStats(),
+        latency: this.getLatencyStats(),
+        prefetching: this.getPrefetchStats(),
+        coherence: this.getCoherenceStats(),
+        virtualMemory: this.virtualMemory ? this.virtualMemory.getStats() : null,
         recentAccesses,
         performance: this.calculatePerformance()
       };
     }
-  
+
+    // DRAM traffic, with bytes per request as a bandwidth figure that doesn't
+    // depend on wall-clock time, and the timing model's row buffer and bank
+    // figures when one is configured
+    getDramStats() {
+      const perAccess = (bytes) => (this.totalAccesses > 0 ? bytes / this.totalAccesses : 0);
+      return {
+        ...this.dram,
+        readBytesPerAccess: perAccess(this.dram.readBytes),
+        writeBytesPerAccess: perAccess(this.dram.writeBytes),
+        timing: this.dramModel ? this.dramModel.getStats() : null
+      };
+    }
+
+    // Protocol counters and each core's clock and private levels; null on a
+    // single core. Cache stats elsewhere are those of the current core.
+    getCoherenceStats() {
+      if (!this.coherence) return null;
+
+      return {
+        protocol: this.coherence,
+        cores: this.cores.length,
+        coherenceLatency: this.coherenceLatency,
+        sharedLevel: this.levels[this.sharedIndex] ? this.levels[this.sharedIndex].name : null,
+        trackedLines: this.directory.size,
+        ...this.coherenceStats,
+        perCore: this.cores.map(core => ({
+          id: core.id,
+          accesses: core.accesses,
+          cycles: core.cycles,
+          coherenceMisses: core.coherenceMisses,
+          caches: Object.fromEntries(core.levels.slice(0, this.sharedIndex).map(level => [level.name, level.getStats()]))
+        }))
+      };
+    }
+
+    // Accuracy, coverage and pollution of each level's prefetcher
+    getPrefetchStats() {
+      return Object.fromEntries(this.levels
+        .filter(level => level.prefetcher)
+        .map(level => [level.name, { prefetcher: level.prefetcher.type, ...level.getPrefetchStats() }]));
+    }
+
+    // Capacity the inclusion mode spends on keeping the same line at several
+    // levels: duplicatedBytes counts every copy beyond the lowest one
+    getHierarchyStats() {
+      const totalBytes = this.levels.reduce((sum, level) => sum + level.size, 0);
+      const residentBytes = this.levels.reduce((sum, level) => sum + level.validLines * level.lineSize, 0);
+      let duplicatedBytes = 0;
+
+      this.levels.forEach((level, index) => {
+        const lower = this.levels.slice(index + 1);
+        level.residentLines().forEach(address => {
+          if (lower.some(below => below.contains(address))) duplicatedBytes += level.lineSize;
+        });
+      });
+
+      return {
+        inclusion: this.inclusion,
+        totalBytes,
+        residentBytes,
+        duplicatedBytes,
+        uniqueBytes: residentBytes - duplicatedBytes,
+        backInvalidations: this.levels.reduce((sum, level) => sum + level.stats.backInvalidations, 0)
+      };
+    }
+
+    // Modelled latencies. missPenalty is the average number of cycles a miss
+    // at each level adds beyond that level's own lookup.
+    getLatencyStats() {
+      const missPenalty = {};
+      this.levels.forEach((level, index) => {
+        missPenalty[level.name] = level.stats.misses > 0 ? this.missPenaltyCycles[index] / level.stats.misses : 0;
+      });
+
+      const histogram = [...this.latencyHistogram.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([low, count]) => ({ cycles: low < 2 ? `${low}` : `${low}-${low * 2 - 1}`, count }));
+
+      return {
+        memoryLatency: this.memoryLatency,
+        memoryAccessTime: this.memoryAccessTime(),
+        totalCycles: this.totalCycles,
+        elapsedCycles: this.elapsedCycles(),
+        averageLatency: this.totalAccesses > 0 ? this.totalCycles / this.totalAccesses : 0,
+        amat: this.calculateAMAT(),
+        missPenalty,
+        histogram
+      };
+    }
+
+    // Average memory access time per line, from each level's hit latency
+    // and local miss rate: AMAT = t1 + m1 * (t2 + m2 * (... + memory access time))
+    calculateAMAT() {
+      return this.levels.reduceRight((below, level) => {
+        const { hits, misses } = level.stats;
+        const missRate = hits + misses > 0 ? misses / (hits + misses) : 0;
+        return level.latency + missRate * below;
+      }, this.memoryAccessTime());
+    }
+
+    // Average cycles to serve a line from memory: the DRAM model's observed
+    // read latency once it has served some, memoryLatency otherwise
+    memoryAccessTime() {
+      if (!this.dramModel || this.dramModel.stats.reads === 0) return this.memoryLatency;
+      return this.dramModel.stats.readLatency / this.dramModel.stats.reads;
+    }
+
+    // Cycles until the busiest core is done; cores run side by side
+    elapsedCycles() {
+      return Math.max(...this.cores.map(core => core.cycles));
+    }
+
+    // Latency figures are modelled cycles, not wall-clock time. Each core
+    // serves its requests one at a time, so throughput is requests per
+    // elapsed cycle.
     calculatePerformance() {
-      const recentAccesses = this.accessHistory.slice(-50);
-      const avgLatency = recentAccesses.reduce((sum, access, index, arr) => {
-        if (index === 0) return 0;
-        return sum + (access.timestamp - arr[index - 1].timestamp);
-      }, 0) / Math.max(recentAccesses.length - 1, 1);
-  
+      const elapsed = this.elapsedCycles();
       return {
-        averageLatency: avgLatency,
-        throughput: recentAccesses.length / 10,
+        averageLatency: this.totalAccesses > 0 ? this.totalCycles / this.totalAccesses : 0,
+        amat: this.calculateAMAT(),
+        throughput: elapsed > 0 ? this.totalAccesses / elapsed : 0,
         efficiency: this.calculateEfficiency()
       };
     }
-  
+
+    // What a replayed trace did to each level and to main memory
+    getReplayStats() {
+      const levels = {};
+      this.levels.forEach(level => {
+        const { hits, misses, evictions, writebacks, hitRate } = level.getStats();
+        levels[level.name] = { hits, misses, evictions, writebacks, hitRate };
+      });
+
+      return {
+        levels,
+        memoryAccesses: this.memoryAccesses,
+        dram: this.getDramStats(),
+        amat: this.calculateAMAT(),
+        averageLatency: this.getLatencyStats().averageLatency,
+        efficiency: this.calculateEfficiency()
+      };
+    }
+
+    // Share of line lookups served by some cache level
     calculateEfficiency() {
-      const totalHits = this.hitRates.L1 + this.hitRates.L2 + this.hitRates.L3;
-      const totalAccesses = this.accessHistory.length;
-      return totalAccesses > 0 ? (totalHits / totalAccesses) * 100 : 0;
+      if (this.levels.length === 0) return 0;
+
+      const { hits, misses } = this.levels[0].stats;
+      const lookups = hits + misses;
+      return lookups > 0 ? ((lookups - this.memoryAccesses) / lookups) * 100 : 0;
     }
   }
-  
+
+// Replay one trace on fresh copies of a hierarchy, once per replacement
+// policy (applied to every level) under the same inclusion mode. Randomized
+// policies share one seed, so the comparison is repeatable.
+ClassicalMemory.comparePolicies = (trace, options = {}) => {
+  const {
+    policies = listReplacementPolicies(),
+    caches = {},
+    inclusion,
+    memoryLatency,
+    dram,
+    virtualMemory,
+    cores,
+    coherence,
+    coherenceLatency,
+    memorySize = 1024,
+    seed = randomSeed()
+  } = options;
+  const accesses = parseTrace(trace);
+  const levelNames = buildCacheLevels(caches).map(level => level.name);
+
+  const results = policies.map(policy => {
+    const levelConfigs = { ...caches };
+    levelNames.forEach(name => { levelConfigs[name] = { ...caches[name], policy }; });
+    const memory = new ClassicalMemory(memorySize, {
+      caches: levelConfigs,
+      inclusion,
+      memoryLatency,
+      dram,
+      virtualMemory,
+      cores,
+      coherence,
+      coherenceLatency,
+      random: createRandom(seed)
+    });
+    memory.replay(accesses);
+
+    return {
+      policy: memory.levels.length > 0 ? memory.levels[0].policyName : policy,
+      ...memory.getReplayStats()
+    };
+  });
+
+  const best = results.reduce((winner, result) => (
+    winner === null || result.memoryAccesses < winner.memoryAccesses ? result : winner
+  ), null);
+
+  return { seed, accesses: accesses.length, results, best: best ? best.policy : null };
+};
+
+ClassicalMemory.parseTrace = parseTrace;
+ClassicalMemory.MAX_ACCESS_SIZE = MAX_ACCESS_SIZE;
+
   module.exports = ClassicalMemory;
\ No newline at end of file
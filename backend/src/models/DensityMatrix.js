@@ -0,0 +1,208 @@
+const QuantumBackend = require('./QuantumBackend');
+const { applyMatrix, conjugate } = require('../utils/linearAlgebra');
+
+// 4^n complex entries, so this mode is kept much smaller than StateVector
+const MAX_QUBITS = 10;
+const EPSILON = 1e-12;
+
+// Mixed-state simulator. ρ is stored row-major as a 2^(2n) vector, entry
+// (i, j) at index (i << n) | j, so row bits sit above column bits and the
+// state-vector kernels can act on either side.
+class DensityMatrix extends QuantumBackend {
+  constructor(numQubits = 1, options = {}) {
+    if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > MAX_QUBITS) {
+      throw new Error(`Density matrix supports 1 to ${MAX_QUBITS} qubits`);
+    }
+
+    super(numQubits, 'densitymatrix', options);
+    this.dimension = 1 << numQubits;
+    this.real = new Float64Array(this.dimension * this.dimension);
+    this.imag = new Float64Array(this.dimension * this.dimension);
+    this.resetState();
+  }
+
+  // Return to the pure state |0...0⟩⟨0...0|
+  resetState() {
+    this.real.fill(0);
+    this.imag.fill(0);
+    this.real[0] = 1;
+  }
+
+  validateQubits(qubits) {
+    const seen = new Set();
+    for (const qubit of qubits) {
+      if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.numQubits) {
+        throw new Error('Qubit index out of range');
+      }
+      if (seen.has(qubit)) {
+        throw new Error(`Qubit ${qubit} used more than once in the same gate`);
+      }
+      seen.add(qubit);
+    }
+  }
+
+  rowBits(qubits) {
+    return qubits.map(qubit => qubit + this.numQubits);
+  }
+
+  index(row, col) {
+    return (row << this.numQubits) | col;
+  }
+
+  // ρ -> U ρ U†: U acts on the row bits, conj(U) on the column bits
+  applyMatrix(matrix, targets, controls = []) {
+    this.validateQubits([...targets, ...controls]);
+    this.sandwich(this.real, this.imag, matrix, targets, controls);
+  }
+
+  sandwich(real, imag, matrix, targets, controls = []) {
+    applyMatrix(real, imag, matrix, this.rowBits(targets), this.rowBits(controls));
+    applyMatrix(real, imag, conjugate(matrix), targets, controls);
+  }
+
+  // Exact channel application: ρ -> Σ K ρ K†
+  applyKraus(operators, qubit) {
+    this.validateQubits([qubit]);
+    const sumReal = new Float64Array(this.real.length);
+    const sumImag = new Float64Array(this.imag.length);
+
+    for (const operator of operators) {
+      const real = Float64Array.from(this.real);
+      const imag = Float64Array.from(this.imag);
+      this.sandwich(real, imag, operator, [qubit]);
+
+      for (let i = 0; i < real.length; i++) {
+        sumReal[i] += real[i];
+        sumImag[i] += imag[i];
+      }
+    }
+
+    this.real = sumReal;
+    this.imag = sumImag;
+  }
+
+  probabilityOfOne(qubit) {
+    this.validateQubits([qubit]);
+    const bit = 1 << qubit;
+    let probability = 0;
+
+    for (let i = 0; i < this.dimension; i++) {
+      if (i & bit) probability += this.real[this.index(i, i)];
+    }
+
+    return Math.min(1, Math.max(0, probability));
+  }
+
+  // Projective Z-basis measurement: ρ -> P ρ P / Tr(P ρ)
+  measureQubit(qubit) {
+    const probabilityOne = this.probabilityOfOne(qubit);
+    const outcome = this.random() < probabilityOne ? 1 : 0;
+    const probability = outcome === 1 ? probabilityOne : 1 - probabilityOne;
+    const bit = 1 << qubit;
+
+    for (let row = 0; row < this.dimension; row++) {
+      const rowMatches = ((row & bit) !== 0 ? 1 : 0) === outcome;
+      for (let col = 0; col < this.dimension; col++) {
+        const colMatches = ((col & bit) !== 0 ? 1 : 0) === outcome;
+        const i = this.index(row, col);
+        if (rowMatches && colMatches) {
+          this.real[i] /= probability;
+          this.imag[i] /= probability;
+        } else {
+          this.real[i] = 0;
+          this.imag[i] = 0;
+        }
+      }
+    }
+
+    return { outcome, probability };
+  }
+
+  // Partial trace over every qubit except one
+  reducedDensityMatrix(qubit) {
+    this.validateQubits([qubit]);
+    const bit = 1 << qubit;
+    let rho00 = 0;
+    let rho11 = 0;
+    let rho01Real = 0;
+    let rho01Imag = 0;
+
+    for (let i0 = 0; i0 < this.dimension; i0++) {
+      if (i0 & bit) continue;
+      const i1 = i0 | bit;
+      rho00 += this.real[this.index(i0, i0)];
+      rho11 += this.real[this.index(i1, i1)];
+      rho01Real += this.real[this.index(i0, i1)];
+      rho01Imag += this.imag[this.index(i0, i1)];
+    }
+
+    return { rho00, rho11, rho01: { real: rho01Real, imaginary: rho01Imag } };
+  }
+
+  // Probability that the listed qubits read out as the bits of value, with
+  // qubits[0] as the least significant bit
+  probabilityOf(qubits, value) {
+    this.validateQubits(qubits);
+    let mask = 0;
+    let pattern = 0;
+    qubits.forEach((qubit, bit) => {
+      mask |= 1 << qubit;
+      if ((value >> bit) & 1) pattern |= 1 << qubit;
+    });
+
+    let probability = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      if ((i & mask) === pattern) probability += this.real[this.index(i, i)];
+    }
+
+    return probability;
+  }
+
+  getProbabilities() {
+    const probabilities = new Float64Array(this.dimension);
+    for (let i = 0; i < this.dimension; i++) {
+      probabilities[i] = Math.max(0, this.real[this.index(i, i)]);
+    }
+    return probabilities;
+  }
+
+  // Most probable basis states; a mixed state has no amplitudes to report
+  getBasisStates(limit = 16) {
+    const probabilities = this.getProbabilities();
+    const states = [];
+
+    for (let i = 0; i < this.dimension; i++) {
+      if (probabilities[i] > EPSILON) states.push(i);
+    }
+
+    return states
+      .sort((a, b) => probabilities[b] - probabilities[a])
+      .slice(0, limit)
+      .map(index => ({
+        index,
+        bitstring: this.toBitstring(index),
+        probability: probabilities[index]
+      }));
+  }
+
+  // Tr(ρ²): 1 for a pure state, down to 1 / 2^n when maximally mixed
+  purity() {
+    let total = 0;
+    for (let i = 0; i < this.real.length; i++) {
+      total += this.real[i] ** 2 + this.imag[i] ** 2;
+    }
+    return total;
+  }
+
+  trace() {
+    let total = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      total += this.real[this.index(i, i)];
+    }
+    return total;
+  }
+}
+
+DensityMatrix.MAX_QUBITS = MAX_QUBITS;
+
+module.exports = DensityMatrix;
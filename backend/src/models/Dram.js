@@ -0,0 +1,163 @@
+// DRAM timing back end for ClassicalMemory. Timings are in CPU cycles.
+//
+// {
+//   channels: 1, ranks: 1, banks: 8, rowSize: 8192,   // rowSize in bytes
+//   tRCD: 42, tCAS: 42, tRP: 42, tRAS: 96, tBurst: 12,
+//   pagePolicy: 'open'                                // or 'closed'
+// }
+//
+// Addresses map as | row | rank | bank | channel | column |, so consecutive
+// rows' worth of bytes spread over channels and banks. Each bank has one row
+// buffer: with an open-page policy the row stays open after an access, so
+// the next access to it is a row hit (tCAS) and one to another row a
+// conflict (precharge, activate, then read: tRP + tRCD + tCAS, with the
+// precharge no earlier than tRAS after the activate). A closed-page policy
+// precharges after every access, so each access activates its row.
+const DEFAULT_DRAM = {
+  channels: 1,
+  ranks: 1,
+  banks: 8,
+  rowSize: 8192,
+  tRCD: 42,
+  tCAS: 42,
+  tRP: 42,
+  tRAS: 96,
+  tBurst: 12,
+  pagePolicy: 'open'
+};
+
+const PAGE_POLICIES = ['open', 'closed'];
+const TIMINGS = ['tRCD', 'tCAS', 'tRP', 'tRAS', 'tBurst'];
+
+class Dram {
+  constructor(config = {}) {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new Error('dram must be an object of DRAM settings');
+    }
+    this.config = { ...DEFAULT_DRAM, ...config };
+    this.validate();
+
+    const { channels, ranks, banks } = this.config;
+    this.banks = Array.from({ length: channels * ranks * banks }, () => ({
+      openRow: null,
+      activatedAt: -Infinity,
+      readyAt: 0
+    }));
+    this.resetStats();
+  }
+
+  validate() {
+    const { channels, ranks, banks, rowSize, pagePolicy } = this.config;
+
+    [['channels', channels], ['ranks', ranks], ['banks', banks]].forEach(([name, value]) => {
+      if (!(Number.isInteger(value) && value > 0)) throw new Error(`DRAM ${name} must be a positive integer`);
+    });
+    if (!(Number.isInteger(rowSize) && rowSize > 0 && (rowSize & (rowSize - 1)) === 0)) {
+      throw new Error('DRAM rowSize must be a power of two in bytes');
+    }
+    TIMINGS.forEach(name => {
+      const value = this.config[name];
+      if (!(Number.isInteger(value) && value >= 0)) throw new Error(`DRAM ${name} must be a non-negative number of cycles`);
+    });
+    if (!PAGE_POLICIES.includes(pagePolicy)) {
+      throw new Error(`DRAM pagePolicy must be one of ${PAGE_POLICIES.join(', ')}`);
+    }
+  }
+
+  resetStats() {
+    this.stats = {
+      reads: 0,
+      writes: 0,
+      rowHits: 0,
+      rowMisses: 0,
+      rowConflicts: 0,
+      totalLatency: 0,
+      readLatency: 0,
+      queueCycles: 0,
+      busyBanksAtIssue: 0
+    };
+  }
+
+  decompose(address) {
+    const { channels, ranks, banks, rowSize } = this.config;
+    let rest = Math.floor(address / rowSize);
+
+    const channel = rest % channels;
+    rest = Math.floor(rest / channels);
+    const bank = rest % banks;
+    rest = Math.floor(rest / banks);
+    const rank = rest % ranks;
+    const row = Math.floor(rest / ranks);
+
+    return { channel, rank, bank, row, column: address % rowSize, bankIndex: (channel * ranks + rank) * banks + bank };
+  }
+
+  // Serve one line at cycle time. Returns the cycles until its data is
+  // through (including waiting for a busy bank) and the row buffer outcome.
+  access(address, time, write = false) {
+    const { tRCD, tCAS, tRP, tRAS, tBurst, pagePolicy } = this.config;
+    const { row, bankIndex } = this.decompose(address);
+    const bank = this.banks[bankIndex];
+
+    const busyBanks = this.banks.filter(other => other !== bank && other.readyAt > time).length;
+    const start = Math.max(time, bank.readyAt);
+    let outcome;
+    let commandStart = start;
+    let columnAt;
+
+    if (bank.openRow === row) {
+      outcome = 'hit';
+      columnAt = start;
+    } else if (bank.openRow === null) {
+      outcome = 'miss';
+      bank.activatedAt = start;
+      columnAt = start + tRCD;
+    } else {
+      outcome = 'conflict';
+      commandStart = Math.max(start, bank.activatedAt + tRAS);
+      bank.activatedAt = commandStart + tRP;
+      columnAt = bank.activatedAt + tRCD;
+    }
+
+    const done = columnAt + tCAS + tBurst;
+    if (pagePolicy === 'open') {
+      bank.openRow = row;
+      bank.readyAt = done;
+    } else {
+      bank.openRow = null;
+      bank.readyAt = Math.max(done, bank.activatedAt + tRAS) + tRP;
+    }
+
+    const latency = done - time;
+    this.stats[write ? 'writes' : 'reads']++;
+    this.stats[{ hit: 'rowHits', miss: 'rowMisses', conflict: 'rowConflicts' }[outcome]]++;
+    this.stats.totalLatency += latency;
+    if (!write) this.stats.readLatency += latency;
+    this.stats.queueCycles += commandStart - time;
+    this.stats.busyBanksAtIssue += busyBanks + 1;
+
+    return { latency, outcome };
+  }
+
+  getStats() {
+    const { reads, writes, rowHits, rowConflicts, totalLatency, readLatency, queueCycles, busyBanksAtIssue } = this.stats;
+    const accesses = reads + writes;
+    const average = (value) => (accesses > 0 ? value / accesses : 0);
+
+    return {
+      ...this.config,
+      totalBanks: this.banks.length,
+      openRows: this.banks.filter(bank => bank.openRow !== null).length,
+      ...this.stats,
+      rowHitRate: average(rowHits) * 100,
+      rowConflictRate: average(rowConflicts) * 100,
+      averageLatency: average(totalLatency),
+      averageReadLatency: reads > 0 ? readLatency / reads : 0,
+      averageQueueCycles: average(queueCycles),
+      // Banks busy when a request is issued, itself included
+      bankParallelism: average(busyBanksAtIssue)
+    };
+  }
+}
+
+module.exports = Dram;
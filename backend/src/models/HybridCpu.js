@@ -0,0 +1,272 @@
+const { STANDARD_GATES } = require('../utils/qasm');
+const { NUM_REGISTERS, WORD_SIZE, QUANTUM_OPCODES } = require('../utils/assembler');
+
+// Fetch-decode-execute core for programs from utils/assembler, running
+// against a processor's classical and quantum memories. Every instruction
+// takes a cycle; loads and stores add the cycles classical memory took to
+// serve them. The program counter indexes instructions, and running off the
+// end halts like halt does.
+//
+// The data segment is a named allocation in classical memory (so it can't
+// overlap other named data), holding 8-byte words at numeric addresses.
+// Initialised words are stored when the program loads; .space words read
+// as 0 until written.
+const MAX_STEPS = 1000000;
+const MAX_MEASUREMENTS = 100;
+
+// Results wrap to 32-bit two's complement
+const ALU_OPERATIONS = {
+  add: (a, b) => (a + b) | 0,
+  sub: (a, b) => (a - b) | 0,
+  mul: (a, b) => Math.imul(a, b),
+  div: (a, b) => {
+    if (b === 0) throw new Error('Division by zero');
+    return (a / b) | 0;
+  },
+  rem: (a, b) => {
+    if (b === 0) throw new Error('Division by zero');
+    return (a % b) | 0;
+  },
+  and: (a, b) => a & b,
+  or: (a, b) => a | b,
+  xor: (a, b) => a ^ b,
+  shl: (a, b) => a << b,
+  shr: (a, b) => a >> b,
+  slt: (a, b) => (a < b ? 1 : 0)
+};
+
+const BRANCH_CONDITIONS = {
+  beq: (a, b) => a === b,
+  bne: (a, b) => a !== b,
+  blt: (a, b) => a < b,
+  bge: (a, b) => a >= b
+};
+
+class HybridCpu {
+  // options.name names the data segment
+  constructor(program, { classicalMemory, quantumMemory }, options = {}) {
+    if (program.numQubits > quantumMemory.qubits) {
+      throw new Error(`Program needs ${program.numQubits} qubits, processor has ${quantumMemory.qubits}`);
+    }
+
+    this.program = program;
+    this.classicalMemory = classicalMemory;
+    this.quantumMemory = quantumMemory;
+    this.name = options.name || 'program';
+    this.registers = new Array(NUM_REGISTERS).fill(0);
+    this.pc = 0;
+    this.halted = program.instructions.length === 0;
+    this.fault = null;
+    this.steps = 0;
+    this.cycles = 0;
+    this.memoryStallCycles = 0;
+    this.quantumOps = 0;
+    this.classicalOps = 0;
+    // The last MAX_MEASUREMENTS outcomes, oldest first
+    this.measurements = [];
+    this.loadData();
+  }
+
+  loadData() {
+    const { words } = this.program.data;
+    this.dataBase = null;
+    if (words.length === 0) return;
+
+    this.dataBase = this.classicalMemory.allocate(`${this.name}_data`, words.length * WORD_SIZE).start;
+    words.forEach((word, index) => {
+      if (word !== 0) this.classicalMemory.write(this.dataBase + index * WORD_SIZE, word, 'word', `${this.name}_load`, WORD_SIZE);
+    });
+  }
+
+  // Execute one instruction. Returns what ran; a fault halts the program
+  // and is thrown with the line it happened on.
+  step() {
+    if (this.halted) throw new Error(this.fault ? `Program stopped on a fault: ${this.fault}` : 'Program has halted');
+
+    const pc = this.pc;
+    const instruction = this.program.instructions[pc];
+    this.pc++;
+    this.steps++;
+    this.cycles++;
+
+    try {
+      this.execute(instruction, pc);
+    } catch (error) {
+      this.pc = pc;
+      this.halted = true;
+      this.fault = `line ${instruction.line} (${instruction.source}): ${error.message}`;
+      throw new Error(`Program fault at ${this.fault}`);
+    }
+
+    if (this.pc >= this.program.instructions.length) this.halted = true;
+    return { pc, line: instruction.line, source: instruction.source };
+  }
+
+  // Step until the program halts or maxSteps have run. Returns the number
+  // of steps taken.
+  run(maxSteps = MAX_STEPS) {
+    let steps = 0;
+    while (!this.halted && steps < maxSteps) {
+      this.step();
+      steps++;
+    }
+    return steps;
+  }
+
+  // Index (from 0) the next instruction would take among the quantum
+  // operations run, or null when it isn't one. Barriers don't count.
+  nextQuantumOperation() {
+    const next = this.halted ? null : this.program.instructions[this.pc];
+    return next && QUANTUM_OPCODES.includes(next.opcode) && next.opcode !== 'barrier' ? this.quantumOps : null;
+  }
+
+  execute(instruction, pc) {
+    const { opcode, operands } = instruction;
+    const [first, second, third] = operands;
+
+    if (QUANTUM_OPCODES.includes(opcode)) {
+      this.executeQuantum(instruction);
+      return;
+    }
+
+    this.classicalOps++;
+    switch (opcode) {
+      case 'nop':
+        break;
+      case 'halt':
+        this.halted = true;
+        break;
+      case 'li':
+      case 'mov':
+        this.setRegister(first, this.value(second));
+        break;
+      case 'not':
+        this.setRegister(first, ~this.value(second));
+        break;
+      case 'ld':
+        this.setRegister(first, this.loadWord(this.address(second), pc));
+        break;
+      case 'st':
+        this.storeWord(this.address(second), this.value(first), pc);
+        break;
+      case 'jmp':
+        this.pc = first.target;
+        break;
+      default:
+        if (ALU_OPERATIONS[opcode]) {
+          this.setRegister(first, ALU_OPERATIONS[opcode](this.value(second), this.value(third)));
+        } else if (BRANCH_CONDITIONS[opcode](this.value(first), this.value(second))) {
+          this.pc = third.target;
+        }
+    }
+  }
+
+  // barrier only orders operations, and they run in order here anyway
+  executeQuantum(instruction) {
+    const { opcode, operands } = instruction;
+
+    switch (opcode) {
+      case 'gate': {
+        const gate = STANDARD_GATES[instruction.name];
+        const qubits = operands.map(operand => operand.index);
+        const controls = qubits.slice(0, gate.controls);
+        const targets = qubits.slice(gate.controls);
+        this.quantumMemory.applyUnitary(gate.matrix(instruction.params), targets, controls, gate.name);
+        this.quantumOps++;
+        break;
+      }
+      case 'measure': {
+        const [qubit, register] = operands;
+        const outcome = this.quantumMemory.measureQubit(qubit.index);
+        this.setRegister(register, outcome);
+        this.measurements.push({ line: instruction.line, qubit: qubit.index, outcome });
+        if (this.measurements.length > MAX_MEASUREMENTS) this.measurements.shift();
+        this.quantumOps++;
+        this.classicalOps++;
+        break;
+      }
+      case 'reset':
+        this.quantumMemory.resetQubit(operands[0].index);
+        this.quantumOps++;
+        break;
+    }
+  }
+
+  value(operand) {
+    switch (operand.kind) {
+      case 'reg':
+        return this.registers[operand.index];
+      case 'data':
+        return this.dataBase + operand.offset;
+      default:
+        return operand.value;
+    }
+  }
+
+  setRegister(operand, value) {
+    this.registers[operand.index] = value | 0;
+  }
+
+  address(operand) {
+    const base = operand.base !== null ? this.registers[operand.base] : 0;
+    const address = (operand.data ? this.dataBase : 0) + operand.displacement + base;
+    if (address < 0 || address % WORD_SIZE !== 0) {
+      throw new Error(`Address ${address} is not a word address (a non-negative multiple of ${WORD_SIZE})`);
+    }
+    return address;
+  }
+
+  loadWord(address, pc) {
+    const before = this.classicalMemory.totalCycles;
+    const entry = this.classicalMemory.read(address, pc);
+    this.stall(this.classicalMemory.totalCycles - before);
+
+    if (entry === null) return 0;
+    if (!Number.isInteger(entry.data)) throw new Error(`Address ${address} does not hold a word`);
+    return entry.data;
+  }
+
+  storeWord(address, value, pc) {
+    const before = this.classicalMemory.totalCycles;
+    this.classicalMemory.write(address, value, 'word', pc, WORD_SIZE);
+    this.stall(this.classicalMemory.totalCycles - before);
+  }
+
+  stall(cycles) {
+    this.cycles += cycles;
+    this.memoryStallCycles += cycles;
+  }
+
+  // Current values of the data labels, read without touching the caches
+  readData() {
+    return Object.fromEntries(Object.entries(this.program.data.labels).map(([name, { offset, words }]) => [
+      name,
+      Array.from({ length: words }, (_, index) => this.classicalMemory.peek(this.dataBase + offset + index * WORD_SIZE) ?? 0)
+    ]));
+  }
+
+  getState() {
+    const next = this.halted ? null : this.program.instructions[this.pc];
+
+    return {
+      pc: this.pc,
+      line: next ? next.line : null,
+      next: next ? next.source : null,
+      halted: this.halted,
+      fault: this.fault,
+      steps: this.steps,
+      cycles: this.cycles,
+      memoryStallCycles: this.memoryStallCycles,
+      registers: Object.fromEntries(this.registers.map((value, index) => [`r${index}`, value])),
+      dataBase: this.dataBase,
+      data: this.readData(),
+      measurements: this.measurements,
+      quantumOps: this.quantumOps,
+      classicalOps: this.classicalOps
+    };
+  }
+}
+
+HybridCpu.MAX_STEPS = MAX_STEPS;
+
+module.exports = HybridCpu;
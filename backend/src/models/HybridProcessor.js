@@ -1,25 +1,132 @@
 const QuantumMemory = require('./QuantumMemory');
 const ClassicalMemory = require('./ClassicalMemory');
+const NoiseModel = require('./NoiseModel');
+const HybridCpu = require('./HybridCpu');
+const { pauliX, pauliZ, rotationX, rotationZ } = require('../utils/gates');
+const { STANDARD_GATES } = require('../utils/qasm');
+const { assemble } = require('../utils/assembler');
+const { SeededRandom } = require('../utils/random');
+const { defaultSchedulingPolicy, scheduleTasks } = require('./schedulingPolicies');
+
+const MAX_STORED_CIRCUITS = 100;
+const MAX_SHOTS = 100000;
+// Queued task records kept for status queries; the oldest finished ones go
+// first
+const MAX_TRACKED_TASKS = 1000;
+const TASK_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+const BREAKPOINT_TYPES = ['task', 'gate'];
+
+// Queue order: higher priority first, then earlier deadline (none last),
+// then submission order
+const compareQueuedTasks = (a, b) => (
+  b.priority - a.priority ||
+  (a.deadline ?? Infinity) - (b.deadline ?? Infinity) ||
+  a.sequence - b.sequence
+);
+
+// True when the circuit measures a qubit and then keeps using it, resets a
+// qubit or branches on a classical value, so shots cannot share one run
+const hasMidCircuitMeasurement = (operations) => {
+  const measured = new Set();
+
+  return operations.some(operation => {
+    if (operation.type === 'if' || operation.type === 'reset' || operation.condition) return true;
+    if (operation.type === 'measure') {
+      if (measured.has(operation.qubit)) return true;
+      measured.add(operation.qubit);
+      return false;
+    }
+    return operation.type === 'gate' && operation.qubits.some(qubit => measured.has(qubit));
+  });
+};
+
+// Fraction of shots in which each classical bit read 1, keyed 'c[0]'
+const marginalProbabilities = (circuit, counts, shots) => {
+  const marginals = {};
+  const keyOrder = [...circuit.cregs].reverse();
+
+  keyOrder.forEach(reg => {
+    for (let i = 0; i < reg.size; i++) marginals[`${reg.name}[${i}]`] = 0;
+  });
+
+  Object.entries(counts).forEach(([key, count]) => {
+    key.split(' ').forEach((bits, position) => {
+      const reg = keyOrder[position];
+      for (let i = 0; i < reg.size; i++) {
+        if (bits[reg.size - 1 - i] === '1') marginals[`${reg.name}[${i}]`] += count / shots;
+      }
+    });
+  });
+
+  return marginals;
+};
 
 class HybridProcessor {
   constructor(config = {}) {
-    this.quantumMemory = new QuantumMemory(config.qubits || 16);
-    this.classicalMemory = new ClassicalMemory(config.memorySize || 1024);
+    // Every random choice (measurements, noise, qubit picks) is drawn from
+    // this one stream, reseeded per task so each execution can be replayed
+    this.rng = new SeededRandom(config.seed);
+    this.seed = this.rng.seed;
+    this.noiseModel = config.noiseModel ? new NoiseModel(config.noiseModel) : null;
+    this.quantumMemory = new QuantumMemory(config.qubits || 16, {
+      backend: config.quantumBackend,
+      noiseModel: this.noiseModel,
+      random: this.rng.next
+    });
+    this.classicalMemory = new ClassicalMemory(config.memorySize || 1024, {
+      caches: config.caches,
+      inclusion: config.cacheInclusion,
+      memoryLatency: config.memoryLatency,
+      dram: config.dram,
+      virtualMemory: config.virtualMemory,
+      cores: config.classicalCores,
+      coherence: config.coherence,
+      coherenceLatency: config.coherenceLatency,
+      random: this.rng.next
+    });
     this.isRunning = false;
+    // Records of queued tasks in the order they will run, and of every task
+    // queued so far by id. worker is the loop draining the queue, while it
+    // runs.
     this.taskQueue = [];
+    this.tasks = new Map();
+    this.taskSequence = 0;
+    this.runningTask = null;
+    this.worker = null;
+    // A paused processor keeps its queue until resumed or stepped. lastStop
+    // says why and where it last stopped.
+    this.paused = false;
+    this.lastStop = null;
+    this.breakpoints = [];
+    this.breakpointSequence = 0;
     this.executionHistory = [];
+    this.circuits = new Map();
+    // Program loaded for stepping through, and the seed it was loaded with
+    this.cpu = null;
+    this.cpuSeed = null;
     this.config = {
       quantumThreshold: 0.1,
       hybridMode: true,
       optimizationLevel: 2,
-      ...config
+      ...config,
+      seed: this.seed,
+      quantumBackend: this.quantumMemory.backend.name
     };
   }
 
-  // Execute hybrid computation task
-  async executeTask(task) {
+  // Execute hybrid computation task. task.seed replays an earlier execution;
+  // without one the seed is drawn from the processor's stream. With virtual
+  // memory each task runs in an address space of its own, released when it
+  // finishes.
+  async executeTask(task, taskId = this.createTaskId()) {
     const startTime = Date.now();
-    const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const seed = this.rng.reseed(task.seed ?? this.rng.nextSeed());
+    const startCycles = this.classicalMemory.totalCycles;
+    const previousSpace = this.classicalMemory.space.id;
+    const addressSpace = this.classicalMemory.virtualMemory ? this.classicalMemory.createAddressSpace() : previousSpace;
+    this.classicalMemory.switchAddressSpace(addressSpace);
+
+    if (this.noiseModel) this.noiseModel.startRun();
 
     try {
       const result = await this.processHybridTask(task);
@@ -31,9 +138,13 @@ class HybridProcessor {
         result,
         executionTime,
         timestamp: startTime,
+        seed,
+        // Modelled cycles the task's classical memory accesses took
+        memoryStallCycles: this.classicalMemory.totalCycles - startCycles,
         memoryUsage: this.getMemoryUsage(),
         quantumOperations: result.quantumOps || 0,
-        classicalOperations: result.classicalOps || 0
+        classicalOperations: result.classicalOps || 0,
+        ...this.getNoiseReport()
       };
 
       this.executionHistory.push(execution);
@@ -46,12 +157,264 @@ class HybridProcessor {
         error: error.message,
         executionTime: Date.now() - startTime,
         timestamp: startTime,
+        seed,
         failed: true
       };
 
       this.executionHistory.push(execution);
       throw error;
+    } finally {
+      this.classicalMemory.switchCore(0);
+      this.classicalMemory.switchAddressSpace(previousSpace);
+      if (addressSpace !== previousSpace) this.classicalMemory.releaseAddressSpace(addressSpace);
+    }
+  }
+
+  createTaskId() {
+    return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Queue a task to run in the background while the processor is running.
+  // deadline is a time in milliseconds; a task still queued then fails
+  // without running.
+  enqueueTask(task, { priority = 0, deadline = null } = {}) {
+    const record = {
+      id: this.createTaskId(),
+      task,
+      priority,
+      deadline,
+      sequence: this.taskSequence++,
+      status: 'queued',
+      submittedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      execution: null,
+      error: null
+    };
+
+    const position = this.taskQueue.findIndex(queued => compareQueuedTasks(record, queued) < 0);
+    this.taskQueue.splice(position === -1 ? this.taskQueue.length : position, 0, record);
+    this.tasks.set(record.id, record);
+    this.forgetFinishedTasks();
+    this.startWorker();
+    return this.describeTask(record);
+  }
+
+  // Take a queued task off the queue. Returns false if it isn't queued.
+  cancelTask(id) {
+    const record = this.tasks.get(id);
+    if (!record || record.status !== 'queued') return false;
+
+    this.taskQueue.splice(this.taskQueue.indexOf(record), 1);
+    this.finishTask(record, 'cancelled');
+    return true;
+  }
+
+  getTask(id) {
+    const record = this.tasks.get(id);
+    return record ? this.describeTask(record) : null;
+  }
+
+  getQueue() {
+    const counts = Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+    this.tasks.forEach(record => { counts[record.status]++; });
+
+    return {
+      workerActive: this.worker !== null,
+      running: this.runningTask ? this.describeTask(this.runningTask) : null,
+      queued: this.taskQueue.map(record => this.describeTask(record)),
+      counts
+    };
+  }
+
+  describeTask(record) {
+    const { id, task, priority, deadline, status, submittedAt, startedAt, finishedAt, execution, error } = record;
+    return {
+      id,
+      type: task.type,
+      priority,
+      deadline,
+      status,
+      position: status === 'queued' ? this.taskQueue.indexOf(record) : null,
+      submittedAt,
+      startedAt,
+      finishedAt,
+      missedDeadline: deadline !== null && (finishedAt ?? Date.now()) > deadline,
+      execution,
+      error
+    };
+  }
+
+  finishTask(record, status, error = null) {
+    Object.assign(record, { status, error, finishedAt: Date.now() });
+  }
+
+  forgetFinishedTasks() {
+    for (const [id, record] of this.tasks) {
+      if (this.tasks.size <= MAX_TRACKED_TASKS) return;
+      if (record.status !== 'queued' && record.status !== 'running') this.tasks.delete(id);
+    }
+  }
+
+  startWorker() {
+    if (this.worker || !this.isRunning || this.paused) return;
+    this.worker = this.drainQueue().finally(() => { this.worker = null; });
+  }
+
+  // Run queued tasks one at a time until the queue empties, the processor
+  // stops, pauses or reaches a breakpoint, or limit tasks have run (a step
+  // runs them while paused). Each task runs to completion; requests are
+  // served in between, starting with the one that queued the task. Returns
+  // the records of the tasks run.
+  async drainQueue(limit = Infinity) {
+    const stepping = limit !== Infinity;
+    const ran = [];
+
+    for (;;) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!this.isRunning || this.taskQueue.length === 0 || ran.length >= limit) return ran;
+      if (this.paused && !stepping) return ran;
+
+      const record = this.taskQueue[0];
+      const before = this.breakpoints.find(breakpoint => breakpoint.taskId === record.id && breakpoint.hits === 0);
+      if (before) {
+        this.paused = true;
+        this.breakAt(before, { before: record.id });
+        return ran;
+      }
+      this.taskQueue.shift();
+
+      if (record.deadline !== null && Date.now() > record.deadline) {
+        this.finishTask(record, 'failed', 'Deadline passed before the task could start');
+        continue;
+      }
+
+      record.status = 'running';
+      record.startedAt = Date.now();
+      this.runningTask = record;
+      try {
+        record.execution = await this.executeTask(record.task, record.id);
+        this.finishTask(record, 'done');
+      } catch (error) {
+        this.finishTask(record, 'failed', error.message);
+      }
+      this.runningTask = null;
+      ran.push(record);
+
+      const after = this.breakpoints.find(breakpoint => breakpoint.type === 'task' && breakpoint.taskId === null);
+      if (after) {
+        this.paused = true;
+        this.breakAt(after, { after: record.id });
+        return ran;
+      }
+    }
+  }
+
+  // Stop the worker at the next task boundary, waiting for the running task
+  // to finish
+  async pauseProcessing() {
+    if (!this.isRunning) throw new Error('Processor is not running');
+    if (this.paused) throw new Error('Processor is already paused');
+
+    this.paused = true;
+    this.lastStop = { reason: 'pause', at: Date.now() };
+    await this.worker;
+    return this.getSnapshot();
+  }
+
+  resumeProcessing() {
+    if (!this.paused) throw new Error('Processor is not paused');
+
+    this.paused = false;
+    this.lastStop = null;
+    this.startWorker();
+    return this.getSnapshot();
+  }
+
+  // Run the next count queued tasks of a paused processor, fewer if the
+  // queue empties or a breakpoint is reached
+  async stepProcessing(count = 1) {
+    if (!this.paused) throw new Error('Processor must be paused to step');
+
+    while (this.worker) await this.worker;
+    this.lastStop = null;
+    this.worker = this.drainQueue(count).finally(() => { this.worker = null; });
+    const ran = await this.worker;
+    if (!this.lastStop) this.lastStop = { reason: 'step', after: ran.length > 0 ? ran[ran.length - 1].id : null, at: Date.now() };
+
+    return { executed: ran.map(record => this.describeTask(record)), snapshot: this.getSnapshot() };
+  }
+
+  // Breakpoints pause the queue worker and stop stepped programs:
+  //
+  //   { type: 'task' }           after every task
+  //   { type: 'task', taskId }   before that queued task starts (once, as
+  //                              a task only runs once)
+  //   { type: 'gate', index }    before a stepped program runs its quantum
+  //                              operation number index, counting gates,
+  //                              measurements and resets from 0
+  addBreakpoint({ type, taskId = null, index = null } = {}) {
+    if (!BREAKPOINT_TYPES.includes(type)) {
+      throw new Error(`Breakpoint type must be one of: ${BREAKPOINT_TYPES.join(', ')}`);
+    }
+    if (type === 'task' && taskId !== null) {
+      const record = this.tasks.get(taskId);
+      if (!record || record.status !== 'queued') throw new Error(`Task ${taskId} is not queued`);
     }
+    if (type === 'gate' && !(Number.isInteger(index) && index >= 0)) {
+      throw new Error('Gate breakpoint index must be a non-negative integer');
+    }
+
+    const breakpoint = {
+      id: ++this.breakpointSequence,
+      type,
+      taskId: type === 'task' ? taskId : null,
+      index: type === 'gate' ? index : null,
+      hits: 0
+    };
+    this.breakpoints.push(breakpoint);
+    return breakpoint;
+  }
+
+  removeBreakpoint(id) {
+    const position = this.breakpoints.findIndex(breakpoint => breakpoint.id === id);
+    if (position === -1) return false;
+
+    this.breakpoints.splice(position, 1);
+    return true;
+  }
+
+  getBreakpoints() {
+    return this.breakpoints;
+  }
+
+  breakAt(breakpoint, where) {
+    breakpoint.hits++;
+    this.lastStop = { reason: 'breakpoint', breakpoint: breakpoint.id, ...where, at: Date.now() };
+  }
+
+  // Quantum and classical state at a stop, with the queue position and the
+  // stepped program
+  getSnapshot() {
+    return {
+      isRunning: this.isRunning,
+      paused: this.paused,
+      stop: this.lastStop,
+      runningTask: this.runningTask ? this.runningTask.id : null,
+      nextTask: this.taskQueue.length > 0 ? this.describeTask(this.taskQueue[0]) : null,
+      queuedTasks: this.taskQueue.length,
+      program: this.getProgramState(),
+      quantum: this.quantumMemory.getQuantumState(),
+      classical: this.classicalMemory.getMemoryStats()
+    };
+  }
+
+  // Noise sampled during the current task, empty when running noiseless
+  getNoiseReport() {
+    if (!this.noiseModel) return {};
+
+    const noise = this.noiseModel.getRunReport();
+    return { estimatedFidelity: noise.estimatedFidelity, noise };
   }
 
   async processHybridTask(task) {
@@ -71,9 +434,17 @@ class HybridProcessor {
         result = await this.quantumSimulation(data);
         break;
       
+      case 'QUANTUM_CIRCUIT':
+        result = await this.runCircuit(data);
+        break;
+      
       case 'PARALLEL_COMPUTATION':
         result = await this.parallelComputation(data);
         break;
+
+      case 'HYBRID_PROGRAM':
+        result = await this.runProgram(data);
+        break;
       
       default:
         result = await this.classicalComputation(data);
@@ -86,52 +457,82 @@ class HybridProcessor {
     const { searchSpace, target } = data;
     let quantumOps = 0;
 
-    // Prepare qubits for search
-    const requiredQubits = Math.ceil(Math.log2(searchSpace.length));
-    
-    for (let i = 0; i < requiredQubits; i++) {
-      this.quantumMemory.createSuperposition(i);
+    // Index register: one qubit per bit of the search-space index
+    const requiredQubits = Math.max(1, Math.ceil(Math.log2(searchSpace.length)));
+    if (requiredQubits > this.quantumMemory.qubits) {
+      throw new Error(`Search space needs ${requiredQubits} qubits, processor has ${this.quantumMemory.qubits}`);
+    }
+    const register = Array.from({ length: requiredQubits }, (_, i) => i);
+    const targetIndex = searchSpace.indexOf(target);
+
+    // Uniform superposition over every index
+    for (const qubit of register) {
+      this.quantumMemory.resetQubit(qubit);
+      this.quantumMemory.applyGate(qubit, { type: 'HADAMARD' });
       quantumOps++;
     }
 
-    // Apply Grover's algorithm simulation
-    const iterations = Math.floor(Math.PI / 4 * Math.sqrt(searchSpace.length));
-    
+    // Apply Grover's algorithm
+    const iterations = Math.max(1, Math.floor(Math.PI / 4 * Math.sqrt(2 ** requiredQubits)));
+
     for (let iter = 0; iter < iterations; iter++) {
-      // Oracle operation
-      for (let i = 0; i < requiredQubits; i++) {
-        this.quantumMemory.applyGate(i, { type: 'PAULI_Z' });
+      // Oracle operation: phase-flip the target index
+      if (targetIndex >= 0) {
+        quantumOps += this.flipPhaseOfIndex(register, targetIndex);
+      }
+
+      // Diffusion operation: H^n (phase-flip |0...0⟩) H^n
+      for (const qubit of register) {
+        this.quantumMemory.applyGate(qubit, { type: 'HADAMARD' });
         quantumOps++;
       }
-      
-      // Diffusion operation
-      for (let i = 0; i < requiredQubits; i++) {
-        this.quantumMemory.applyGate(i, { type: 'HADAMARD' });
+      quantumOps += this.flipPhaseOfIndex(register, 0);
+      for (const qubit of register) {
+        this.quantumMemory.applyGate(qubit, { type: 'HADAMARD' });
         quantumOps++;
       }
     }
 
-    // Measure result
-    const measurements = [];
-    for (let i = 0; i < requiredQubits; i++) {
-      measurements.push(this.quantumMemory.measureQubit(i));
+    const probability = targetIndex >= 0
+      ? this.quantumMemory.registerProbability(register, targetIndex)
+      : 0;
+
+    // Measure result, qubit i holds bit i of the index
+    let foundIndex = 0;
+    for (const qubit of register) {
+      foundIndex |= this.quantumMemory.measureQubit(qubit) << qubit;
       quantumOps++;
     }
 
-    const foundIndex = parseInt(measurements.join(''), 2);
     const found = foundIndex < searchSpace.length ? searchSpace[foundIndex] : null;
 
     return {
       found,
-      probability: found === target ? 0.85 : 0.15,
+      foundIndex,
+      targetIndex,
+      probability,
+      iterations,
       quantumOps,
       classicalOps: 5,
       algorithm: 'Grover Search'
     };
   }
 
+  // Multiply the amplitude of one register value by -1 using X gates and a
+  // multi-controlled Z. Returns the number of gates applied.
+  flipPhaseOfIndex(register, index) {
+    const flipped = register.filter((qubit, bit) => ((index >> bit) & 1) === 0);
+    const [target, ...controls] = register;
+
+    flipped.forEach(qubit => this.quantumMemory.applyGate(qubit, { type: 'PAULI_X' }));
+    this.quantumMemory.applyUnitary(pauliZ(), [target], controls, controls.length > 0 ? 'MCZ' : 'PAULI_Z');
+    flipped.forEach(qubit => this.quantumMemory.applyGate(qubit, { type: 'PAULI_X' }));
+
+    return flipped.length * 2 + 1;
+  }
+
   async hybridOptimization(data) {
-    const { problem, constraints } = data;
+    const { problem, constraints = [] } = data;
     let quantumOps = 0;
     let classicalOps = 0;
 
@@ -139,24 +540,31 @@ class HybridProcessor {
     const preprocessed = this.preprocessOptimization(problem);
     classicalOps += 10;
 
-    // Quantum annealing simulation
+    // Quantum annealing: each variable is a qubit, starting in |+⟩, the
+    // ground state of the transverse-field driver -ΣX
     const qubits = Math.min(this.quantumMemory.qubits, preprocessed.variables.length);
-    
+
     for (let i = 0; i < qubits; i++) {
-      this.quantumMemory.createSuperposition(i, Math.random(), Math.random());
+      this.quantumMemory.resetQubit(i);
+      this.quantumMemory.applyGate(i, { type: 'HADAMARD' });
       quantumOps++;
     }
 
-    // Simulated quantum annealing process
-    for (let step = 0; step < 100; step++) {
-      const temperature = 1.0 - (step / 100);
-      
+    // Cost Σ w_i x_i with x_i = (1 - Z_i) / 2, scaled to unit strength
+    const maxWeight = Math.max(1e-9, ...preprocessed.weights.slice(0, qubits).map(Math.abs));
+    const sign = preprocessed.objective === 'maximize' ? -1 : 1;
+    const steps = 100;
+    const dt = 0.1;
+
+    // Trotterized sweep from driver to problem Hamiltonian
+    for (let step = 0; step < steps; step++) {
+      const schedule = (step + 0.5) / steps;
+
       for (let i = 0; i < qubits; i++) {
-        this.quantumMemory.applyGate(i, { 
-          type: 'ROTATION', 
-          angle: temperature * Math.PI / 2 
-        });
-        quantumOps++;
+        const weight = sign * preprocessed.weights[i] / maxWeight;
+        this.quantumMemory.applyUnitary(rotationZ(-schedule * weight * dt), [i], [], 'ROTATION_Z');
+        this.quantumMemory.applyUnitary(rotationX(-2 * (1 - schedule) * dt), [i], [], 'ROTATION_X');
+        quantumOps += 2;
       }
     }
 
@@ -173,17 +581,25 @@ class HybridProcessor {
 
     return {
       solution: optimizedSolution,
-      energy: this.calculateEnergy(optimizedSolution),
+      energy: this.calculateEnergy(optimizedSolution, preprocessed.weights),
+      annealingSteps: steps,
       quantumOps,
       classicalOps,
       algorithm: 'Hybrid Quantum Annealing'
     };
   }
 
+  // Stages the weights through classical memory, one word per variable, so
+  // the pass shows up in the cache and prefetcher stats
   preprocessOptimization(problem) {
     // Simplified preprocessing
+    const variables = problem.variables || [];
+    const weights = problem.weights || variables.map((_, idx) => idx + 1);
+
+    weights.forEach((weight, idx) => this.classicalMemory.write(`optimization_weight_${idx}`, weight, 'data', 'preprocess_store'));
     return {
-      variables: problem.variables || [],
+      variables,
+      weights: weights.map((_, idx) => this.classicalMemory.read(`optimization_weight_${idx}`, 'preprocess_load').data),
       objective: problem.objective || 'minimize',
       bounds: problem.bounds || []
     };
@@ -200,19 +616,23 @@ class HybridProcessor {
     });
   }
 
-  calculateEnergy(solution) {
-    // Simplified energy calculation
-    return solution.reduce((sum, val, idx) => sum + val * (idx + 1), 0);
+  calculateEnergy(solution, weights = []) {
+    return solution.reduce((sum, val, idx) => sum + val * (weights[idx] ?? idx + 1), 0);
   }
 
+  // Transverse-field Ising chain, H = -J ΣZ_iZ_(i+1) - h ΣX_i, evolved by
+  // first-order Trotter steps starting from Bell pairs
   async quantumSimulation(data) {
-    const { system, timeSteps } = data;
+    const { system = {}, timeSteps = 10 } = data;
     let quantumOps = 0;
 
     const systemQubits = Math.min(system.particles || 4, this.quantumMemory.qubits);
-    
+    const coupling = system.coupling ?? 1;
+    const field = system.field ?? 1;
+    const dt = (system.totalTime ?? Math.PI) / Math.max(timeSteps, 1);
+
     for (let i = 0; i < systemQubits; i++) {
-      this.quantumMemory.createSuperposition(i);
+      this.quantumMemory.resetQubit(i);
       quantumOps++;
     }
 
@@ -221,17 +641,32 @@ class HybridProcessor {
       this.quantumMemory.entangleQubits(i * 2, i * 2 + 1);
       quantumOps += 2;
     }
+    if (systemQubits % 2 === 1) {
+      this.quantumMemory.applyGate(systemQubits - 1, { type: 'HADAMARD' });
+      quantumOps++;
+    }
 
     for (let t = 0; t < timeSteps; t++) {
+      // exp(i J dt Z Z) as CNOT, Rz, CNOT on each neighbouring pair
+      for (let i = 0; i < systemQubits - 1; i++) {
+        this.quantumMemory.applyUnitary(pauliX(), [i + 1], [i], 'CNOT');
+        this.quantumMemory.applyUnitary(rotationZ(-2 * coupling * dt), [i + 1], [], 'ROTATION_Z');
+        this.quantumMemory.applyUnitary(pauliX(), [i + 1], [i], 'CNOT');
+        quantumOps += 3;
+      }
+
+      // exp(i h dt X) on every site
       for (let i = 0; i < systemQubits; i++) {
-        this.quantumMemory.applyGate(i, { 
-          type: 'ROTATION', 
-          angle: (t * Math.PI) / timeSteps 
-        });
+        this.quantumMemory.applyUnitary(rotationX(-2 * field * dt), [i], [], 'ROTATION_X');
         quantumOps++;
       }
     }
 
+    // Observables before the measurement collapses the state
+    const qubitStates = Array.from({ length: systemQubits }, (_, i) => this.quantumMemory.getQubitState(i));
+    const magnetization = qubitStates.reduce((sum, state) => sum + state.blochVector.z, 0) / systemQubits;
+    const entangledQubits = qubitStates.filter(state => state.entangled).map(state => state.qubit);
+
     const finalState = [];
     for (let i = 0; i < systemQubits; i++) {
       finalState.push(this.quantumMemory.measureQubit(i));
@@ -240,7 +675,9 @@ class HybridProcessor {
 
     return {
       finalState,
-      entanglements: this.quantumMemory.entanglementPairs,
+      magnetization,
+      entanglements: entangledQubits,
+      purities: qubitStates.map(state => state.purity),
       evolution: `${timeSteps} time steps`,
       quantumOps,
       classicalOps: 3,
@@ -248,39 +685,330 @@ class HybridProcessor {
     };
   }
 
+  // Run a circuit in the form produced by utils/qasm, starting from |0...0⟩.
+  // Classical registers live in classical memory while the circuit runs, so
+  // measurements feed forward into later if blocks.
+  //
+  // With several shots, a noiseless circuit that only measures at the end is
+  // run once and its outcome distribution sampled; anything else is re-run
+  // from scratch for every shot.
+  async runCircuit(data) {
+    const { circuit, shots = 1 } = data;
+    if (circuit.numQubits > this.quantumMemory.qubits) {
+      throw new Error(`Circuit needs ${circuit.numQubits} qubits, processor has ${this.quantumMemory.qubits}`);
+    }
+    if (!Number.isInteger(shots) || shots < 1 || shots > MAX_SHOTS) {
+      throw new Error(`Shots must be an integer between 1 and ${MAX_SHOTS}`);
+    }
+
+    const circuitId = this.storeCircuit(circuit);
+    const counters = { quantumOps: 0, classicalOps: 0 };
+    const counts = {};
+    const backend = this.quantumMemory.backend;
+    const sampled = shots > 1 && !backend.hasNoise() && !hasMidCircuitMeasurement(circuit.operations);
+
+    if (sampled) {
+      this.sampleCircuit(circuitId, circuit, shots, counts, counters);
+    } else {
+      for (let shot = 0; shot < shots; shot++) {
+        if (this.noiseModel && shot > 0) this.noiseModel.startShot();
+        this.runShot(circuitId, circuit, counters);
+        const key = this.outcomeKey(circuitId, circuit);
+        counts[key] = (counts[key] || 0) + 1;
+      }
+    }
+
+    const qubits = Array.from({ length: circuit.numQubits }, (_, i) => i);
+    const classicalRegisters = {};
+    circuit.cregs.forEach(reg => {
+      classicalRegisters[reg.name] = [...this.readClassicalRegister(circuitId, reg)].reverse().join('');
+    });
+
+    return {
+      circuitId,
+      qubits: circuit.numQubits,
+      shots,
+      sampled,
+      counts,
+      marginals: marginalProbabilities(circuit, counts, shots),
+      classicalRegisters,
+      finalState: this.quantumMemory.registerDistribution(qubits),
+      quantumOps: counters.quantumOps,
+      classicalOps: counters.classicalOps,
+      algorithm: 'Quantum Circuit'
+    };
+  }
+
+  runShot(circuitId, circuit, counters) {
+    this.quantumMemory.reset();
+    circuit.cregs.forEach(reg => this.writeClassicalRegister(circuitId, reg, new Array(reg.size).fill(0)));
+    this.runOperations(circuitId, circuit, circuit.operations, counters);
+  }
+
+  // Apply the gates once, then draw every shot from the distribution of the
+  // measured qubits. Classical memory is left holding the last shot.
+  sampleCircuit(circuitId, circuit, shots, counts, counters) {
+    const gatesOnly = circuit.operations.filter(operation => operation.type !== 'measure');
+    const measurements = circuit.operations.filter(operation => operation.type === 'measure');
+    const measuredQubits = [...new Set(measurements.map(operation => operation.qubit))];
+
+    this.runShot(circuitId, { ...circuit, operations: gatesOnly }, counters);
+    const distribution = this.quantumMemory.registerDistribution(measuredQubits, Infinity);
+
+    for (let shot = 0; shot < shots; shot++) {
+      const draw = this.rng.next();
+      let cumulative = 0;
+      const outcome = distribution.find(entry => (cumulative += entry.probability) > draw) ||
+        distribution[distribution.length - 1];
+
+      circuit.cregs.forEach(reg => this.writeClassicalRegister(circuitId, reg, new Array(reg.size).fill(0)));
+      measurements.forEach(operation => {
+        if (operation.clbit === null) return;
+        const bit = (outcome.value >> measuredQubits.indexOf(operation.qubit)) & 1;
+        this.writeClassicalBit(circuitId, circuit, operation.clbit, bit);
+      });
+
+      const key = this.outcomeKey(circuitId, circuit);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+
+    counters.quantumOps += measurements.length;
+    counters.classicalOps += measurements.length * shots;
+  }
+
+  // Histogram key: every classical register, last declared leftmost
+  outcomeKey(circuitId, circuit) {
+    return circuit.cregs
+      .map(reg => [...this.readClassicalRegister(circuitId, reg)].reverse().join(''))
+      .reverse()
+      .join(' ');
+  }
+
+  runOperations(circuitId, circuit, operations, counters) {
+    for (const operation of operations) {
+      if (operation.type === 'if') {
+        const branch = this.conditionHolds(circuitId, circuit, operation.condition, counters)
+          ? operation.then
+          : operation.else;
+        this.runOperations(circuitId, circuit, branch, counters);
+        continue;
+      }
+
+      if (operation.condition && !this.conditionHolds(circuitId, circuit, operation.condition, counters)) {
+        continue;
+      }
+
+      switch (operation.type) {
+        case 'gate': {
+          // cu from a JSON gate list brings its own matrix
+          const gate = operation.matrix
+            ? { name: 'CONTROLLED_U', controls: operation.controls, matrix: () => operation.matrix }
+            : STANDARD_GATES[operation.name];
+          const controls = operation.qubits.slice(0, gate.controls);
+          const targets = operation.qubits.slice(gate.controls);
+          this.quantumMemory.applyUnitary(gate.matrix(operation.params), targets, controls, gate.name);
+          counters.quantumOps++;
+          break;
+        }
+        case 'measure': {
+          const outcome = this.quantumMemory.measureQubit(operation.qubit);
+          counters.quantumOps++;
+          if (operation.clbit !== null) {
+            this.writeClassicalBit(circuitId, circuit, operation.clbit, outcome);
+            counters.classicalOps++;
+          }
+          break;
+        }
+        case 'reset':
+          this.quantumMemory.resetQubit(operation.qubit);
+          counters.quantumOps++;
+          break;
+      }
+    }
+  }
+
+  // Compare a whole register, or one bit of it, against the condition value
+  conditionHolds(circuitId, circuit, condition, counters) {
+    const reg = circuit.cregs.find(candidate => candidate.name === condition.creg);
+    const bits = this.readClassicalRegister(circuitId, reg);
+    counters.classicalOps++;
+
+    const value = condition.index !== undefined
+      ? bits[condition.index]
+      : bits.reduce((total, bit, i) => total + bit * 2 ** i, 0);
+    return value === condition.value;
+  }
+
+  classicalRegisterAddress(circuitId, reg) {
+    return `${circuitId}_creg_${reg.name}`;
+  }
+
+  readClassicalRegister(circuitId, reg) {
+    const entry = this.classicalMemory.read(this.classicalRegisterAddress(circuitId, reg));
+    return entry ? entry.data : new Array(reg.size).fill(0);
+  }
+
+  writeClassicalRegister(circuitId, reg, bits) {
+    this.classicalMemory.write(this.classicalRegisterAddress(circuitId, reg), bits, 'creg');
+  }
+
+  writeClassicalBit(circuitId, circuit, clbit, value) {
+    const reg = circuit.cregs.find(candidate => clbit >= candidate.offset && clbit < candidate.offset + candidate.size);
+    const bits = [...this.readClassicalRegister(circuitId, reg)];
+    bits[clbit - reg.offset] = value;
+    this.writeClassicalRegister(circuitId, reg, bits);
+  }
+
+  storeCircuit(circuit) {
+    const circuitId = `circuit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.circuits.set(circuitId, circuit);
+
+    if (this.circuits.size > MAX_STORED_CIRCUITS) {
+      this.circuits.delete(this.circuits.keys().next().value);
+    }
+    return circuitId;
+  }
+
+  getCircuit(circuitId) {
+    return this.circuits.get(circuitId) || null;
+  }
+
+  // Run a program for the hybrid instruction set to completion, from
+  // |0...0⟩ and zeroed registers. data.source is its assembly (see
+  // utils/assembler), or data.program the assembled program.
+  async runProgram(data) {
+    const program = data.program ?? assemble(data.source);
+    const maxSteps = data.maxSteps ?? HybridCpu.MAX_STEPS;
+    const cpu = this.createCpu(program);
+
+    cpu.run(maxSteps);
+    if (!cpu.halted) throw new Error(`Program did not halt within ${maxSteps} steps`);
+
+    const qubits = Array.from({ length: program.numQubits }, (_, i) => i);
+    return {
+      programId: cpu.name,
+      ...cpu.getState(),
+      finalState: this.quantumMemory.registerDistribution(qubits),
+      algorithm: 'Hybrid Program'
+    };
+  }
+
+  createCpu(program) {
+    this.quantumMemory.reset();
+    return new HybridCpu(program, this, { name: `program_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` });
+  }
+
+  // Load a program to single-step with stepProgram. It works on the
+  // processor's own memories, so tasks run in between see its data and
+  // disturb its qubits. seed restarts the random stream measurements draw
+  // from.
+  loadProgram(program, seed) {
+    this.cpuSeed = this.rng.reseed(seed ?? this.rng.nextSeed());
+    this.cpu = this.createCpu(program);
+    return this.getProgramState();
+  }
+
+  // Execute count instructions of the loaded program, fewer if it halts or
+  // reaches a gate breakpoint. The first always runs, so stepping again
+  // leaves a breakpoint.
+  stepProgram(count = 1) {
+    if (!this.cpu) throw new Error('No program is loaded');
+
+    const executed = [];
+    let breakpoint;
+    do {
+      executed.push(this.cpu.step());
+      const operation = this.cpu.nextQuantumOperation();
+      breakpoint = this.breakpoints.find(({ type, index }) => type === 'gate' && index === operation);
+    } while (executed.length < count && !this.cpu.halted && !breakpoint);
+
+    const state = this.getProgramState();
+    if (breakpoint) this.breakAt(breakpoint, { program: state.programId, line: state.line });
+    return { executed, breakpoint: breakpoint || null, state, snapshot: this.getSnapshot() };
+  }
+
+  getProgramState() {
+    if (!this.cpu) return null;
+
+    return {
+      programId: this.cpu.name,
+      seed: this.cpuSeed,
+      ...this.cpu.getState()
+    };
+  }
+
+  // Tasks are routed between the quantum unit and the classical cores by
+  // data.policy, or config.schedulingPolicy (see models/schedulingPolicies).
+  // Tasks are dealt out to the classical cores in rounds of one per core.
+  // Within a round the cores run side by side on their own clocks, taking
+  // turns one memory operation at a time: each stores its task, loads it
+  // back as its input, stores its result next to the others' and bumps a
+  // shared count of finished tasks. The results and the count share lines,
+  // so the cores contend for them, and core 0 then gathers the results.
   async parallelComputation(data) {
     const { tasks } = data;
+    const memory = this.classicalMemory;
+    const cores = memory.cores.length;
     let classicalOps = 0;
     let quantumOps = 0;
 
+    const schedule = this.scheduleParallelTasks(tasks, data.policy);
     const taskResults = [];
-    
-    for (let i = 0; i < tasks.length; i++) {
-      const address = `parallel_task_${i}`;
-      this.classicalMemory.write(address, tasks[i]);
+    const eachCore = (batch, operation) => batch.forEach((entry, core) => {
+      memory.switchCore(core);
+      operation(entry);
       classicalOps++;
-      
-      const result = await this.processParallelTask(tasks[i]);
-      taskResults.push(result);
-      
-      if (result.quantumOps) quantumOps += result.quantumOps;
-      classicalOps += result.classicalOps || 1;
+    });
+
+    memory.write('parallel_completed', 0);
+
+    for (let round = 0; round < tasks.length; round += cores) {
+      const batch = tasks.slice(round, round + cores).map((task, offset) => ({ task, index: round + offset }));
+
+      eachCore(batch, ({ task, index }) => memory.write(`parallel_task_${index}`, task));
+      eachCore(batch, entry => { entry.input = memory.read(`parallel_task_${entry.index}`).data; });
+
+      const results = await Promise.all(batch.map(({ input, index }) => (
+        this.processParallelTask(input, schedule.decisions[index].unit)
+      )));
+      results.forEach((result, offset) => {
+        taskResults[batch[offset].index] = result;
+        if (result.quantumOps) quantumOps += result.quantumOps;
+        classicalOps += result.classicalOps || 1;
+      });
+
+      eachCore(batch, ({ index }) => memory.write(`parallel_result_${index}`, taskResults[index].result ?? null));
+      eachCore(batch, () => memory.write('parallel_completed', memory.read('parallel_completed').data + 1));
     }
 
+    memory.switchCore(0);
+    tasks.forEach((_, index) => memory.read(`parallel_result_${index}`));
+
     return {
       results: taskResults,
       totalTasks: tasks.length,
+      schedule,
       quantumOps,
       classicalOps,
       algorithm: 'Hybrid Parallel Processing'
     };
   }
 
-  async processParallelTask(task) {
-    const useQuantum = Math.random() > 0.5;
-    
-    if (useQuantum) {
-      const qubit = Math.floor(Math.random() * this.quantumMemory.qubits);
+  // Scheduler decisions for parallel tasks. Without a policy named, the
+  // optimization level picks one.
+  scheduleParallelTasks(tasks, policy) {
+    const name = policy ?? this.config.schedulingPolicy ?? defaultSchedulingPolicy(this.config.optimizationLevel);
+    return scheduleTasks(tasks, name, {
+      threshold: this.config.quantumThreshold,
+      qubits: this.quantumMemory.qubits,
+      cores: this.classicalMemory.cores.length,
+      noiseModel: this.noiseModel
+    });
+  }
+
+  async processParallelTask(task, unit) {
+    if (unit === 'quantum') {
+      const qubit = this.rng.nextInt(this.quantumMemory.qubits);
       this.quantumMemory.createSuperposition(qubit);
       const result = this.quantumMemory.measureQubit(qubit);
       return { result, quantumOps: 2 };
@@ -325,16 +1053,29 @@ class HybridProcessor {
     };
   }
 
+  // Operands are laid out row-major in classical memory and every element
+  // is loaded from there, so the inner loop walks A along a row and B down
+  // a column like compiled code would
   matrixMultiplication(A, B) {
     const rows = A.length;
     const cols = B[0].length;
     const result = Array(rows).fill().map(() => Array(cols).fill(0));
+    const element = (name, i, j) => `matrix_${name}[${i}][${j}]`;
+
+    [['A', A], ['B', B]].forEach(([name, matrix]) => {
+      matrix.forEach((row, i) => row.forEach((value, j) => {
+        this.classicalMemory.write(element(name, i, j), value, 'data', `matmul_store_${name}`);
+      }));
+    });
 
     for (let i = 0; i < rows; i++) {
       for (let j = 0; j < cols; j++) {
         for (let k = 0; k < B.length; k++) {
-          result[i][j] += A[i][k] * B[k][j];
+          const a = this.classicalMemory.read(element('A', i, k), 'matmul_load_A').data;
+          const b = this.classicalMemory.read(element('B', k, j), 'matmul_load_B').data;
+          result[i][j] += a * b;
         }
+        this.classicalMemory.write(element('C', i, j), result[i][j], 'data', 'matmul_store_C');
       }
     }
 
@@ -348,18 +1089,21 @@ class HybridProcessor {
     return {
       quantum: {
         qubits: quantumState.qubits,
-        activeStates: quantumState.states.filter(s => s.amplitude.real !== 1 && s.amplitude.real !== 0).length,
+        backend: quantumState.backend,
+        activeStates: quantumState.states.filter(s => s.superposition || s.entangled).length,
         entanglements: quantumState.entanglements.length,
         coherenceTime: quantumState.coherenceTime
       },
       classical: {
         totalMemory: classicalStats.totalSize,
         usedMemory: classicalStats.usedMemory,
-        cacheHitRate: (
-          classicalStats.cacheStats.L1.hitRate + 
-          classicalStats.cacheStats.L2.hitRate + 
-          classicalStats.cacheStats.L3.hitRate
-        ) / 3,
+        cacheHitRate: classicalStats.performance.efficiency,
+        caches: classicalStats.cacheStats,
+        memoryAccesses: classicalStats.memoryAccesses,
+        dram: classicalStats.dram,
+        latency: classicalStats.latency,
+        virtualMemory: classicalStats.virtualMemory,
+        coherence: classicalStats.coherence,
         performance: classicalStats.performance
       }
     };
@@ -368,8 +1112,12 @@ class HybridProcessor {
   getSystemStatus() {
     return {
       isRunning: this.isRunning,
+      paused: this.paused,
+      lastStop: this.lastStop,
       taskQueueLength: this.taskQueue.length,
+      runningTask: this.runningTask ? this.runningTask.id : null,
       completedTasks: this.executionHistory.length,
+      seed: this.seed,
       memoryUsage: this.getMemoryUsage(),
       quantumCoherence: this.quantumMemory.calculateCoherenceTime(),
       systemHealth: this.calculateSystemHealth()
@@ -384,13 +1132,23 @@ class HybridProcessor {
     return Math.round((quantumHealth + classicalHealth) / 2);
   }
 
-  async startProcessing() {
+  // options.seed restarts the processor's random stream
+  async startProcessing(options = {}) {
+    if (options.seed !== undefined) {
+      this.seed = this.rng.reseed(options.seed);
+      this.config.seed = this.seed;
+    }
     this.isRunning = true;
+    this.paused = false;
+    this.lastStop = null;
+    this.startWorker();
     console.log('Hybrid processor started');
   }
 
+  // A task already running finishes; queued ones wait for the next start
   async stopProcessing() {
     this.isRunning = false;
+    this.paused = false;
     console.log('Hybrid processor stopped');
   }
 
@@ -398,10 +1156,17 @@ class HybridProcessor {
     return this.executionHistory.slice(-limit);
   }
 
+  // Finished tasks are forgotten and queued ones cancelled
   clearHistory() {
     this.executionHistory = [];
+    this.tasks.forEach((record, id) => {
+      if (record.status !== 'queued' && record.status !== 'running') this.tasks.delete(id);
+    });
+    this.taskQueue.forEach(record => this.finishTask(record, 'cancelled'));
     this.taskQueue = [];
   }
 }
 
+HybridProcessor.MAX_SHOTS = MAX_SHOTS;
+
 module.exports = HybridProcessor;
@@ -0,0 +1,154 @@
+// Device noise description. Times are in nanoseconds.
+//
+// {
+//   qubitDefaults: { t1: 50000, t2: 70000, readoutError: 0.02 },
+//   qubits: { 3: { t1: 20000 } },                  // per-qubit overrides
+//   gates: {
+//     singleQubit: { errorRate, duration },         // fallbacks by arity
+//     multiQubit: { errorRate, duration },
+//     CNOT: { errorRate: 0.01, duration: 300 }      // per-gate overrides
+//   }
+// }
+//
+// After every gate each touched qubit gets a depolarizing error at the gate's
+// rate plus T1/T2 relaxation for the gate's duration. Readout errors flip the
+// reported measurement outcome.
+//
+// T2 can't exceed 2 * T1. A t2 left unset, or inherited from qubitDefaults by
+// a qubit that only overrides t1, is capped at 2 * t1 (no pure dephasing
+// beyond relaxation); one given explicitly is checked against it.
+const resolveQubit = (defaults, override = {}) => {
+  const parameters = { ...defaults, ...override };
+  const t2 = override.t2 ?? Math.min(defaults.t2 ?? Infinity, 2 * parameters.t1);
+  return { ...parameters, t2 };
+};
+
+class NoiseModel {
+  constructor(config = {}) {
+    this.qubitDefaults = { t1: Infinity, readoutError: 0, ...config.qubitDefaults };
+    this.qubitOverrides = config.qubits || {};
+    this.gates = {
+      singleQubit: { errorRate: 0, duration: 0 },
+      multiQubit: { errorRate: 0, duration: 0 },
+      ...config.gates
+    };
+    this.config = config;
+
+    this.validate();
+    this.startRun();
+  }
+
+  validate() {
+    const qubitConfigs = [this.qubitDefaults, ...Object.values(this.qubitOverrides)];
+    qubitConfigs.forEach(qubit => {
+      const { t1, readoutError } = { ...this.qubitDefaults, ...qubit };
+      if (!(t1 > 0) || !(qubit.t2 === undefined || qubit.t2 > 0)) throw new Error('Noise model t1 and t2 must be positive');
+      if (qubit.t2 > 2 * t1) throw new Error('Noise model t2 cannot exceed 2 * t1');
+      if (!(readoutError >= 0 && readoutError <= 1)) throw new Error('Noise model readoutError must be between 0 and 1');
+    });
+
+    Object.entries(this.gates).forEach(([name, gate]) => {
+      if (gate.errorRate !== undefined && !(gate.errorRate >= 0 && gate.errorRate <= 1)) {
+        throw new Error(`Noise model errorRate for ${name} must be between 0 and 1`);
+      }
+      if (gate.duration !== undefined && !(gate.duration >= 0)) {
+        throw new Error(`Noise model duration for ${name} must be non-negative`);
+      }
+    });
+  }
+
+  qubitParameters(qubit) {
+    return resolveQubit(this.qubitDefaults, this.qubitOverrides[qubit]);
+  }
+
+  gateParameters(name, arity) {
+    const fallback = arity > 1 ? this.gates.multiQubit : this.gates.singleQubit;
+    return { errorRate: 0, duration: 0, ...fallback, ...(name && this.gates[name]) };
+  }
+
+  // Kraus channel specs (see utils/noise) to run on each qubit after a gate
+  channelsForGate(name, qubits) {
+    const { errorRate, duration } = this.gateParameters(name, qubits.length);
+    const channels = [];
+
+    qubits.forEach(qubit => {
+      const { t1, t2 } = this.qubitParameters(qubit);
+
+      if (errorRate > 0) {
+        channels.push({ qubit, spec: { type: 'depolarizing', probability: errorRate } });
+      }
+      if (duration > 0 && Number.isFinite(t1)) {
+        channels.push({ qubit, spec: { type: 'amplitude_damping', t1, duration } });
+      }
+
+      // Pure dephasing time from 1/T2 = 1/(2 T1) + 1/Tφ
+      const dephasingRate = 1 / t2 - 1 / (2 * t1);
+      if (duration > 0 && dephasingRate > 0) {
+        channels.push({ qubit, spec: { type: 'phase_damping', t2: 1 / dephasingRate, duration } });
+      }
+    });
+
+    this.recordGate(errorRate, duration, qubits);
+    return channels;
+  }
+
+  // Flip a measured bit with the qubit's readout error probability
+  applyReadoutError(qubit, outcome, random = Math.random()) {
+    const { readoutError } = this.qubitParameters(qubit);
+    const { duration } = this.gateParameters('MEASURE', 1);
+
+    this.run.estimatedFidelity *= 1 - readoutError;
+    this.run.duration += duration;
+    this.run.measurements++;
+
+    if (random < readoutError) {
+      this.run.readoutFlips++;
+      return 1 - outcome;
+    }
+    return outcome;
+  }
+
+  // Rough success estimate: gate error rates times exp(-t / T2) decay of
+  // every touched qubit over each gate's duration
+  recordGate(errorRate, duration, qubits) {
+    this.run.gates++;
+    this.run.duration += duration;
+    this.run.estimatedFidelity *= 1 - errorRate;
+    qubits.forEach(qubit => {
+      const { t2 } = this.qubitParameters(qubit);
+      if (Number.isFinite(t2)) this.run.estimatedFidelity *= Math.exp(-duration / t2);
+    });
+  }
+
+  recordSampledError() {
+    this.run.sampledErrors++;
+  }
+
+  // Start a fresh tally for one task or circuit execution
+  startRun() {
+    this.run = {
+      gates: 0,
+      measurements: 0,
+      duration: 0,
+      estimatedFidelity: 1,
+      sampledErrors: 0,
+      readoutFlips: 0
+    };
+  }
+
+  // Multi-shot runs: the per-shot figures restart, sampled error counts
+  // keep adding up over the whole run
+  startShot() {
+    this.run = { ...this.run, gates: 0, measurements: 0, duration: 0, estimatedFidelity: 1 };
+  }
+
+  getRunReport() {
+    return { ...this.run };
+  }
+
+  toJSON() {
+    return this.config;
+  }
+}
+
+module.exports = NoiseModel;
@@ -0,0 +1,248 @@
+const { hadamard, pauliX, rotationY } = require('../utils/gates');
+const { krausOperators, validateNoiseConfig } = require('../utils/noise');
+
+// Qubits whose |1⟩ probability or Bloch length differ from the classical
+// values by less than this are treated as basis states / unentangled
+const TOLERANCE = 1e-9;
+
+// Common interface for quantum simulation engines. Callers only use
+// allocate, applyGate, measure, getState, reset and getStats; subclasses
+// provide the engine hooks at the bottom of this class.
+class QuantumBackend {
+  constructor(numQubits, name, options = {}) {
+    this.numQubits = numQubits;
+    this.name = name;
+    this.allocated = new Set();
+    this.counters = { gates: 0, measurements: 0, resets: 0, noiseEvents: 0 };
+    this.setNoise(options.noise);
+    this.noiseModel = options.noiseModel || null;
+    this.random = options.random || Math.random;
+  }
+
+  // Source of randomness for measurements and noise trajectories
+  setRandom(random = Math.random) {
+    this.random = random;
+  }
+
+  hasNoise() {
+    return this.noise.afterGate.length > 0 || this.noise.idle.length > 0 || this.noiseModel !== null;
+  }
+
+  // Noise channels: afterGate runs on every qubit a gate touches, idle on
+  // every allocated qubit each time applyIdleNoise is called
+  setNoise(noise) {
+    this.noise = validateNoiseConfig(noise || {});
+  }
+
+  // Reserve free qubits, lowest index first
+  allocate(count = 1) {
+    const qubits = [];
+    for (let qubit = 0; qubit < this.numQubits && qubits.length < count; qubit++) {
+      if (!this.allocated.has(qubit)) qubits.push(qubit);
+    }
+
+    if (qubits.length < count) {
+      throw new Error(`Cannot allocate ${count} qubit(s): ${this.numQubits - this.allocated.size} free`);
+    }
+
+    qubits.forEach(qubit => this.allocated.add(qubit));
+    return qubits;
+  }
+
+  release(qubits) {
+    qubits.forEach(qubit => this.allocated.delete(qubit));
+  }
+
+  // name identifies the gate to the device noise model, if one is attached
+  applyGate(matrix, targets, controls = [], name = null) {
+    this.applyMatrix(matrix, targets, controls);
+    this.counters.gates++;
+
+    const qubits = [...targets, ...controls];
+    if (this.noise.afterGate.length > 0) {
+      qubits.forEach(qubit => {
+        this.noise.afterGate.forEach(spec => this.applyChannel(spec, qubit));
+      });
+    }
+
+    if (this.noiseModel) {
+      this.noiseModel.channelsForGate(name, qubits).forEach(({ qubit, spec }) => {
+        const branch = this.applyChannel(spec, qubit);
+        // Trajectory backends report which Kraus operator fired; 0 is the
+        // no-error branch
+        if (branch && branch.operator > 0) this.noiseModel.recordSampledError();
+      });
+    }
+  }
+
+  applyChannel(spec, qubit, duration = 0) {
+    const branch = this.applyKraus(krausOperators(spec, duration), qubit);
+    this.counters.noiseEvents++;
+    return branch;
+  }
+
+  // Expose qubits to the idle channels for one time step
+  applyIdleNoise(qubits = Array.from(this.allocated), duration = 0) {
+    qubits.forEach(qubit => {
+      this.noise.idle.forEach(spec => this.applyChannel(spec, qubit, duration));
+    });
+  }
+
+  // The reported outcome includes readout error; the state collapses to
+  // what the qubit actually was
+  measure(qubit) {
+    const result = this.measureQubit(qubit);
+    this.counters.measurements++;
+
+    if (this.noiseModel) {
+      return { ...result, outcome: this.noiseModel.applyReadoutError(qubit, result.outcome, this.random()) };
+    }
+    return result;
+  }
+
+  // Measure-and-flip reset of one qubit to |0⟩, treated as ideal
+  resetQubit(qubit) {
+    const { outcome } = this.measureQubit(qubit);
+    if (outcome === 1) this.applyMatrix(pauliX(), [qubit]);
+    this.counters.measurements++;
+    this.counters.resets++;
+  }
+
+  // Reset the qubit and rotate it into alpha|0⟩ + beta|1⟩
+  prepareQubit(qubit, alpha = 1, beta = 0) {
+    if (alpha === 0 && beta === 0) throw new Error('alpha and beta cannot both be zero');
+
+    this.resetQubit(qubit);
+    this.applyGate(rotationY(2 * Math.atan2(beta, alpha)), [qubit], [], 'ROTATION_Y');
+  }
+
+  // Prepare the Bell state (|00⟩ + |11⟩)/√2 on two qubits
+  prepareBellPair(qubit1, qubit2) {
+    if (qubit1 === qubit2) throw new Error('Cannot entangle a qubit with itself');
+
+    this.resetQubit(qubit1);
+    this.resetQubit(qubit2);
+    this.applyGate(hadamard(), [qubit1], [], 'HADAMARD');
+    this.applyGate(pauliX(), [qubit2], [qubit1], 'CNOT');
+  }
+
+  // Single-qubit view of the joint state, from its reduced density matrix
+  getQubitState(qubit) {
+    const { rho00, rho11, rho01 } = this.reducedDensityMatrix(qubit);
+    const blochVector = { x: 2 * rho01.real, y: -2 * rho01.imaginary, z: rho00 - rho11 };
+    const length = Math.sqrt(blochVector.x ** 2 + blochVector.y ** 2 + blochVector.z ** 2);
+
+    return {
+      qubit,
+      probabilities: { zero: rho00, one: rho11 },
+      blochVector,
+      phase: Math.atan2(blochVector.y, blochVector.x),
+      purity: (1 + length * length) / 2,
+      superposition: rho11 > TOLERANCE && rho11 < 1 - TOLERANCE,
+      entangled: length < 1 - TOLERANCE
+    };
+  }
+
+  // Distribution over the values of a register, qubits[0] as the least
+  // significant bit, most probable first
+  getRegisterDistribution(qubits, limit = 16) {
+    const probabilities = this.getProbabilities();
+    const totals = new Map();
+
+    for (let index = 0; index < probabilities.length; index++) {
+      if (probabilities[index] <= TOLERANCE) continue;
+      let value = 0;
+      qubits.forEach((qubit, bit) => {
+        if ((index >> qubit) & 1) value |= 1 << bit;
+      });
+      totals.set(value, (totals.get(value) || 0) + probabilities[index]);
+    }
+
+    return Array.from(totals.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([value, probability]) => ({
+        value,
+        bitstring: value.toString(2).padStart(qubits.length, '0'),
+        probability
+      }));
+  }
+
+  getState(limit = 16) {
+    const qubits = [];
+    for (let qubit = 0; qubit < this.numQubits; qubit++) {
+      qubits.push(this.getQubitState(qubit));
+    }
+
+    return {
+      backend: this.name,
+      numQubits: this.numQubits,
+      qubits,
+      basisStates: this.getBasisStates(limit)
+    };
+  }
+
+  reset() {
+    this.resetState();
+    this.allocated.clear();
+    this.counters = { gates: 0, measurements: 0, resets: 0, noiseEvents: 0 };
+  }
+
+  getStats() {
+    return {
+      backend: this.name,
+      numQubits: this.numQubits,
+      allocatedQubits: this.allocated.size,
+      gateCount: this.counters.gates,
+      measurementCount: this.counters.measurements,
+      resetCount: this.counters.resets,
+      noiseEvents: this.counters.noiseEvents,
+      purity: this.purity()
+    };
+  }
+
+  toBitstring(index) {
+    return index.toString(2).padStart(this.numQubits, '0');
+  }
+
+  // Engine hooks, implemented by each backend
+  applyMatrix() {
+    throw new Error(`${this.name} backend does not implement applyMatrix`);
+  }
+
+  applyKraus() {
+    throw new Error(`${this.name} backend does not implement applyKraus`);
+  }
+
+  measureQubit() {
+    throw new Error(`${this.name} backend does not implement measureQubit`);
+  }
+
+  reducedDensityMatrix() {
+    throw new Error(`${this.name} backend does not implement reducedDensityMatrix`);
+  }
+
+  probabilityOf() {
+    throw new Error(`${this.name} backend does not implement probabilityOf`);
+  }
+
+  getProbabilities() {
+    throw new Error(`${this.name} backend does not implement getProbabilities`);
+  }
+
+  getBasisStates() {
+    throw new Error(`${this.name} backend does not implement getBasisStates`);
+  }
+
+  purity() {
+    throw new Error(`${this.name} backend does not implement purity`);
+  }
+
+  resetState() {
+    throw new Error(`${this.name} backend does not implement resetState`);
+  }
+}
+
+QuantumBackend.TOLERANCE = TOLERANCE;
+
+module.exports = QuantumBackend;
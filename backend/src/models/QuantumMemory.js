@@ -1,121 +1,169 @@
+const { createQuantumBackend } = require('./quantumBackends');
+const { singleQubitGate } = require('../utils/gateLibrary');
+
+const MAX_MEASUREMENT_HISTORY = 100;
+
 class QuantumMemory {
-    constructor(qubits = 16) {
+    constructor(qubits = 16, options = {}) {
       this.qubits = qubits;
-      this.quantumStates = new Array(qubits).fill(null).map(() => ({
-        amplitude: { real: 1, imaginary: 0 },
-        phase: 0,
-        entangled: false,
-        measurementHistory: []
-      }));
+      this.backend = createQuantumBackend(options.backend, qubits, options);
+      this.backend.allocate(qubits);
+      this.measurementHistory = new Array(qubits).fill(null).map(() => []);
       this.superpositionStates = new Map();
       this.entanglementPairs = [];
     }
 
+    validateQubit(qubitIndex) {
+      if (!Number.isInteger(qubitIndex) || qubitIndex < 0 || qubitIndex >= this.qubits) {
+        throw new Error('Qubit index out of range');
+      }
+    }
+
+    // Reset the qubit to |0⟩ and rotate it into alpha|0⟩ + beta|1⟩
     createSuperposition(qubitIndex, alpha = 0.707, beta = 0.707) {
-      if (qubitIndex >= this.qubits) throw new Error('Qubit index out of range');
-      
-      this.quantumStates[qubitIndex] = {
-        amplitude: { 
-          real: alpha, 
-          imaginary: beta 
-        },
-        phase: Math.atan2(beta, alpha),
-        entangled: false,
-        measurementHistory: []
-      };
-      
-      this.superpositionStates.set(qubitIndex, { alpha, beta });
-      return this.quantumStates[qubitIndex];
+      this.validateQubit(qubitIndex);
+
+      this.backend.prepareQubit(qubitIndex, alpha, beta);
+      this.forgetEntanglement(qubitIndex);
+
+      const norm = Math.sqrt(alpha * alpha + beta * beta);
+      this.superpositionStates.set(qubitIndex, { alpha: alpha / norm, beta: beta / norm });
+      return this.getQubitState(qubitIndex);
     }
-  
+
+    // Prepare the Bell state (|00⟩ + |11⟩)/√2 on the two qubits
     entangleQubits(qubit1, qubit2) {
-      if (qubit1 >= this.qubits || qubit2 >= this.qubits) {
-        throw new Error('Qubit indices out of range');
-      }
-  
-      this.quantumStates[qubit1].entangled = true;
-      this.quantumStates[qubit2].entangled = true;
-      
+      this.validateQubit(qubit1);
+      this.validateQubit(qubit2);
+
+      this.backend.prepareBellPair(qubit1, qubit2);
+
+      this.forgetEntanglement(qubit1);
+      this.forgetEntanglement(qubit2);
+      this.superpositionStates.delete(qubit1);
+      this.superpositionStates.delete(qubit2);
       this.entanglementPairs.push([qubit1, qubit2]);
-      return { qubit1, qubit2, entangled: true };
+
+      return { qubit1, qubit2, entangled: this.isEntangled(qubit1) && this.isEntangled(qubit2) };
     }
-  
+
+    // Apply an arbitrary unitary to the joint state, e.g. multi-controlled
+    // gates that the named single-qubit gates below can't express
+    applyUnitary(matrix, targets, controls = [], name = null) {
+      this.backend.applyGate(matrix, targets, controls, name);
+      [...targets, ...controls].forEach(qubit => this.superpositionStates.delete(qubit));
+    }
+
+    resetQubit(qubitIndex) {
+      this.validateQubit(qubitIndex);
+      this.backend.resetQubit(qubitIndex);
+      this.forgetEntanglement(qubitIndex);
+      this.superpositionStates.delete(qubitIndex);
+    }
+
     measureQubit(qubitIndex) {
-      if (qubitIndex >= this.qubits) throw new Error('Qubit index out of range');
-      
-      const state = this.quantumStates[qubitIndex];
-      const probability = Math.pow(state.amplitude.real, 2) + Math.pow(state.amplitude.imaginary, 2);
-      const result = Math.random() < probability ? 1 : 0;
-      
-      state.amplitude = result === 1 ? { real: 1, imaginary: 0 } : { real: 0, imaginary: 1 };
-      state.phase = 0;
-      state.measurementHistory.push({ timestamp: Date.now(), result });
-      
-      this.handleEntanglementCollapse(qubitIndex, result);
-      
-      return result;
-    }
-  
-    handleEntanglementCollapse(measuredQubit, result) {
-      const entangledPair = this.entanglementPairs.find(pair => 
-        pair.includes(measuredQubit)
-      );
-      
-      if (entangledPair) {
-        const partnerQubit = entangledPair.find(q => q !== measuredQubit);
-        this.quantumStates[partnerQubit].amplitude = result === 1 ? 
-          { real: 0, imaginary: 1 } : { real: 1, imaginary: 0 };
-      }
+      this.validateQubit(qubitIndex);
+
+      const { outcome, probability } = this.backend.measure(qubitIndex);
+      const history = this.measurementHistory[qubitIndex];
+      history.push({ timestamp: Date.now(), result: outcome, probability });
+      if (history.length > MAX_MEASUREMENT_HISTORY) history.shift();
+
+      // Collapse of any partner happens in the joint state; the pair is no
+      // longer entangled once either half has been measured
+      this.forgetEntanglement(qubitIndex);
+      this.superpositionStates.delete(qubitIndex);
+
+      return outcome;
+    }
+
+    forgetEntanglement(qubitIndex) {
+      this.entanglementPairs = this.entanglementPairs.filter(pair => !pair.includes(qubitIndex));
     }
 
+    // Apply a named gate from utils/gateLibrary, e.g. { type: 'RX', angle }
     applyGate(qubitIndex, gate) {
-      if (qubitIndex >= this.qubits) throw new Error('Qubit index out of range');
-      
-      const state = this.quantumStates[qubitIndex];
-      
-      switch (gate.type) {
-        case 'HADAMARD':
-          state.amplitude = { real: 0.707, imaginary: 0.707 };
-          state.phase = Math.PI / 4;
-          break;
-        case 'PAULI_X':
-          [state.amplitude.real, state.amplitude.imaginary] = 
-          [state.amplitude.imaginary, state.amplitude.real];
-          break;
-        case 'PAULI_Z':
-          state.amplitude.imaginary *= -1;
-          state.phase += Math.PI;
-          break;
-        case 'ROTATION':
-          const angle = gate.angle || Math.PI / 4;
-          const cos = Math.cos(angle / 2);
-          const sin = Math.sin(angle / 2);
-          const newReal = cos * state.amplitude.real - sin * state.amplitude.imaginary;
-          const newImag = sin * state.amplitude.real + cos * state.amplitude.imaginary;
-          state.amplitude = { real: newReal, imaginary: newImag };
-          state.phase = Math.atan2(newImag, newReal);
-          break;
+      this.validateQubit(qubitIndex);
+
+      const { name, matrix } = singleQubitGate(gate);
+      this.backend.applyGate(matrix, [qubitIndex], [], name);
+
+      this.superpositionStates.delete(qubitIndex);
+      return this.getQubitState(qubitIndex);
+    }
+
+    getQubitState(qubitIndex) {
+      this.validateQubit(qubitIndex);
+
+      return {
+        ...this.backend.getQubitState(qubitIndex),
+        measurementHistory: this.measurementHistory[qubitIndex]
+      };
+    }
+
+    // Born-rule probability of reading value from a register of qubits
+    registerProbability(qubits, value) {
+      return this.backend.probabilityOf(qubits, value);
+    }
+
+    registerDistribution(qubits, limit = 16) {
+      return this.backend.getRegisterDistribution(qubits, limit);
+    }
+
+    isEntangled(qubitIndex) {
+      return this.getQubitState(qubitIndex).entangled;
+    }
+
+    getQubitStates() {
+      const states = [];
+      for (let i = 0; i < this.qubits; i++) {
+        states.push(this.getQubitState(i));
       }
-      
-      return state;
+      return states;
     }
-  
+
     getQuantumState() {
+      const states = this.getQubitStates();
+
       return {
         qubits: this.qubits,
-        states: this.quantumStates,
+        backend: this.backend.name,
+        states,
+        basisStates: this.backend.getBasisStates(),
         superpositions: Array.from(this.superpositionStates.entries()),
         entanglements: this.entanglementPairs,
-        coherenceTime: this.calculateCoherenceTime()
+        coherenceTime: this.calculateCoherenceTime(states)
       };
     }
-  
-    calculateCoherenceTime() {
-      const activeQubits = this.quantumStates.filter(state => 
-        state.amplitude.real !== 1 && state.amplitude.real !== 0
-      );
+
+    getAllStates() {
+      return this.getQubitStates();
+    }
+
+    getStats() {
+      const states = this.getQubitStates();
+
+      return {
+        ...this.backend.getStats(),
+        superposedQubits: states.filter(state => state.superposition).length,
+        entangledQubits: states.filter(state => state.entangled).length,
+        entanglementPairs: this.entanglementPairs.length,
+        coherenceTime: this.calculateCoherenceTime(states)
+      };
+    }
+
+    reset() {
+      this.backend.reset();
+      this.backend.allocate(this.qubits);
+      this.measurementHistory = new Array(this.qubits).fill(null).map(() => []);
+      this.superpositionStates.clear();
+      this.entanglementPairs = [];
+    }
+
+    calculateCoherenceTime(states = this.getQubitStates()) {
+      const activeQubits = states.filter(state => state.superposition || state.entangled);
       return Math.max(1, 10 - activeQubits.length * 0.5); // Seconds
     }
   }
-  
-  module.exports = QuantumMemory;
\ No newline at end of file
+
+  module.exports = QuantumMemory;
@@ -0,0 +1,219 @@
+const QuantumBackend = require('./QuantumBackend');
+const { applyMatrix } = require('../utils/linearAlgebra');
+
+// Hard cap so a bad config can't allocate gigabytes of amplitudes
+const MAX_QUBITS = 20;
+const EPSILON = 1e-12;
+
+// Dense 2^n complex state vector. Qubit q is bit q of the basis index, so
+// basis state |q(n-1) ... q1 q0⟩ lives at index sum(q_i * 2^i).
+class StateVector extends QuantumBackend {
+  constructor(numQubits = 1, options = {}) {
+    if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > MAX_QUBITS) {
+      throw new Error(`State vector supports 1 to ${MAX_QUBITS} qubits`);
+    }
+
+    super(numQubits, 'statevector', options);
+    this.dimension = 1 << numQubits;
+    this.real = new Float64Array(this.dimension);
+    this.imag = new Float64Array(this.dimension);
+    this.resetState();
+  }
+
+  // Return every qubit to |0...0⟩
+  resetState() {
+    this.real.fill(0);
+    this.imag.fill(0);
+    this.real[0] = 1;
+  }
+
+  validateQubits(qubits) {
+    const seen = new Set();
+    for (const qubit of qubits) {
+      if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.numQubits) {
+        throw new Error('Qubit index out of range');
+      }
+      if (seen.has(qubit)) {
+        throw new Error(`Qubit ${qubit} used more than once in the same gate`);
+      }
+      seen.add(qubit);
+    }
+  }
+
+  // Apply a 2^k x 2^k unitary to the listed target qubits, optionally
+  // conditioned on every control qubit being |1⟩
+  applyMatrix(matrix, targets, controls = []) {
+    this.validateQubits([...targets, ...controls]);
+    applyMatrix(this.real, this.imag, matrix, targets, controls);
+  }
+
+  // Quantum-trajectory unravelling of a channel: pick one Kraus operator
+  // with probability ||K ψ||² and renormalize, so the state stays pure and
+  // the average over runs reproduces the channel
+  applyKraus(operators, qubit) {
+    this.validateQubits([qubit]);
+    const draw = this.random();
+    let cumulative = 0;
+    let fallback = null;
+
+    for (let k = 0; k < operators.length; k++) {
+      const real = Float64Array.from(this.real);
+      const imag = Float64Array.from(this.imag);
+      applyMatrix(real, imag, operators[k], [qubit]);
+
+      let probability = 0;
+      for (let i = 0; i < this.dimension; i++) {
+        probability += real[i] ** 2 + imag[i] ** 2;
+      }
+      cumulative += probability;
+
+      if (probability > EPSILON && (!fallback || probability > fallback.probability)) {
+        fallback = { k, real, imag, probability };
+      }
+      if (draw < cumulative && probability > EPSILON) {
+        return this.commitTrajectory(k, real, imag, probability);
+      }
+    }
+
+    // Rounding left the draw just past the last operator
+    return this.commitTrajectory(fallback.k, fallback.real, fallback.imag, fallback.probability);
+  }
+
+  commitTrajectory(operator, real, imag, probability) {
+    const norm = Math.sqrt(probability);
+    for (let i = 0; i < this.dimension; i++) {
+      this.real[i] = real[i] / norm;
+      this.imag[i] = imag[i] / norm;
+    }
+    return { operator, probability };
+  }
+
+  // Probability of reading |1⟩ on a qubit (Born rule)
+  probabilityOfOne(qubit) {
+    this.validateQubits([qubit]);
+    const bit = 1 << qubit;
+    let probability = 0;
+
+    for (let i = 0; i < this.dimension; i++) {
+      if (i & bit) probability += this.real[i] ** 2 + this.imag[i] ** 2;
+    }
+
+    return Math.min(1, Math.max(0, probability));
+  }
+
+  // Projective Z-basis measurement with post-measurement collapse
+  measureQubit(qubit) {
+    const probabilityOne = this.probabilityOfOne(qubit);
+    const outcome = this.random() < probabilityOne ? 1 : 0;
+    const probability = outcome === 1 ? probabilityOne : 1 - probabilityOne;
+
+    this.collapse(qubit, outcome, probability);
+    return { outcome, probability };
+  }
+
+  collapse(qubit, outcome, probability) {
+    const bit = 1 << qubit;
+    const norm = Math.sqrt(probability);
+
+    for (let i = 0; i < this.dimension; i++) {
+      if (((i & bit) !== 0 ? 1 : 0) === outcome) {
+        this.real[i] /= norm;
+        this.imag[i] /= norm;
+      } else {
+        this.real[i] = 0;
+        this.imag[i] = 0;
+      }
+    }
+  }
+
+  // Reduced density matrix of a single qubit, traced over all others
+  reducedDensityMatrix(qubit) {
+    this.validateQubits([qubit]);
+    const bit = 1 << qubit;
+    let rho00 = 0;
+    let rho11 = 0;
+    let rho01Real = 0;
+    let rho01Imag = 0;
+
+    for (let i0 = 0; i0 < this.dimension; i0++) {
+      if (i0 & bit) continue;
+      const i1 = i0 | bit;
+      rho00 += this.real[i0] ** 2 + this.imag[i0] ** 2;
+      rho11 += this.real[i1] ** 2 + this.imag[i1] ** 2;
+      // ρ01 = Σ a(i0) * conj(a(i1))
+      rho01Real += this.real[i0] * this.real[i1] + this.imag[i0] * this.imag[i1];
+      rho01Imag += this.imag[i0] * this.real[i1] - this.real[i0] * this.imag[i1];
+    }
+
+    return { rho00, rho11, rho01: { real: rho01Real, imaginary: rho01Imag } };
+  }
+
+  // Probability that the listed qubits read out as the bits of value, with
+  // qubits[0] as the least significant bit
+  probabilityOf(qubits, value) {
+    this.validateQubits(qubits);
+    let mask = 0;
+    let pattern = 0;
+    qubits.forEach((qubit, bit) => {
+      mask |= 1 << qubit;
+      if ((value >> bit) & 1) pattern |= 1 << qubit;
+    });
+
+    let probability = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      if ((i & mask) === pattern) probability += this.real[i] ** 2 + this.imag[i] ** 2;
+    }
+
+    return probability;
+  }
+
+  getProbabilities() {
+    const probabilities = new Float64Array(this.dimension);
+    for (let i = 0; i < this.dimension; i++) {
+      probabilities[i] = this.real[i] ** 2 + this.imag[i] ** 2;
+    }
+    return probabilities;
+  }
+
+  getAmplitude(index) {
+    return { real: this.real[index], imaginary: this.imag[index] };
+  }
+
+  // Most probable basis states, formatted for the API
+  getBasisStates(limit = 16) {
+    const probabilities = this.getProbabilities();
+    const states = [];
+
+    for (let i = 0; i < this.dimension; i++) {
+      if (probabilities[i] > EPSILON) states.push(i);
+    }
+
+    return states
+      .sort((a, b) => probabilities[b] - probabilities[a])
+      .slice(0, limit)
+      .map(index => ({
+        index,
+        bitstring: this.toBitstring(index),
+        amplitude: this.getAmplitude(index),
+        probability: probabilities[index]
+      }));
+  }
+
+  // A single trajectory is always a pure state
+  purity() {
+    return 1;
+  }
+
+  norm() {
+    let total = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      total += this.real[i] ** 2 + this.imag[i] ** 2;
+    }
+    return Math.sqrt(total);
+  }
+}
+
+StateVector.MAX_QUBITS = MAX_QUBITS;
+StateVector.EPSILON = EPSILON;
+
+module.exports = StateVector;
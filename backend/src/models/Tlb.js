@@ -0,0 +1,141 @@
+const { DEFAULT_POLICY, createReplacementPolicy } = require('./replacementPolicies');
+
+// Set-associative translation lookaside buffer. Latency is in cycles and is
+// paid by every translation.
+//
+// { entries: 64, associativity: 4, policy: 'lru', latency: 1 }
+//
+// Entries are tagged with the address space id, so switching spaces needs
+// no flush. The set index comes from the virtual page number alone.
+const DEFAULT_TLB = {
+  entries: 64,
+  associativity: 4,
+  policy: DEFAULT_POLICY,
+  latency: 1
+};
+
+const isPowerOfTwo = (value) => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+
+class Tlb {
+  constructor(config = {}, options = {}) {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new Error('tlb must be an object of TLB settings');
+    }
+    const { entries, associativity, policy, latency } = { ...DEFAULT_TLB, ...config };
+    this.entries = entries;
+    this.associativity = associativity;
+    this.latency = latency;
+
+    this.validate();
+
+    this.numSets = this.entries / this.associativity;
+    this.sets = new Array(this.numSets).fill(null);
+    this.validEntries = 0;
+    this.policyName = String(policy).toLowerCase();
+    this.policy = createReplacementPolicy(this.policyName, this.numSets, this.associativity, options);
+    this.resetStats();
+  }
+
+  validate() {
+    if (!isPowerOfTwo(this.entries)) throw new Error('TLB entries must be a power of two');
+    if (!isPowerOfTwo(this.associativity) || this.associativity > this.entries) {
+      throw new Error('TLB associativity must be a power of two no larger than entries');
+    }
+    if (!(Number.isInteger(this.latency) && this.latency >= 0)) {
+      throw new Error('TLB latency must be a non-negative number of cycles');
+    }
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, fills: 0, evictions: 0, invalidations: 0, flushes: 0 };
+  }
+
+  getSet(index) {
+    if (!this.sets[index]) this.sets[index] = new Array(this.associativity).fill(null);
+    return this.sets[index];
+  }
+
+  findWay(asid, page) {
+    const entries = this.sets[page % this.numSets];
+    return entries ? entries.findIndex(entry => entry !== null && entry.asid === asid && entry.page === page) : -1;
+  }
+
+  // The cached page table entry for page, or null on a miss
+  lookup(asid, page) {
+    const set = page % this.numSets;
+    const way = this.findWay(asid, page);
+    if (way === -1) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    this.policy.touch(set, way);
+    return this.sets[set][way].pte;
+  }
+
+  insert(asid, page, pte) {
+    const set = page % this.numSets;
+    const entries = this.getSet(set);
+    let way = this.findWay(asid, page);
+
+    if (way === -1) {
+      way = entries.indexOf(null);
+      if (way === -1) {
+        way = this.policy.victim(set);
+        this.stats.evictions++;
+      } else {
+        this.validEntries++;
+      }
+    }
+
+    entries[way] = { asid, page, pte };
+    this.policy.insert(set, way);
+    this.stats.fills++;
+  }
+
+  // Drop the entry for a page whose mapping changed
+  invalidate(asid, page) {
+    const way = this.findWay(asid, page);
+    if (way === -1) return;
+
+    const set = page % this.numSets;
+    this.sets[set][way] = null;
+    this.policy.invalidate(set, way);
+    this.validEntries--;
+    this.stats.invalidations++;
+  }
+
+  // Drop every entry of an address space
+  flush(asid) {
+    this.sets.forEach((entries, set) => {
+      if (!entries) return;
+      entries.forEach((entry, way) => {
+        if (entry === null || entry.asid !== asid) return;
+        entries[way] = null;
+        this.policy.invalidate(set, way);
+        this.validEntries--;
+      });
+    });
+    this.stats.flushes++;
+  }
+
+  getStats() {
+    const { hits, misses } = this.stats;
+    const lookups = hits + misses;
+
+    return {
+      entries: this.entries,
+      associativity: this.associativity,
+      sets: this.numSets,
+      latency: this.latency,
+      policy: this.policyName,
+      entriesInUse: this.validEntries,
+      lookups,
+      ...this.stats,
+      hitRate: lookups > 0 ? (hits / lookups) * 100 : 0
+    };
+  }
+}
+
+module.exports = Tlb;
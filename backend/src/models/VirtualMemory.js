@@ -0,0 +1,282 @@
+const Tlb = require('./Tlb');
+
+// Paged virtual memory for ClassicalMemory. Sizes are in bytes, latencies in
+// cycles.
+//
+// {
+//   pageSize: 4096, levels: 4,       // radix page table depth
+//   frames: 16384,                   // physical pages; defaults to all of memory
+//   faultLatency: 1000,              // cycles the OS spends on a page fault
+//   tlb: { entries: 64, associativity: 4, policy: 'lru', latency: 1 },
+//   swap: { pages: 65536, latency: 100000 }   // optional; omit for no swap
+// }
+//
+// Every address space has its own page table: one page of 8-byte entries
+// per level, each level indexing a slice of the virtual page number. Page
+// tables live in physical frames that are never paged out, so walking one
+// costs real (cacheable) memory reads. A page is mapped on first touch
+// (minor fault); when frames run out a second-chance clock picks a victim,
+// dirty victims go to swap, and touching a swapped-out page brings it back
+// (major fault). Only the accounting is modelled; data stays in
+// ClassicalMemory.
+const PTE_SIZE = 8;
+const MAX_ADDRESS_BITS = 52;
+
+const DEFAULT_VIRTUAL_MEMORY = {
+  pageSize: 4096,
+  levels: 4,
+  faultLatency: 1000
+};
+
+const DEFAULT_SWAP = { pages: 65536, latency: 100000 };
+
+const isPowerOfTwo = (value) => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+const isCycles = (value) => Number.isInteger(value) && value >= 0;
+
+class VirtualMemory {
+  constructor(config = {}, options = {}) {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new Error('virtualMemory must be an object of paging settings');
+    }
+    const { pageSize, levels, faultLatency, frames, swap } = { ...DEFAULT_VIRTUAL_MEMORY, ...config };
+
+    if (!isPowerOfTwo(pageSize) || pageSize < PTE_SIZE * 2) {
+      throw new Error(`pageSize must be a power of two of at least ${PTE_SIZE * 2} bytes`);
+    }
+    if (!(Number.isInteger(levels) && levels > 0)) throw new Error('Page table levels must be a positive integer');
+    if (!isCycles(faultLatency)) throw new Error('faultLatency must be a non-negative number of cycles');
+
+    this.pageSize = pageSize;
+    this.levels = levels;
+    this.faultLatency = faultLatency;
+    this.entriesPerTable = pageSize / PTE_SIZE;
+    this.addressBits = Math.log2(pageSize) + levels * Math.log2(this.entriesPerTable);
+    if (this.addressBits > MAX_ADDRESS_BITS) {
+      throw new Error(`pageSize and levels allow at most ${MAX_ADDRESS_BITS}-bit virtual addresses`);
+    }
+    this.addressLimit = 2 ** this.addressBits;
+
+    const physicalFrames = Math.floor((options.capacity || 0) / pageSize);
+    this.frames = frames !== undefined ? frames : physicalFrames;
+    if (!(Number.isInteger(this.frames) && this.frames > 0 && this.frames <= physicalFrames)) {
+      throw new Error(`frames must be a positive integer no larger than ${physicalFrames}`);
+    }
+
+    this.swap = swap ? { ...DEFAULT_SWAP, ...swap } : null;
+    if (this.swap) {
+      if (!(Number.isInteger(this.swap.pages) && this.swap.pages > 0)) {
+        throw new Error('Swap pages must be a positive integer');
+      }
+      if (!isCycles(this.swap.latency)) throw new Error('Swap latency must be a non-negative number of cycles');
+    }
+
+    this.tlb = new Tlb(config.tlb, options);
+
+    this.nextFrame = 0;
+    this.freeFrames = [];
+    this.pageTableFrames = 0;
+    this.nextSwapSlot = 0;
+    this.freeSwapSlots = [];
+    // Mapped pages in the order the clock visits them
+    this.resident = [];
+    this.spaces = new Map();
+    this.nextAsid = 0;
+    this.resetStats();
+  }
+
+  // walkCycles is added by ClassicalMemory, which serves the page walk reads
+  resetStats() {
+    this.stats = {
+      translations: 0,
+      pageWalks: 0,
+      walkCycles: 0,
+      minorFaults: 0,
+      majorFaults: 0,
+      faultCycles: 0,
+      evictions: 0,
+      swapIns: 0,
+      swapOuts: 0
+    };
+  }
+
+  createAddressSpace() {
+    const asid = this.nextAsid++;
+    this.spaces.set(asid, { root: this.createTable({ faultCycles: 0 }) });
+    return asid;
+  }
+
+  // Return every frame and swap slot an address space holds
+  releaseAddressSpace(asid) {
+    const space = this.spaces.get(asid);
+    if (!space) return;
+
+    const release = (table, depth) => {
+      table.entries.forEach(entry => {
+        if (depth < this.levels - 1) {
+          release(entry, depth + 1);
+          return;
+        }
+        if (entry.present) this.freeFrames.push(entry.frame);
+        if (entry.swapSlot !== null) this.freeSwapSlots.push(entry.swapSlot);
+      });
+      this.freeFrames.push(table.frame);
+      this.pageTableFrames--;
+    };
+
+    release(space.root, 0);
+    this.resident = this.resident.filter(mapping => mapping.asid !== asid);
+    this.tlb.flush(asid);
+    this.spaces.delete(asid);
+  }
+
+  createTable(result) {
+    const frame = this.allocateFrame(result);
+    this.pageTableFrames++;
+    return { frame, entries: new Map() };
+  }
+
+  // Translate a virtual byte address of an address space. Returns the
+  // physical address, the page table entries read if the TLB missed (their
+  // physical addresses, root first), and the page fault taken, if any.
+  translate(asid, address, write = false) {
+    const space = this.spaces.get(asid);
+    if (!space) throw new Error(`Unknown address space ${asid}`);
+
+    const page = Math.floor(address / this.pageSize);
+    const result = { physical: null, tlbHit: true, walk: [], fault: null, faultCycles: 0 };
+    this.stats.translations++;
+
+    let pte = this.tlb.lookup(asid, page);
+    if (pte === null) {
+      result.tlbHit = false;
+      pte = this.walk(space, page, result);
+      this.stats.pageWalks++;
+      if (!pte.present) this.handleFault(asid, page, pte, result);
+      this.tlb.insert(asid, page, pte);
+    }
+
+    pte.accessed = true;
+    if (write) pte.dirty = true;
+    result.physical = pte.frame * this.pageSize + (address % this.pageSize);
+    return result;
+  }
+
+  // Walk from the root table to the page's entry, creating missing tables
+  // and an empty entry on the way
+  walk(space, page, result) {
+    let table = space.root;
+
+    for (let depth = 0; depth < this.levels; depth++) {
+      const shift = this.entriesPerTable ** (this.levels - 1 - depth);
+      const index = Math.floor(page / shift) % this.entriesPerTable;
+      result.walk.push(table.frame * this.pageSize + index * PTE_SIZE);
+
+      let entry = table.entries.get(index);
+      if (!entry) {
+        entry = depth < this.levels - 1
+          ? this.createTable(result)
+          : { frame: null, present: false, dirty: false, accessed: false, swapSlot: null };
+        table.entries.set(index, entry);
+      }
+      table = entry;
+    }
+    return table;
+  }
+
+  // Map a page: a zero-filled frame on first touch, or its copy read back
+  // from swap
+  handleFault(asid, page, pte, result) {
+    const major = pte.swapSlot !== null;
+    const frame = this.allocateFrame(result);
+    let cycles = this.faultLatency;
+
+    if (major) {
+      cycles += this.swap.latency;
+      this.stats.majorFaults++;
+      this.stats.swapIns++;
+    } else {
+      this.stats.minorFaults++;
+    }
+
+    // The swap copy stays, so a clean page can later be dropped for free
+    Object.assign(pte, { frame, present: true, dirty: false, accessed: false });
+    this.resident.push({ asid, page, pte });
+    result.fault = major ? 'major' : 'minor';
+    result.faultCycles += cycles;
+    this.stats.faultCycles += cycles;
+  }
+
+  allocateFrame(result) {
+    if (this.freeFrames.length > 0) return this.freeFrames.pop();
+    if (this.nextFrame < this.frames) return this.nextFrame++;
+    return this.evict(result);
+  }
+
+  // Second chance: pages used since the clock last passed lose their
+  // accessed bit and go to the back. Returns the victim's frame.
+  evict(result) {
+    let victim;
+    for (;;) {
+      victim = this.resident.shift();
+      if (!victim) throw new Error('Out of physical memory: every frame holds a page table');
+      if (!victim.pte.accessed) break;
+      victim.pte.accessed = false;
+      this.resident.push(victim);
+    }
+
+    const { asid, page, pte } = victim;
+    if (pte.dirty) {
+      if (!this.swap) {
+        this.resident.unshift(victim);
+        throw new Error('Out of physical memory and no swap configured');
+      }
+      if (pte.swapSlot === null) pte.swapSlot = this.allocateSwapSlot();
+      result.faultCycles += this.swap.latency;
+      this.stats.faultCycles += this.swap.latency;
+      this.stats.swapOuts++;
+    }
+
+    const { frame } = pte;
+    Object.assign(pte, { frame: null, present: false, dirty: false, accessed: false });
+    this.tlb.invalidate(asid, page);
+    this.stats.evictions++;
+    return frame;
+  }
+
+  allocateSwapSlot() {
+    if (this.freeSwapSlots.length > 0) return this.freeSwapSlots.pop();
+    if (this.nextSwapSlot < this.swap.pages) return this.nextSwapSlot++;
+    throw new Error('Out of swap space');
+  }
+
+  getStats() {
+    const { translations, pageWalks, walkCycles, minorFaults, majorFaults } = this.stats;
+    const tlb = this.tlb.getStats();
+
+    return {
+      pageSize: this.pageSize,
+      levels: this.levels,
+      addressBits: this.addressBits,
+      faultLatency: this.faultLatency,
+      addressSpaces: this.spaces.size,
+      frames: this.frames,
+      usedFrames: this.nextFrame - this.freeFrames.length,
+      pageTableFrames: this.pageTableFrames,
+      residentPages: this.resident.length,
+      swap: this.swap && {
+        ...this.swap,
+        usedPages: this.nextSwapSlot - this.freeSwapSlots.length
+      },
+      ...this.stats,
+      pageFaults: minorFaults + majorFaults,
+      pageFaultRate: translations > 0 ? ((minorFaults + majorFaults) / translations) * 100 : 0,
+      averageWalkLatency: pageWalks > 0 ? walkCycles / pageWalks : 0,
+      tlbHitRate: tlb.hitRate,
+      tlb
+    };
+  }
+}
+
+VirtualMemory.PTE_SIZE = PTE_SIZE;
+
+module.exports = VirtualMemory;
@@ -0,0 +1,188 @@
+// Hardware prefetchers, selectable per cache level:
+//
+//   prefetcher: 'next-line'
+//   prefetcher: { type: 'stride', degree: 2, tableSize: 64 }
+//
+// A prefetcher watches the demand accesses reaching its level (line
+// address, whether it hit, whether it was the first use of a prefetched line
+// and the pc of the instruction behind it) and answers with line addresses
+// to prefetch. ClassicalMemory fetches them from below; fillsCache says
+// whether they go into the level itself or into the prefetcher's own
+// buffers.
+class Prefetcher {
+  constructor(cache, config = {}) {
+    this.cache = cache;
+    this.lineSize = cache.lineSize;
+    this.degree = config.degree !== undefined ? config.degree : 1;
+    this.fillsCache = true;
+    if (!(Number.isInteger(this.degree) && this.degree > 0)) {
+      throw new Error(`${cache.name} prefetcher degree must be a positive integer`);
+    }
+  }
+
+  observe() {
+    return [];
+  }
+
+  // Lines a demand miss can take from the prefetcher instead of from below
+  claim() {
+    return false;
+  }
+
+  // A line asked for that won't be fetched
+  drop() {}
+
+  // The degree lines after address, stride bytes apart
+  ahead(address, stride) {
+    return Array.from({ length: this.degree }, (_, k) => address + stride * (k + 1));
+  }
+}
+
+// Tagged next-line: a miss, or the first hit on a prefetched line, fetches
+// the following lines, so a sequential scan stays ahead after one miss
+class NextLinePrefetcher extends Prefetcher {
+  observe({ address, hit, firstUse }) {
+    return !hit || firstUse ? this.ahead(address, this.lineSize) : [];
+  }
+}
+
+// IP-based stride prefetcher (Chen and Baer's reference prediction table):
+// one entry per pc with its last line, stride and a 2-bit confidence.
+// Once the same stride has been seen twice in a row, the next degree lines
+// along it are fetched.
+const MAX_CONFIDENCE = 3;
+const STRIDE_THRESHOLD = 2;
+
+class StridePrefetcher extends Prefetcher {
+  constructor(cache, config = {}) {
+    super(cache, config);
+    this.tableSize = config.tableSize !== undefined ? config.tableSize : 64;
+    if (!(Number.isInteger(this.tableSize) && this.tableSize > 0)) {
+      throw new Error(`${cache.name} prefetcher tableSize must be a positive integer`);
+    }
+    // Kept in recency order, least recent first
+    this.table = new Map();
+  }
+
+  observe({ address, pc }) {
+    const entry = this.table.get(pc);
+    this.table.delete(pc);
+
+    if (!entry) {
+      if (this.table.size >= this.tableSize) this.table.delete(this.table.keys().next().value);
+      this.table.set(pc, { last: address, stride: 0, confidence: 0 });
+      return [];
+    }
+
+    this.table.set(pc, entry);
+    const stride = address - entry.last;
+    // Several accesses to one line say nothing about the stride
+    if (stride === 0) return [];
+
+    if (stride === entry.stride) {
+      entry.confidence = Math.min(entry.confidence + 1, MAX_CONFIDENCE);
+    } else if (entry.confidence > 0) {
+      entry.confidence--;
+    } else {
+      entry.stride = stride;
+      entry.confidence = 1;
+    }
+    entry.last = address;
+
+    return entry.confidence >= STRIDE_THRESHOLD ? this.ahead(address, entry.stride) : [];
+  }
+}
+
+// Stream buffers (Jouppi, ISCA 1990): a miss no buffer holds restarts the
+// least recently used buffer on the lines after it, and a miss a buffer
+// holds is served from there while the buffer fetches one more line. The
+// lines wait in the buffers rather than in the cache, so they can't evict
+// anything.
+class StreamBufferPrefetcher extends Prefetcher {
+  constructor(cache, config = {}) {
+    super(cache, config);
+    this.fillsCache = false;
+    this.numBuffers = config.buffers !== undefined ? config.buffers : 4;
+    this.depth = config.depth !== undefined ? config.depth : 4;
+    if (!(Number.isInteger(this.numBuffers) && this.numBuffers > 0)) {
+      throw new Error(`${cache.name} prefetcher buffers must be a positive integer`);
+    }
+    if (!(Number.isInteger(this.depth) && this.depth > 0)) {
+      throw new Error(`${cache.name} prefetcher depth must be a positive integer`);
+    }
+    this.buffers = Array.from({ length: this.numBuffers }, () => ({ lines: [], next: 0, lastUsed: 0 }));
+    this.clock = 0;
+    this.claimed = null;
+  }
+
+  claim(address) {
+    const buffer = this.buffers.find(candidate => candidate.lines.includes(address));
+    if (!buffer) return false;
+
+    // Lines the stream skipped over are dropped unused
+    const position = buffer.lines.indexOf(address);
+    this.cache.prefetchStats.useless += position;
+    buffer.lines.splice(0, position + 1);
+    buffer.lastUsed = ++this.clock;
+    this.cache.prefetchStats.useful++;
+    this.cache.prefetchStats.bufferHits++;
+    this.claimed = buffer;
+    return true;
+  }
+
+  drop(address) {
+    this.buffers.forEach(buffer => {
+      buffer.lines = buffer.lines.filter(line => line !== address);
+    });
+  }
+
+  observe({ address, hit }) {
+    if (hit) return [];
+
+    const lines = [];
+    let buffer = this.claimed;
+    this.claimed = null;
+
+    if (!buffer) {
+      buffer = this.buffers.reduce((oldest, candidate) => (candidate.lastUsed < oldest.lastUsed ? candidate : oldest));
+      this.cache.prefetchStats.useless += buffer.lines.length;
+      Object.assign(buffer, { lines: [], next: address + this.lineSize, lastUsed: ++this.clock });
+    }
+
+    while (buffer.lines.length < this.depth) {
+      buffer.lines.push(buffer.next);
+      lines.push(buffer.next);
+      buffer.next += this.lineSize;
+    }
+    return lines;
+  }
+}
+
+const PREFETCHERS = {
+  'next-line': NextLinePrefetcher,
+  stride: StridePrefetcher,
+  stream: StreamBufferPrefetcher
+};
+
+const listPrefetchers = () => Object.keys(PREFETCHERS);
+
+// config is a prefetcher name or { type, ...settings }; null for none
+const createPrefetcher = (config, cache) => {
+  if (config === undefined || config === null || config === false) return null;
+
+  const settings = typeof config === 'string' ? { type: config } : config;
+  const type = String(settings && settings.type).toLowerCase();
+  const PrefetcherType = typeof settings === 'object' && PREFETCHERS[type];
+  if (!PrefetcherType) {
+    throw new Error(`Unknown prefetcher '${settings && settings.type}'. Available prefetchers: ${listPrefetchers().join(', ')}`);
+  }
+
+  const prefetcher = new PrefetcherType(cache, settings);
+  prefetcher.type = type;
+  return prefetcher;
+};
+
+module.exports = {
+  listPrefetchers,
+  createPrefetcher
+};
@@ -0,0 +1,30 @@
+const StateVector = require('./StateVector');
+const DensityMatrix = require('./DensityMatrix');
+
+// Quantum backend implementations, selectable by name per processor
+const BACKENDS = {
+  statevector: StateVector,
+  densitymatrix: DensityMatrix
+};
+
+const DEFAULT_BACKEND = 'statevector';
+
+const listQuantumBackends = () => Object.keys(BACKENDS);
+
+// Most qubits a backend can simulate
+const maxQubits = (type = DEFAULT_BACKEND) => BACKENDS[type].MAX_QUBITS;
+
+const createQuantumBackend = (type = DEFAULT_BACKEND, numQubits, options = {}) => {
+  const Backend = BACKENDS[type];
+  if (!Backend) {
+    throw new Error(`Unknown quantum backend '${type}'. Available backends: ${listQuantumBackends().join(', ')}`);
+  }
+  return new Backend(numQubits, options);
+};
+
+module.exports = {
+  DEFAULT_BACKEND,
+  listQuantumBackends,
+  maxQubits,
+  createQuantumBackend
+};
@@ -0,0 +1,237 @@
+// Cache replacement policies, selectable by name per cache level. A policy
+// keeps the metadata of every set of one cache: Cache calls touch on a hit,
+// insert after filling a way and invalidate when a line leaves, and asks
+// victim for the way to evict once a set is full.
+class ReplacementPolicy {
+  constructor(numSets, associativity, options = {}) {
+    this.associativity = associativity;
+    this.random = options.random || Math.random;
+    // Created on first use, like the cache's own sets
+    this.sets = new Array(numSets).fill(null);
+  }
+
+  getSet(set) {
+    if (!this.sets[set]) this.sets[set] = this.createSet();
+    return this.sets[set];
+  }
+
+  createSet() {
+    return new Array(this.associativity).fill(0);
+  }
+
+  touch() {}
+
+  insert() {}
+
+  invalidate() {}
+}
+
+// Smallest value's way; earlier ways win ties
+const argMin = (values) => values.reduce((best, value, index) => (value < values[best] ? index : best), 0);
+
+// Evicts the line unused for longest
+class LRUPolicy extends ReplacementPolicy {
+  constructor(numSets, associativity, options) {
+    super(numSets, associativity, options);
+    this.clock = 0;
+  }
+
+  touch(set, way) {
+    this.getSet(set)[way] = ++this.clock;
+  }
+
+  insert(set, way) {
+    this.touch(set, way);
+  }
+
+  victim(set) {
+    return argMin(this.getSet(set));
+  }
+}
+
+// Tree pseudo-LRU: associativity - 1 bits per set, each pointing at the half
+// of its subtree to evict from next. Accesses flip the bits on their path to
+// point away from the way used.
+class TreePLRUPolicy extends ReplacementPolicy {
+  createSet() {
+    return new Array(Math.max(this.associativity - 1, 1)).fill(0);
+  }
+
+  touch(set, way) {
+    const bits = this.getSet(set);
+    let node = 0;
+    let low = 0;
+    let high = this.associativity;
+
+    while (high - low > 1) {
+      const mid = (low + high) / 2;
+      if (way < mid) {
+        bits[node] = 1;
+        node = 2 * node + 1;
+        high = mid;
+      } else {
+        bits[node] = 0;
+        node = 2 * node + 2;
+        low = mid;
+      }
+    }
+  }
+
+  insert(set, way) {
+    this.touch(set, way);
+  }
+
+  victim(set) {
+    const bits = this.getSet(set);
+    let node = 0;
+    let low = 0;
+    let high = this.associativity;
+
+    while (high - low > 1) {
+      const mid = (low + high) / 2;
+      if (bits[node] === 0) {
+        node = 2 * node + 1;
+        high = mid;
+      } else {
+        node = 2 * node + 2;
+        low = mid;
+      }
+    }
+    return low;
+  }
+}
+
+// Evicts the line filled longest ago, regardless of use
+class FIFOPolicy extends ReplacementPolicy {
+  constructor(numSets, associativity, options) {
+    super(numSets, associativity, options);
+    this.clock = 0;
+  }
+
+  insert(set, way) {
+    this.getSet(set)[way] = ++this.clock;
+  }
+
+  victim(set) {
+    return argMin(this.getSet(set));
+  }
+}
+
+class RandomPolicy extends ReplacementPolicy {
+  createSet() {
+    return null;
+  }
+
+  victim() {
+    return Math.floor(this.random() * this.associativity);
+  }
+}
+
+// Evicts the line with the fewest hits since it was filled; the older fill
+// loses a tie
+class LFUPolicy extends ReplacementPolicy {
+  constructor(numSets, associativity, options) {
+    super(numSets, associativity, options);
+    this.clock = 0;
+  }
+
+  createSet() {
+    return { counts: new Array(this.associativity).fill(0), filled: new Array(this.associativity).fill(0) };
+  }
+
+  touch(set, way) {
+    this.getSet(set).counts[way]++;
+  }
+
+  insert(set, way) {
+    const state = this.getSet(set);
+    state.counts[way] = 1;
+    state.filled[way] = ++this.clock;
+  }
+
+  invalidate(set, way) {
+    this.getSet(set).counts[way] = 0;
+  }
+
+  victim(set) {
+    const { counts, filled } = this.getSet(set);
+    return counts.reduce((best, count, way) => {
+      if (count < counts[best] || (count === counts[best] && filled[way] < filled[best])) return way;
+      return best;
+    }, 0);
+  }
+}
+
+// Static re-reference interval prediction (Jaleel et al., ISCA 2010) with
+// 2-bit RRPVs: new lines are predicted a long re-reference interval, hits
+// predict a near one, and the victim is a line predicted distant
+const MAX_RRPV = 3;
+
+class SRRIPPolicy extends ReplacementPolicy {
+  createSet() {
+    return new Array(this.associativity).fill(MAX_RRPV);
+  }
+
+  touch(set, way) {
+    this.getSet(set)[way] = 0;
+  }
+
+  insert(set, way) {
+    this.getSet(set)[way] = this.insertionRRPV();
+  }
+
+  insertionRRPV() {
+    return MAX_RRPV - 1;
+  }
+
+  invalidate(set, way) {
+    this.getSet(set)[way] = MAX_RRPV;
+  }
+
+  victim(set) {
+    const rrpvs = this.getSet(set);
+    for (;;) {
+      const way = rrpvs.indexOf(MAX_RRPV);
+      if (way !== -1) return way;
+      rrpvs.forEach((rrpv, index) => { rrpvs[index] = rrpv + 1; });
+    }
+  }
+}
+
+// Bimodal RRIP: inserts at distant RRPV except for an occasional long one,
+// so a scan larger than the cache can't flush the working set
+const BRRIP_LONG_INSERT_PROBABILITY = 1 / 32;
+
+class BRRIPPolicy extends SRRIPPolicy {
+  insertionRRPV() {
+    return this.random() < BRRIP_LONG_INSERT_PROBABILITY ? MAX_RRPV - 1 : MAX_RRPV;
+  }
+}
+
+const POLICIES = {
+  lru: LRUPolicy,
+  plru: TreePLRUPolicy,
+  fifo: FIFOPolicy,
+  random: RandomPolicy,
+  lfu: LFUPolicy,
+  srrip: SRRIPPolicy,
+  brrip: BRRIPPolicy
+};
+
+const DEFAULT_POLICY = 'lru';
+
+const listReplacementPolicies = () => Object.keys(POLICIES);
+
+const createReplacementPolicy = (type = DEFAULT_POLICY, numSets, associativity, options = {}) => {
+  const Policy = POLICIES[String(type).toLowerCase()];
+  if (!Policy) {
+    throw new Error(`Unknown replacement policy '${type}'. Available policies: ${listReplacementPolicies().join(', ')}`);
+  }
+  return new Policy(numSets, associativity, options);
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  listReplacementPolicies,
+  createReplacementPolicy
+};
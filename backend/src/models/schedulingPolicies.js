@@ -0,0 +1,183 @@
+// Routing of parallel subtasks between the quantum unit and the classical
+// cores. Every subtask gets an estimate of what running it on the quantum
+// unit would save, and a policy, selectable by name, picks a unit for each.
+//
+// A subtask describes its problem with optional fields:
+//
+//   size     problem size N, such as the entries to search (1 by default)
+//   speedup  the quantum algorithm's scaling: 'none' (N queries),
+//            'quadratic' (√N, the default) or 'exponential' (log₂ N)
+//   qubits   qubits the circuit needs (⌈log₂ N⌉ by default)
+//   depth    circuit depth (2 × qubits layers per query by default)
+//
+// Costs are in classical operations: N for the classical run, and a fixed
+// preparation and readout overhead plus GATE_COST per layer for the quantum
+// one, divided by the chance the noisy run comes out right (the expected
+// number of repeats). advantage is the fraction of the classical cost the
+// quantum run saves, negative when it is slower.
+const GATE_COST = 10;
+const QUANTUM_OVERHEAD = 50;
+
+const QUERY_SCALING = {
+  none: size => size,
+  quadratic: size => Math.ceil(Math.sqrt(size)),
+  exponential: size => Math.max(Math.ceil(Math.log2(size)), 1)
+};
+
+const positiveInteger = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  if (!Number.isSafeInteger(value) || value < 1) throw new Error(`${name} must be a positive integer`);
+  return value;
+};
+
+// Chance a circuit of depth layers on qubits finishes without an error:
+// each qubit risks a single-qubit gate error per layer, and a readout error
+const circuitFidelity = (noiseModel, qubits, depth) => {
+  if (!noiseModel) return 1;
+  const { errorRate } = noiseModel.gateParameters(null, 1);
+  const { readoutError } = noiseModel.qubitParameters(0);
+  return (1 - errorRate) ** (qubits * depth) * (1 - readoutError) ** qubits;
+};
+
+const estimateAdvantage = (task, { qubits: availableQubits, noiseModel = null }) => {
+  const size = positiveInteger(task.size, 'size', 1);
+  const speedup = task.speedup === undefined ? 'quadratic' : task.speedup;
+  if (!Object.hasOwn(QUERY_SCALING, speedup)) {
+    throw new Error(`Unknown speedup '${speedup}'. Available: ${Object.keys(QUERY_SCALING).join(', ')}`);
+  }
+  const qubits = positiveInteger(task.qubits, 'qubits', Math.max(Math.ceil(Math.log2(size)), 1));
+  const depth = positiveInteger(task.depth, 'depth', QUERY_SCALING[speedup](size) * 2 * qubits);
+
+  const fidelity = circuitFidelity(noiseModel, qubits, depth);
+  const classicalCost = size;
+  const quantumCost = fidelity > 0 ? (QUANTUM_OVERHEAD + depth * GATE_COST) / fidelity : Infinity;
+
+  return {
+    size,
+    qubits,
+    depth,
+    fidelity,
+    classicalCost,
+    quantumCost,
+    speedup: classicalCost / quantumCost,
+    advantage: 1 - quantumCost / classicalCost,
+    feasible: qubits <= availableQubits
+  };
+};
+
+// A policy takes the estimates and { threshold, qubits, cores } and returns
+// a { unit, reason } decision per subtask. Subtasks needing more qubits than
+// the processor has always run classically.
+const infeasible = (estimate, { qubits }) => (
+  !estimate.feasible && { unit: 'classical', reason: `needs ${estimate.qubits} qubits, processor has ${qubits}` }
+);
+
+const thresholdDecision = (estimate, { threshold }) => (
+  estimate.advantage >= threshold
+    ? { unit: 'quantum', reason: `advantage ${estimate.advantage.toFixed(3)} meets threshold ${threshold}` }
+    : { unit: 'classical', reason: `advantage ${estimate.advantage.toFixed(3)} below threshold ${threshold}` }
+);
+
+// Each subtask on its own: quantum whenever its advantage meets the threshold
+const greedy = (estimates, context) => estimates.map(estimate => (
+  infeasible(estimate, context) || thresholdDecision(estimate, context)
+));
+
+// Alternates units over the subtasks that fit, ignoring the estimates; a
+// baseline to compare the others against
+const roundRobin = (estimates, context) => {
+  let next = 'quantum';
+  return estimates.map(estimate => {
+    const skipped = infeasible(estimate, context);
+    if (skipped) return skipped;
+    const unit = next;
+    next = unit === 'quantum' ? 'classical' : 'quantum';
+    return { unit, reason: 'round-robin' };
+  });
+};
+
+// List scheduling on the estimated costs. Largest subtasks first, each goes
+// to whichever of the quantum unit and the least loaded classical core
+// would finish it sooner, the quantum unit only when the advantage meets the
+// threshold. So once the quantum unit has a backlog, subtasks it would still
+// speed up move to idle cores.
+const costModel = (estimates, context) => {
+  const coreLoads = new Array(context.cores).fill(0);
+  let quantumLoad = 0;
+  const decisions = new Array(estimates.length);
+
+  const order = estimates.map((_, index) => index)
+    .sort((a, b) => estimates[b].classicalCost - estimates[a].classicalCost || a - b);
+
+  order.forEach(index => {
+    const estimate = estimates[index];
+    const core = coreLoads.indexOf(Math.min(...coreLoads));
+    const classicalFinish = coreLoads[core] + estimate.classicalCost;
+    const quantumFinish = quantumLoad + estimate.quantumCost;
+
+    let decision = infeasible(estimate, context) || thresholdDecision(estimate, context);
+    if (decision.unit === 'quantum' && quantumFinish > classicalFinish) {
+      decision = { unit: 'classical', reason: `classical core ${core} finishes sooner (${classicalFinish} vs ${Math.round(quantumFinish)})` };
+    }
+
+    if (decision.unit === 'quantum') {
+      quantumLoad = quantumFinish;
+    } else {
+      coreLoads[core] = classicalFinish;
+    }
+    decisions[index] = decision;
+  });
+
+  return decisions;
+};
+
+const SCHEDULING_POLICIES = {
+  greedy,
+  'round-robin': roundRobin,
+  'cost-model': costModel
+};
+
+// Policy used when none is named, by optimization level
+const DEFAULT_POLICIES = ['round-robin', 'greedy', 'cost-model'];
+
+const listSchedulingPolicies = () => Object.keys(SCHEDULING_POLICIES);
+
+const defaultSchedulingPolicy = (optimizationLevel) => (
+  DEFAULT_POLICIES[Math.min(Math.max(optimizationLevel, 0), DEFAULT_POLICIES.length - 1)]
+);
+
+const getSchedulingPolicy = (policy) => {
+  const name = String(policy).toLowerCase();
+  if (!Object.hasOwn(SCHEDULING_POLICIES, name)) {
+    throw new Error(`Unknown scheduling policy '${policy}'. Available policies: ${listSchedulingPolicies().join(', ')}`);
+  }
+  return { name, schedule: SCHEDULING_POLICIES[name] };
+};
+
+// Decisions for tasks under the named policy. context holds threshold,
+// qubits, cores and the noiseModel (if any).
+const scheduleTasks = (tasks, policy, context) => {
+  const { name, schedule } = getSchedulingPolicy(policy);
+  const estimates = tasks.map((task, index) => {
+    try {
+      return estimateAdvantage(task, context);
+    } catch (error) {
+      throw new Error(`Subtask ${index}: ${error.message}`);
+    }
+  });
+  const decisions = schedule(estimates, context).map((decision, index) => ({ index, ...decision, ...estimates[index] }));
+
+  return {
+    policy: name,
+    threshold: context.threshold,
+    quantumTasks: decisions.filter(({ unit }) => unit === 'quantum').length,
+    classicalTasks: decisions.filter(({ unit }) => unit === 'classical').length,
+    decisions
+  };
+};
+
+module.exports = {
+  listSchedulingPolicies,
+  defaultSchedulingPolicy,
+  scheduleTasks
+};
@@ -7,6 +7,8 @@ router.get('/status', MemoryController.getMemoryStatus);
 router.get('/quantum', MemoryController.getQuantumState);
 router.post('/quantum', MemoryController.quantumOperation);
 router.post('/classical', MemoryController.classicalOperation);
+router.post('/cache/compare', MemoryController.compareCachePolicies);
+router.post('/trace', MemoryController.replayTrace);
 router.get('/quantum/states', MemoryController.getAllQuantumStates);
 router.post('/quantum/entangle', MemoryController.entangleQubits);
 router.post('/quantum/measure', MemoryController.measureQubit);
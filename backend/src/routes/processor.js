@@ -4,14 +4,30 @@ const ProcessorController = require('../controllers/processorController');
 const router = express.Router();
 router.get('/status', ProcessorController.getStatus);
 router.post('/execute', ProcessorController.executeTask);
+router.post('/queue', ProcessorController.enqueueTask);
+router.get('/queue', ProcessorController.getQueue);
+router.get('/queue/:id', ProcessorController.getQueuedTask);
+router.delete('/queue/:id', ProcessorController.cancelTask);
 router.post('/start', ProcessorController.startProcessor);
 router.post('/stop', ProcessorController.stopProcessor);
+router.post('/pause', ProcessorController.pauseProcessor);
+router.post('/resume', ProcessorController.resumeProcessor);
+router.post('/step', ProcessorController.stepProcessor);
+router.get('/snapshot', ProcessorController.getSnapshot);
+router.get('/breakpoints', ProcessorController.getBreakpoints);
+router.post('/breakpoints', ProcessorController.addBreakpoint);
+router.delete('/breakpoints/:id', ProcessorController.removeBreakpoint);
 router.get('/history', ProcessorController.getHistory);
 router.delete('/history', ProcessorController.clearHistory);
 router.post('/reset', ProcessorController.resetProcessor);
 router.get('/algorithms', ProcessorController.getAlgorithms);
 router.get('/performance', ProcessorController.getPerformance);
 router.post('/circuit', ProcessorController.executeCircuit);
+router.get('/circuit/:id/qasm', ProcessorController.getCircuitQasm);
+router.post('/program/run', ProcessorController.runProgram);
+router.post('/program/load', ProcessorController.loadProgram);
+router.post('/program/step', ProcessorController.stepProgram);
+router.get('/program', ProcessorController.getProgramState);
 router.get('/metrics', ProcessorController.getMetrics);
 
 module.exports = router;
\ No newline at end of file
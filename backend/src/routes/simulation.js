@@ -0,0 +1,18 @@
+const express = require('express');
+const SimulationController = require('../controllers/simulationController');
+
+const router = express.Router();
+
+router.post('/start', SimulationController.startSimulation);
+router.post('/stop', SimulationController.stopSimulation);
+router.get('/status', SimulationController.getStatus);
+router.get('/performance', SimulationController.getPerformanceHistory);
+router.get('/algorithms', SimulationController.getAlgorithms);
+router.post('/pause', SimulationController.pauseSimulation);
+router.post('/resume', SimulationController.resumeSimulation);
+router.post('/step', SimulationController.stepSimulation);
+router.get('/breakpoints', SimulationController.getBreakpoints);
+router.post('/breakpoints', SimulationController.addBreakpoint);
+router.delete('/breakpoints/:id', SimulationController.removeBreakpoint);
+
+module.exports = router;
@@ -1,276 +1,311 @@
+const { createQuantumBackend, DEFAULT_BACKEND } = require('../models/quantumBackends');
+const {
+  complexMatrix,
+  hadamard,
+  pauliX,
+  pauliZ,
+  rotationX,
+  rotationY,
+  rotationZ,
+  phaseShift,
+  swap,
+  iSwap
+} = require('../utils/gates');
+const { isUnitary } = require('../utils/linearAlgebra');
+const { singleQubitGate } = require('../utils/gateLibrary');
+
+const ROTATIONS = { X: rotationX, Y: rotationY, Z: rotationZ };
+
+// Addresses qubits by string id on top of a QuantumBackend, so the
+// simulation loop runs on the same engines as HybridProcessor
 class QuantumService {
     constructor() {
+      this.backend = null;
       this.quantumStates = new Map();
       this.entanglementPairs = new Map();
       this.coherenceTime = 1000; // milliseconds
     }
-  
-    // Create a new qubit with initial state
+
+    // Create the backend that holds every qubit handed out by createQubit.
+    // options.noise attaches { afterGate, idle } Kraus channels.
+    initialize(numQubits, backendType = DEFAULT_BACKEND, options = {}) {
+      this.reset();
+      this.backend = createQuantumBackend(backendType, numQubits, options);
+      return this.backend.getStats();
+    }
+
+    getQubit(qubitId) {
+      const qubit = this.quantumStates.get(qubitId);
+      if (!qubit) throw new Error(`Qubit ${qubitId} not found`);
+      return qubit;
+    }
+
+    // Create a new qubit with initial state alpha|0⟩ + beta|1⟩
     createQubit(id, alpha = 1, beta = 0) {
-      const qubit = {
+      if (!this.backend) throw new Error('Quantum backend not initialized');
+      if (this.quantumStates.has(id)) throw new Error(`Qubit ${id} already exists`);
+
+      const [index] = this.backend.allocate(1);
+      this.backend.prepareQubit(index, alpha, beta);
+
+      this.quantumStates.set(id, {
         id,
-        alpha: { real: alpha, imaginary: 0 },
-        beta: { real: beta, imaginary: 0 },
+        index,
         coherenceTime: this.coherenceTime,
         lastUpdate: Date.now(),
-        isEntangled: false,
         entangledWith: null
-      };
-      
-      this.quantumStates.set(id, qubit);
-      return qubit;
+      });
+
+      return this.getStateVisualization(id);
+    }
+
+    applySingleQubitGate(qubitId, matrix, name) {
+      const qubit = this.getQubit(qubitId);
+      this.backend.applyGate(matrix, [qubit.index], [], name);
+      qubit.lastUpdate = Date.now();
+      return this.getStateVisualization(qubitId);
+    }
+
+    // Apply any named single-qubit gate, e.g. { type: 'U3', theta, phi, lambda }
+    applyGate(qubitId, gate) {
+      const { name, matrix } = singleQubitGate(gate);
+      return this.applySingleQubitGate(qubitId, matrix, name);
     }
-  
+
     // Apply Hadamard gate (creates superposition)
     hadamardGate(qubitId) {
-      const qubit = this.quantumStates.get(qubitId);
-      if (!qubit) throw new Error(`Qubit ${qubitId} not found`);
-  
-      const sqrt2 = Math.sqrt(2);
-      const newAlpha = {
-        real: (qubit.alpha.real + qubit.beta.real) / sqrt2,
-        imaginary: (qubit.alpha.imaginary + qubit.beta.imaginary) / sqrt2
-      };
-      const newBeta = {
-        real: (qubit.alpha.real - qubit.beta.real) / sqrt2,
-        imaginary: (qubit.alpha.imaginary - qubit.beta.imaginary) / sqrt2
-      };
-  
-      qubit.alpha = newAlpha;
-      qubit.beta = newBeta;
-      qubit.lastUpdate = Date.now();
-  
-      return this.normalizeQubit(qubit);
+      return this.applySingleQubitGate(qubitId, hadamard(), 'HADAMARD');
     }
-  
+
     // Apply Pauli-X gate (bit flip)
     xGate(qubitId) {
-      const qubit = this.quantumStates.get(qubitId);
-      if (!qubit) throw new Error(`Qubit ${qubitId} not found`);
-  
-      const temp = { ...qubit.alpha };
-      qubit.alpha = { ...qubit.beta };
-      qubit.beta = temp;
-      qubit.lastUpdate = Date.now();
-  
-      return qubit;
+      return this.applySingleQubitGate(qubitId, pauliX(), 'PAULI_X');
     }
-  
+
     // Apply Pauli-Z gate (phase flip)
     zGate(qubitId) {
-      const qubit = this.quantumStates.get(qubitId);
-      if (!qubit) throw new Error(`Qubit ${qubitId} not found`);
-  
-      qubit.beta.real = -qubit.beta.real;
-      qubit.beta.imaginary = -qubit.beta.imaginary;
-      qubit.lastUpdate = Date.now();
-  
-      return qubit;
+      return this.applySingleQubitGate(qubitId, pauliZ(), 'PAULI_Z');
     }
-  
-    // Create entanglement between two qubits
-    entangle(qubitId1, qubitId2) {
-      const qubit1 = this.quantumStates.get(qubitId1);
-      const qubit2 = this.quantumStates.get(qubitId2);
-      
-      if (!qubit1 || !qubit2) {
-        throw new Error('One or both qubits not found');
+
+    // Apply a gate to the joint state of several qubits. targetIds[0] is the
+    // most significant bit of the matrix, and the gate only acts on the part
+    // of the state where every control qubit is |1⟩.
+    applyMultiQubitGate(matrix, targetIds, controlIds = [], name = null) {
+      const ids = [...targetIds, ...controlIds];
+      if (new Set(ids).size !== ids.length) {
+        throw new Error(`${name || 'Gate'} cannot use the same qubit more than once`);
       }
-  
-      // Create Bell state |00⟩ + |11⟩
-      qubit1.alpha = { real: Math.sqrt(0.5), imaginary: 0 };
-      qubit1.beta = { real: 0, imaginary: 0 };
-      qubit2.alpha = { real: 0, imaginary: 0 };
-      qubit2.beta = { real: Math.sqrt(0.5), imaginary: 0 };
-  
-      qubit1.isEntangled = true;
-      qubit2.isEntangled = true;
-      qubit1.entangledWith = qubitId2;
-      qubit2.entangledWith = qubitId1;
-  
+
+      const indexOf = id => this.getQubit(id).index;
+      this.backend.applyGate(matrix, targetIds.map(indexOf), controlIds.map(indexOf), name);
+      ids.forEach(id => { this.getQubit(id).lastUpdate = Date.now(); });
+      this.trackEntanglement(ids);
+
+      return ids.map(id => this.getStateVisualization(id));
+    }
+
+    cnot(controlId, targetId) {
+      return this.applyMultiQubitGate(pauliX(), [targetId], [controlId], 'CNOT');
+    }
+
+    cz(controlId, targetId) {
+      return this.applyMultiQubitGate(pauliZ(), [targetId], [controlId], 'CZ');
+    }
+
+    swap(qubitId1, qubitId2) {
+      return this.applyMultiQubitGate(swap(), [qubitId1, qubitId2], [], 'SWAP');
+    }
+
+    iSwap(qubitId1, qubitId2) {
+      return this.applyMultiQubitGate(iSwap(), [qubitId1, qubitId2], [], 'ISWAP');
+    }
+
+    // Controlled rotation about the X, Y or Z axis (CRx, CRy, CRz)
+    controlledRotation(axis, controlId, targetId, theta) {
+      const rotation = ROTATIONS[String(axis).toUpperCase()];
+      if (!rotation) throw new Error(`Unknown rotation axis ${axis}`);
+      if (!Number.isFinite(theta)) throw new Error('Rotation angle must be a finite number');
+
+      return this.applyMultiQubitGate(rotation(theta), [targetId], [controlId], `CR${String(axis).toUpperCase()}`);
+    }
+
+    // Toffoli (CCX): flip the target when both controls are |1⟩
+    toffoli(controlId1, controlId2, targetId) {
+      return this.applyMultiQubitGate(pauliX(), [targetId], [controlId1, controlId2], 'TOFFOLI');
+    }
+
+    // Arbitrary unitary on the targets, conditioned on every control
+    controlledUnitary(controlIds, targetIds, matrix, name = 'CONTROLLED_U') {
+      const unitary = complexMatrix(matrix);
+      if (!isUnitary(unitary)) throw new Error(`${name} matrix is not unitary`);
+
+      return this.applyMultiQubitGate(unitary, targetIds, controlIds, name);
+    }
+
+    // Create the Bell state (|00⟩ + |11⟩)/√2 between two qubits
+    entangle(qubitId1, qubitId2) {
+      const qubit1 = this.getQubit(qubitId1);
+      const qubit2 = this.getQubit(qubitId2);
+
+      this.backend.prepareBellPair(qubit1.index, qubit2.index);
+      qubit1.lastUpdate = Date.now();
+      qubit2.lastUpdate = Date.now();
+
+      return {
+        qubit1: this.getStateVisualization(qubitId1),
+        qubit2: this.getStateVisualization(qubitId2),
+        pairId: this.linkEntanglement(qubitId1, qubitId2)
+      };
+    }
+
+    linkEntanglement(qubitId1, qubitId2) {
+      this.forgetEntanglement(qubitId1);
+      this.forgetEntanglement(qubitId2);
+      this.getQubit(qubitId1).entangledWith = qubitId2;
+      this.getQubit(qubitId2).entangledWith = qubitId1;
+
       const pairId = `${qubitId1}-${qubitId2}`;
       this.entanglementPairs.set(pairId, {
         qubit1: qubitId1,
         qubit2: qubitId2,
         createdAt: Date.now()
       });
-  
-      return { qubit1, qubit2, pairId };
+      return pairId;
     }
-  
-    // Measure a qubit (collapses superposition)
-    measure(qubitId) {
-      const qubit = this.quantumStates.get(qubitId);
-      if (!qubit) throw new Error(`Qubit ${qubitId} not found`);
-  
-      // Calculate probabilities
-      const prob0 = qubit.alpha.real ** 2 + qubit.alpha.imaginary ** 2;
-      const prob1 = qubit.beta.real ** 2 + qubit.beta.imaginary ** 2;
-  
-      // Simulate measurement with random collapse
-      const measurement = Math.random() < prob0 ? 0 : 1;
-  
-      // Collapse the state
-      if (measurement === 0) {
-        qubit.alpha = { real: 1, imaginary: 0 };
-        qubit.beta = { real: 0, imaginary: 0 };
-      } else {
-        qubit.alpha = { real: 0, imaginary: 0 };
-        qubit.beta = { real: 1, imaginary: 0 };
-      }
-  
-      // Handle entangled qubits
-      if (qubit.isEntangled && qubit.entangledWith) {
-        const entangledQubit = this.quantumStates.get(qubit.entangledWith);
-        if (entangledQubit) {
-          // Correlated measurement for Bell state
-          if (measurement === 0) {
-            entangledQubit.alpha = { real: 1, imaginary: 0 };
-            entangledQubit.beta = { real: 0, imaginary: 0 };
-          } else {
-            entangledQubit.alpha = { real: 0, imaginary: 0 };
-            entangledQubit.beta = { real: 1, imaginary: 0 };
-          }
+
+    // Keep the partner bookkeeping in step with the joint state after a
+    // gate: qubits left in a pure state lose their partner, and the first
+    // two entangled qubits the gate touched are recorded as a pair
+    trackEntanglement(qubitIds) {
+      const entangled = qubitIds.filter(id => this.backend.getQubitState(this.getQubit(id).index).entangled);
+
+      qubitIds
+        .filter(id => !entangled.includes(id))
+        .forEach(id => this.forgetEntanglement(id));
+
+      if (entangled.length >= 2) this.linkEntanglement(entangled[0], entangled[1]);
+      return entangled;
+    }
+
+    forgetEntanglement(qubitId) {
+      for (const [pairId, pair] of this.entanglementPairs) {
+        if (pair.qubit1 === qubitId || pair.qubit2 === qubitId) {
+          const partner = this.quantumStates.get(pair.qubit1 === qubitId ? pair.qubit2 : pair.qubit1);
+          if (partner) partner.entangledWith = null;
+          this.entanglementPairs.delete(pairId);
         }
       }
-  
+      const qubit = this.quantumStates.get(qubitId);
+      if (qubit) qubit.entangledWith = null;
+    }
+
+    // Measure a qubit (collapses superposition, including any partner)
+    measure(qubitId) {
+      const qubit = this.getQubit(qubitId);
+      const { one } = this.backend.getQubitState(qubit.index).probabilities;
+      const { outcome } = this.backend.measure(qubit.index);
+
+      this.forgetEntanglement(qubitId);
       qubit.lastUpdate = Date.now();
-      return { measurement, probabilities: { prob0, prob1 } };
+
+      return { measurement: outcome, probabilities: { prob0: 1 - one, prob1: one } };
     }
-  
-    // Apply decoherence over time
-    applyDecoherence(qubitId, factor = 0.01) {
+
+    // Run the backend's idle noise channels on one qubit for a time step.
+    // Only the density-matrix backend shows this as purity loss; the state
+    // vector samples one Kraus branch per call.
+    applyDecoherence(qubitId, duration = 0) {
       const qubit = this.quantumStates.get(qubitId);
       if (!qubit) return null;
-  
-      const timeDelta = Date.now() - qubit.lastUpdate;
-      const decayFactor = Math.exp(-timeDelta * factor / 1000);
-  
-      // Reduce coherence of superposition states
-      if (qubit.alpha.real !== 0 && qubit.beta.real !== 0) {
-        qubit.alpha.real *= decayFactor;
-        qubit.alpha.imaginary *= decayFactor;
-        qubit.beta.real *= decayFactor;
-        qubit.beta.imaginary *= decayFactor;
-      }
-  
-      return this.normalizeQubit(qubit);
-    }
-  
-    // Normalize qubit amplitudes
-    normalizeQubit(qubit) {
-      const norm = Math.sqrt(
-        qubit.alpha.real ** 2 + qubit.alpha.imaginary ** 2 +
-        qubit.beta.real ** 2 + qubit.beta.imaginary ** 2
-      );
-  
-      if (norm > 0) {
-        qubit.alpha.real /= norm;
-        qubit.alpha.imaginary /= norm;
-        qubit.beta.real /= norm;
-        qubit.beta.imaginary /= norm;
-      }
-  
-      return qubit;
+
+      this.backend.applyIdleNoise([qubit.index], duration);
+      return this.getStateVisualization(qubitId);
     }
-  
+
     // Get quantum state visualization data
     getStateVisualization(qubitId) {
       const qubit = this.quantumStates.get(qubitId);
       if (!qubit) return null;
-  
-      const prob0 = qubit.alpha.real ** 2 + qubit.alpha.imaginary ** 2;
-      const prob1 = qubit.beta.real ** 2 + qubit.beta.imaginary ** 2;
-  
+
+      const state = this.backend.getQubitState(qubit.index);
+
       return {
         id: qubitId,
-        amplitudes: {
-          alpha: qubit.alpha,
-          beta: qubit.beta
-        },
-        probabilities: { prob0, prob1 },
-        isEntangled: qubit.isEntangled,
+        index: qubit.index,
+        probabilities: { prob0: state.probabilities.zero, prob1: state.probabilities.one },
+        purity: state.purity,
+        isEntangled: state.entangled,
         entangledWith: qubit.entangledWith,
         coherenceTime: Date.now() - qubit.lastUpdate,
-        blochSphere: this.calculateBlochCoordinates(qubit)
+        blochSphere: state.blochVector
       };
     }
-  
-    // Calculate Bloch sphere coordinates for visualization
-    calculateBlochCoordinates(qubit) {
-      const { alpha, beta } = qubit;
-      
-      // Extract phase information
-      const phase = Math.atan2(beta.imaginary, beta.real) - Math.atan2(alpha.imaginary, alpha.real);
-      const theta = 2 * Math.acos(Math.abs(alpha.real));
-      
-      return {
-        x: Math.sin(theta) * Math.cos(phase),
-        y: Math.sin(theta) * Math.sin(phase),
-        z: Math.cos(theta)
-      };
-    }
-  
+
     // Quantum Fourier Transform simulation
     quantumFourierTransform(qubitIds) {
       const results = [];
-      
+
       for (let i = 0; i < qubitIds.length; i++) {
         const qubitId = qubitIds[i];
         this.hadamardGate(qubitId);
-        
+
         // Apply controlled phase gates
         for (let j = i + 1; j < qubitIds.length; j++) {
           this.controlledPhaseGate(qubitIds[j], qubitId, Math.PI / Math.pow(2, j - i));
         }
-        
+
         results.push(this.getStateVisualization(qubitId));
       }
-      
+
       return results;
     }
-  
-    // Controlled phase gate
+
+    // Controlled phase gate on the joint state
     controlledPhaseGate(controlId, targetId, phase) {
-      const control = this.quantumStates.get(controlId);
-      const target = this.quantumStates.get(targetId);
-      
-      if (!control || !target) return null;
-  
-      // Apply phase only if control qubit is in |1⟩ state
-      if (control.beta.real !== 0 || control.beta.imaginary !== 0) {
-        target.beta.real = target.beta.real * Math.cos(phase) - target.beta.imaginary * Math.sin(phase);
-        target.beta.imaginary = target.beta.real * Math.sin(phase) + target.beta.imaginary * Math.cos(phase);
-      }
-  
-      return target;
+      if (!this.quantumStates.has(controlId) || !this.quantumStates.has(targetId)) return null;
+
+      this.applyMultiQubitGate(phaseShift(phase), [targetId], [controlId], 'CPHASE');
+      return this.getStateVisualization(targetId);
+    }
+
+    // Gates the backend has applied since it was created or reset, however
+    // they were asked for
+    getGateCount() {
+      return this.backend ? this.backend.counters.gates : 0;
     }
-  
+
     // Get all quantum states
     getAllStates() {
       const states = [];
-      for (const [id, qubit] of this.quantumStates) {
+      for (const id of this.quantumStates.keys()) {
         states.push(this.getStateVisualization(id));
       }
       return states;
     }
-  
+
     // Reset quantum system
     reset() {
+      if (this.backend) this.backend.reset();
       this.quantumStates.clear();
       this.entanglementPairs.clear();
     }
-  
+
     // Get system statistics
     getSystemStats() {
       return {
         totalQubits: this.quantumStates.size,
         entangledPairs: this.entanglementPairs.size,
         averageCoherence: this.calculateAverageCoherence(),
-        systemFidelity: this.calculateSystemFidelity()
+        systemFidelity: this.calculateSystemFidelity(),
+        backend: this.backend ? this.backend.getStats() : null
       };
     }
-  
+
+    // Tr(ρ²) of the whole register
+    calculatePurity() {
+      return this.backend ? this.backend.purity() : 1;
+    }
+
     calculateAverageCoherence() {
       let totalCoherence = 0;
       for (const qubit of this.quantumStates.values()) {
@@ -279,7 +314,7 @@ class QuantumService {
       }
       return this.quantumStates.size > 0 ? totalCoherence / this.quantumStates.size : 0;
     }
-  
+
     calculateSystemFidelity() {
       let fidelity = 1;
       for (const qubit of this.quantumStates.values()) {
@@ -289,5 +324,5 @@ class QuantumService {
       return fidelity;
     }
   }
-  
-  module.exports = new QuantumService();
\ No newline at end of file
+
+  module.exports = new QuantumService();
@@ -1,10 +1,27 @@
-const quantumService = require('./QuantumService');
+const quantumService = require('./quantumService');
+const { DEFAULT_BACKEND } = require('../models/quantumBackends');
+const { normalizeGateType, isSingleQubitGate, multiQubitGate } = require('../utils/gateLibrary');
+const { SeededRandom, randomSeed } = require('../utils/random');
+
+const BREAKPOINT_TYPES = ['task', 'gate'];
+// Steps in one pass of an algorithm's cycle, as its execute*Step picks the
+// phase from the step count; one step for the rest and random operations
+const ALGORITHM_CYCLES = { shor: 4, grover: 3 };
 
 class SimulationService {
   constructor() {
     this.isRunning = false;
+    // A paused simulation is still running but only advances by stepping.
+    // lastStop says why and where it last stopped.
+    this.isPaused = false;
+    this.lastStop = null;
+    this.breakpoints = [];
+    this.breakpointSequence = 0;
     this.simulationInterval = null;
     this.stepCount = 0;
+    // Gates the steps have applied, as counted by the quantum backend; gate
+    // breakpoints index into these
+    this.gatesApplied = 0;
     this.startTime = null;
     this.metrics = {
       quantumOps: 0,
@@ -17,6 +34,9 @@ class SimulationService {
     this.performanceHistory = [];
     this.algorithms = new Map();
     this.currentAlgorithm = null;
+    // Drives the initial states, random operations and measurements, so a
+    // run started with the same seed replays step for step
+    this.rng = new SeededRandom();
     
     this.initializeAlgorithms();
   }
@@ -67,30 +87,37 @@ class SimulationService {
       algorithm = null,
       qubits = 4,
       memorySize = 1024,
-      hybridMode = true
+      hybridMode = true,
+      backend = DEFAULT_BACKEND,
+      noise = null,
+      seed = randomSeed()
     } = config;
 
     try {
+      this.rng.reseed(seed);
       this.isRunning = true;
       this.stepCount = 0;
+      this.gatesApplied = 0;
       this.startTime = Date.now();
       this.currentAlgorithm = algorithm;
+      this.stepInterval = stepInterval;
+      this.hybridMode = hybridMode;
+      this.isPaused = false;
+      this.lastStop = null;
 
       // Initialize quantum system
-      await this.initializeQuantumSystem(qubits);
+      await this.initializeQuantumSystem(qubits, backend, noise);
       
       // Initialize classical memory simulation
       await this.initializeClassicalSystem(memorySize);
 
       // Start simulation loop
-      this.simulationInterval = setInterval(() => {
-        this.simulationStep(hybridMode);
-      }, stepInterval);
+      this.startLoop();
 
       return {
         success: true,
         message: 'Simulation started successfully',
-        config: { stepInterval, algorithm, qubits, memorySize, hybridMode }
+        config: { stepInterval, algorithm, qubits, memorySize, hybridMode, backend, noise, seed: this.rng.seed }
       };
     } catch (error) {
       this.isRunning = false;
@@ -104,12 +131,9 @@ class SimulationService {
       return { success: false, message: 'No simulation running' };
     }
 
-    if (this.simulationInterval) {
-      clearInterval(this.simulationInterval);
-      this.simulationInterval = null;
-    }
-
+    this.stopLoop();
     this.isRunning = false;
+    this.isPaused = false;
     const duration = Date.now() - this.startTime;
 
     return {
@@ -118,12 +142,149 @@ class SimulationService {
       stats: {
         duration,
         steps: this.stepCount,
-        averageStepTime: duration / this.stepCount,
+        // null when stopped before the first step
+        averageStepTime: this.stepCount > 0 ? duration / this.stepCount : null,
         metrics: this.metrics
       }
     };
   }
 
+  startLoop() {
+    this.simulationInterval = setInterval(() => this.runStep(), this.stepInterval);
+  }
+
+  stopLoop() {
+    if (this.simulationInterval) {
+      clearInterval(this.simulationInterval);
+      this.simulationInterval = null;
+    }
+  }
+
+  // Stop the step loop, with a snapshot of the state it stopped in
+  pauseSimulation() {
+    if (!this.isRunning) {
+      return { success: false, message: 'No simulation running' };
+    }
+    if (this.isPaused) {
+      return { success: false, message: 'Simulation already paused' };
+    }
+
+    this.stopLoop();
+    this.isPaused = true;
+    this.lastStop = { reason: 'pause', step: this.stepCount, at: Date.now() };
+
+    return { success: true, message: 'Simulation paused', snapshot: this.getSnapshot() };
+  }
+
+  resumeSimulation() {
+    if (!this.isPaused) {
+      return { success: false, message: 'Simulation is not paused' };
+    }
+
+    this.isPaused = false;
+    this.lastStop = null;
+    this.startLoop();
+
+    return { success: true, message: 'Simulation resumed', snapshot: this.getSnapshot() };
+  }
+
+  // Run count steps of a paused simulation, fewer if one reaches a breakpoint
+  stepSimulation(count = 1) {
+    if (!this.isPaused) {
+      return { success: false, message: 'Simulation must be paused to step' };
+    }
+
+    let executed = 0;
+    let breakpoint;
+    do {
+      breakpoint = this.runStep();
+      executed++;
+    } while (executed < count && !breakpoint);
+
+    if (!breakpoint) this.lastStop = { reason: 'step', step: this.stepCount, at: Date.now() };
+    return { success: true, executed, breakpoint, snapshot: this.getSnapshot() };
+  }
+
+  // One step, pausing after it if it reached a breakpoint. Returns the
+  // breakpoint, or null.
+  runStep() {
+    const gatesBefore = this.gatesApplied;
+    const backendGates = quantumService.getGateCount();
+    this.simulationStep(this.hybridMode);
+    this.gatesApplied += quantumService.getGateCount() - backendGates;
+    const gatesAfter = this.gatesApplied;
+
+    const breakpoint = this.breakpoints.find(({ type, index }) => (
+      type === 'gate' ? gatesBefore <= index && index < gatesAfter : this.endsCycle()
+    ));
+    if (!breakpoint) return null;
+
+    breakpoint.hits++;
+    this.stopLoop();
+    this.isPaused = true;
+    this.lastStop = { reason: 'breakpoint', breakpoint: breakpoint.id, step: this.stepCount, at: Date.now() };
+    return breakpoint;
+  }
+
+  // Whether the last step finished a pass of the algorithm's cycle
+  endsCycle() {
+    const cycle = ALGORITHM_CYCLES[this.currentAlgorithm] || 1;
+    return this.stepCount % cycle === cycle - 1;
+  }
+
+  // Breakpoints pause the simulation after a step:
+  //
+  //   { type: 'task' }          that finishes a pass of the algorithm's
+  //                             cycle (every step without an algorithm)
+  //   { type: 'gate', index }   that applies gate number index of the
+  //                             run, counting from 0
+  addBreakpoint({ type, index = null } = {}) {
+    if (!BREAKPOINT_TYPES.includes(type)) {
+      throw new Error(`Breakpoint type must be one of: ${BREAKPOINT_TYPES.join(', ')}`);
+    }
+    if (type === 'gate' && !(Number.isInteger(index) && index >= 0)) {
+      throw new Error('Gate breakpoint index must be a non-negative integer');
+    }
+
+    const breakpoint = { id: ++this.breakpointSequence, type, index: type === 'gate' ? index : null, hits: 0 };
+    this.breakpoints.push(breakpoint);
+    return breakpoint;
+  }
+
+  removeBreakpoint(id) {
+    const position = this.breakpoints.findIndex(breakpoint => breakpoint.id === id);
+    if (position === -1) return false;
+
+    this.breakpoints.splice(position, 1);
+    return true;
+  }
+
+  getBreakpoints() {
+    return this.breakpoints;
+  }
+
+  // Quantum and classical state between steps
+  getSnapshot() {
+    return {
+      isRunning: this.isRunning,
+      paused: this.isPaused,
+      stop: this.lastStop,
+      step: this.stepCount,
+      gatesApplied: this.gatesApplied,
+      quantumOps: this.metrics.quantumOps,
+      currentAlgorithm: this.currentAlgorithm,
+      quantum: quantumService.getAllStates(),
+      classical: this.classicalState ? {
+        registers: this.classicalState.registers,
+        programCounter: this.classicalState.programCounter,
+        memorySize: this.classicalMemorySize,
+        classicalOps: this.metrics.classicalOps,
+        memoryReads: this.metrics.memoryReads,
+        memoryWrites: this.metrics.memoryWrites
+      } : null
+    };
+  }
+
   // Execute one simulation step
   simulationStep(hybridMode = true) {
     this.stepCount++;
@@ -136,7 +297,7 @@ class SimulationService {
         this.executeRandomOperations(hybridMode);
       }
 
-      // Apply decoherence
+      // Apply idle noise for the time this step represents
       this.applyDecoherence();
 
       // Update performance metrics
@@ -268,8 +429,8 @@ class SimulationService {
     const qubits = quantumService.getAllStates();
     
     if (qubits.length > 0) {
-      const randomQubit = qubits[Math.floor(Math.random() * qubits.length)];
-      const operation = Math.floor(Math.random() * 4);
+      const randomQubit = qubits[this.rng.nextInt(qubits.length)];
+      const operation = this.rng.nextInt(4);
       
       switch (operation) {
         case 0:
@@ -282,7 +443,7 @@ class SimulationService {
           quantumService.zGate(randomQubit.id);
           break;
         case 3:
-          if (Math.random() < 0.1) { // 10% chance of measurement
+          if (this.rng.next() < 0.1) { // 10% chance of measurement
             quantumService.measure(randomQubit.id);
           }
           break;
@@ -291,42 +452,42 @@ class SimulationService {
       this.metrics.quantumOps++;
     }
 
-    // Entanglement operations
-    if (qubits.length >= 2 && Math.random() < 0.05) {
-      const q1 = qubits[Math.floor(Math.random() * qubits.length)];
-      const q2 = qubits[Math.floor(Math.random() * qubits.length)];
+    // Entangling operations
+    if (qubits.length >= 2 && this.rng.next() < 0.05) {
+      const q1 = qubits[this.rng.nextInt(qubits.length)];
+      const q2 = qubits[this.rng.nextInt(qubits.length)];
       
-      if (q1.id !== q2.id && !q1.isEntangled && !q2.isEntangled) {
-        quantumService.entangle(q1.id, q2.id);
-        this.metrics.entanglementEvents++;
+      if (q1.id !== q2.id) {
+        const [target] = quantumService.cnot(q1.id, q2.id);
+        if (target.isEntangled) this.metrics.entanglementEvents++;
       }
     }
 
     // Classical operations if hybrid mode
     if (hybridMode) {
       this.metrics.classicalOps++;
-      this.metrics.memoryReads += Math.floor(Math.random() * 3);
-      this.metrics.memoryWrites += Math.floor(Math.random() * 2);
+      this.metrics.memoryReads += this.rng.nextInt(3);
+      this.metrics.memoryWrites += this.rng.nextInt(2);
     }
   }
 
-  // Apply decoherence to all qubits
+  // Apply the idle noise channels to all qubits
   applyDecoherence() {
     const qubits = quantumService.getAllStates();
     qubits.forEach(qubit => {
-      quantumService.applyDecoherence(qubit.id, 0.001);
+      quantumService.applyDecoherence(qubit.id, this.stepInterval);
     });
     this.metrics.coherenceEvents += qubits.length;
   }
 
   // Initialize quantum system
-  async initializeQuantumSystem(numQubits) {
-    quantumService.reset();
+  async initializeQuantumSystem(numQubits, backend = DEFAULT_BACKEND, noise = null) {
+    quantumService.initialize(numQubits, backend, { noise, random: this.rng.next });
     
     for (let i = 0; i < numQubits; i++) {
       const qubitId = `q${i}`;
       // Initialize with random state
-      const alpha = Math.random();
+      const alpha = this.rng.next();
       const beta = Math.sqrt(1 - alpha * alpha);
       quantumService.createQubit(qubitId, alpha, beta);
     }
@@ -352,6 +513,7 @@ class SimulationService {
       stepTime,
       quantumCoherence: quantumService.calculateAverageCoherence(),
       systemFidelity: quantumService.calculateSystemFidelity(),
+      purity: quantumService.calculatePurity(),
       activeQubits: quantumStates.length,
       entangledQubits: quantumStates.filter(q => q.isEntangled).length,
       timestamp: Date.now()
@@ -375,9 +537,11 @@ class SimulationService {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isPaused: this.isPaused,
       stepCount: this.stepCount,
       runtime: this.startTime ? Date.now() - this.startTime : 0,
       currentAlgorithm: this.currentAlgorithm,
+      seed: this.rng.seed,
       metrics: this.metrics,
       performance: this.currentPerformance,
       quantumStats: quantumService.getSystemStats()
@@ -397,10 +561,12 @@ class SimulationService {
     }));
   }
 
-  // Reset simulation
-  reset() {
+  // Reset simulation, optionally reseeding the random stream
+  reset(seed) {
     this.stopSimulation();
+    if (seed !== undefined) this.rng.reseed(seed);
     this.stepCount = 0;
+    this.gatesApplied = 0;
     this.startTime = null;
     this.metrics = {
       quantumOps: 0,
@@ -415,35 +581,24 @@ class SimulationService {
     quantumService.reset();
   }
 
-  // Execute custom quantum circuit
+  // Execute custom quantum circuit. Gates address qubits by id, e.g.
+  // { type: 'CNOT', control: 'q0', target: 'q1' }; Toffoli and controlled-U
+  // take a controls array and rotations a theta (or angle) in radians. Types
+  // are case-insensitive, and any gate from utils/gateLibrary can be used on a
+  // single target. circuit.seed reseeds the measurements so a run can be
+  // repeated.
   async executeCircuit(circuit) {
     try {
+      if (circuit.seed !== undefined) this.rng.reseed(circuit.seed);
+
       for (const gate of circuit.gates) {
-        switch (gate.type) {
-          case 'H':
-            quantumService.hadamardGate(gate.target);
-            break;
-          case 'X':
-            quantumService.xGate(gate.target);
-            break;
-          case 'Z':
-            quantumService.zGate(gate.target);
-            break;
-          case 'CNOT':
-            quantumService.controlledPhaseGate(gate.control, gate.target, Math.PI);
-            break;
-          case 'ENTANGLE':
-            quantumService.entangle(gate.qubit1, gate.qubit2);
-            break;
-          case 'MEASURE':
-            quantumService.measure(gate.target);
-            break;
-        }
+        this.applyCircuitGate(gate);
         this.metrics.quantumOps++;
       }
       
       return {
         success: true,
+        seed: this.rng.seed,
         results: quantumService.getAllStates()
       };
     } catch (error) {
@@ -453,6 +608,49 @@ class SimulationService {
       };
     }
   }
+
+  applyCircuitGate(gate) {
+    if (isSingleQubitGate(gate.type)) {
+      quantumService.applyGate(gate.target, gate);
+      return;
+    }
+
+    if (normalizeGateType(gate.type) === 'MEASURE') {
+      quantumService.measure(gate.target);
+      return;
+    }
+
+    const { name, params, controls, targets, matrix } = multiQubitGate(gate);
+    switch (name) {
+      case 'CNOT':
+        quantumService.cnot(controls[0], targets[0]);
+        break;
+      case 'CZ':
+        quantumService.cz(controls[0], targets[0]);
+        break;
+      case 'SWAP':
+        quantumService.swap(...targets);
+        break;
+      case 'ISWAP':
+        quantumService.iSwap(...targets);
+        break;
+      case 'CRX':
+      case 'CRY':
+      case 'CRZ':
+        quantumService.controlledRotation(name.slice(2), controls[0], targets[0], params[0]);
+        break;
+      case 'TOFFOLI':
+        quantumService.toffoli(controls[0], controls[1], targets[0]);
+        break;
+      case 'CU':
+        quantumService.controlledUnitary(controls, targets, matrix);
+        break;
+      case 'ENTANGLE':
+        quantumService.hadamardGate(targets[0]);
+        quantumService.cnot(targets[0], targets[1]);
+        break;
+    }
+  }
 }
 
 module.exports = new SimulationService();
\ No newline at end of file
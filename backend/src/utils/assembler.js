@@ -0,0 +1,403 @@
+const { STANDARD_GATES, evaluateExpression } = require('./qasm');
+
+// Assembler for the hybrid instruction set run by HybridCpu. A program is
+// one instruction per line, with optional labels and ; or # comments:
+//
+//   .data
+//   values: .word 3, 1, 4        ; initialised words
+//   sum:    .space 1             ; zeroed words
+//   .text
+//           li   r1, 0
+//   loop:   ld   r2, values(r1)  ; word at values + r1
+//           add  r3, r3, r2
+//           add  r1, r1, 8
+//           blt  r1, 24, loop
+//           st   r3, sum
+//           h    q0
+//           cx   q0, q1
+//           rz(pi/4) q1
+//           measure q1, r4
+//           halt
+//
+// Registers r0-r15 hold 32-bit integers. Words are 8 bytes and live in
+// classical memory, so loads and stores go through the caches. Gates are
+// the OpenQASM standard gates (see qasm) on qubits q0, q1, ... (or q[0]),
+// controls first, with constant parameters.
+//
+// Assembled programs look like:
+//
+// {
+//   instructions: [
+//     { opcode: 'add', operands: [{ kind: 'reg', index: 3 }, ...], line: 7, source: 'add r3, r3, r2' },
+//     { opcode: 'gate', name: 'rz', params: [0.785...], operands: [{ kind: 'qubit', index: 1 }], ... }
+//   ],
+//   labels: { loop: 1 },                              // instruction indexes
+//   data: { words: [3, 1, 4, 0], labels: { values: { offset: 0, words: 3 }, sum: { offset: 24, words: 1 } } },
+//   numQubits: 2
+// }
+//
+// Other operand kinds are { kind: 'imm', value }, { kind: 'data', offset }
+// (the address of a data label, as a byte offset into the data segment),
+// { kind: 'mem', base, displacement, data } (base a register index or
+// null; data when displacement is relative to the data segment) and
+// { kind: 'label', target }.
+const NUM_REGISTERS = 16;
+const WORD_SIZE = 8;
+const MAX_INSTRUCTIONS = 100000;
+const MAX_DATA_WORDS = 65536;
+const INT32_MIN = -(2 ** 31);
+const UINT32_MAX = 2 ** 32 - 1;
+
+const ALU_OPCODES = ['add', 'sub', 'mul', 'div', 'rem', 'and', 'or', 'xor', 'shl', 'shr', 'slt'];
+const BRANCH_OPCODES = ['beq', 'bne', 'blt', 'bge'];
+
+// Operand kinds each mnemonic takes; src is a register or an immediate
+const INSTRUCTION_SET = {
+  nop: [],
+  halt: [],
+  li: ['reg', 'imm'],
+  mov: ['reg', 'reg'],
+  not: ['reg', 'reg'],
+  ...Object.fromEntries(ALU_OPCODES.map(opcode => [opcode, ['reg', 'reg', 'src']])),
+  ld: ['reg', 'mem'],
+  st: ['reg', 'mem'],
+  jmp: ['label'],
+  ...Object.fromEntries(BRANCH_OPCODES.map(opcode => [opcode, ['reg', 'src', 'label']])),
+  measure: ['qubit', 'reg'],
+  reset: ['qubit']
+  // barrier takes any number of qubits; gates take their own qubit count
+};
+
+const QUANTUM_OPCODES = ['gate', 'measure', 'reset', 'barrier'];
+
+const LABEL = /^([A-Za-z_.$][\w.$]*):/;
+const IDENTIFIER = /^[A-Za-z_.$][\w.$]*$/;
+const REGISTER = /^r(\d+)$/i;
+const QUBIT = /^q(?:(\d+)|\[(\d+)\])$/i;
+const INTEGER = /^[-+]?(0x[0-9a-f]+|\d+)$/i;
+// displacement(base), where either part may be left out: values(r1), 16(r2), (r3)
+const MEMORY = /^([^()]*)\((r\d+)\)$/i;
+
+const parseInteger = (text) => {
+  if (!INTEGER.test(text)) return null;
+  const negative = text.startsWith('-');
+  const value = Number(text.replace(/^[-+]/, ''));
+  return negative ? -value : value;
+};
+
+// Split on the commas outside parentheses
+const splitOperands = (text) => {
+  const operands = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === ',' && depth === 0) {
+      operands.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+  if (current.trim() !== '' || operands.length > 0) operands.push(current.trim());
+  return operands;
+};
+
+// Mnemonic, the gate parameter list right after it if any, and the rest
+const splitMnemonic = (text) => {
+  const [mnemonic] = text.match(/^[A-Za-z_.][\w.]*/) || [''];
+  let rest = text.slice(mnemonic.length);
+  let params = null;
+
+  if (rest.startsWith('(')) {
+    let depth = 0;
+    let end = 0;
+    for (; end < rest.length; end++) {
+      if (rest[end] === '(') depth++;
+      if (rest[end] === ')' && --depth === 0) break;
+    }
+    if (depth !== 0) throw new Error('unbalanced parentheses in gate parameters');
+    params = splitOperands(rest.slice(1, end));
+    rest = rest.slice(end + 1);
+  }
+  return { mnemonic: mnemonic.toLowerCase(), params, rest: rest.trim() };
+};
+
+class Assembler {
+  constructor(source) {
+    this.lines = source.split('\n');
+    this.section = 'text';
+    this.instructions = [];
+    this.labels = new Map();
+    this.dataWords = [];
+    // Data label byte offsets
+    this.dataLabels = new Map();
+    this.numQubits = 0;
+  }
+
+  assemble() {
+    this.lines.forEach((text, index) => {
+      const line = index + 1;
+      try {
+        this.parseLine(text.replace(/[;#].*/, '').trim(), line);
+      } catch (error) {
+        throw new Error(`Line ${line}: ${error.message}`);
+      }
+    });
+
+    this.instructions.forEach(instruction => {
+      try {
+        instruction.operands = instruction.operands.map(operand => this.resolve(operand));
+      } catch (error) {
+        throw new Error(`Line ${instruction.line}: ${error.message}`);
+      }
+    });
+
+    return {
+      instructions: this.instructions,
+      labels: Object.fromEntries(this.labels),
+      data: { words: this.dataWords, labels: this.dataExtents() },
+      numQubits: this.numQubits
+    };
+  }
+
+  // Swap label names for instruction indexes and data offsets
+  resolve(operand) {
+    if (operand.kind === 'label') {
+      if (!this.labels.has(operand.name)) throw new Error(`unknown label ${operand.name}`);
+      return { kind: 'label', target: this.labels.get(operand.name) };
+    }
+    if (operand.name === undefined) return operand;
+
+    if (!this.dataLabels.has(operand.name)) throw new Error(`unknown data label ${operand.name}`);
+    const offset = this.dataLabels.get(operand.name);
+    return operand.kind === 'data'
+      ? { kind: 'data', offset }
+      : { kind: 'mem', base: operand.base, displacement: offset, data: true };
+  }
+
+  // Each data label covers the words up to the next label
+  dataExtents() {
+    const end = this.dataWords.length * WORD_SIZE;
+    const offsets = [...new Set(this.dataLabels.values()), end].sort((a, b) => a - b);
+    return Object.fromEntries([...this.dataLabels].map(([name, offset]) => {
+      const next = offset < end ? offsets.find(candidate => candidate > offset) : offset;
+      return [name, { offset, words: (next - offset) / WORD_SIZE }];
+    }));
+  }
+
+  parseLine(text, line) {
+    let rest = text;
+    let match;
+    while ((match = rest.match(LABEL))) {
+      this.defineLabel(match[1]);
+      rest = rest.slice(match[0].length).trim();
+    }
+    if (rest === '') return;
+
+    if (rest.startsWith('.')) {
+      this.directive(rest);
+      return;
+    }
+    if (this.section !== 'text') throw new Error('instructions belong in the .text section');
+    this.instruction(rest, line);
+  }
+
+  defineLabel(name) {
+    if (this.labels.has(name) || this.dataLabels.has(name)) {
+      throw new Error(`label ${name} is already defined`);
+    }
+    if (REGISTER.test(name) || QUBIT.test(name)) throw new Error(`${name} names a register and can't be a label`);
+
+    if (this.section === 'text') {
+      this.labels.set(name, this.instructions.length);
+    } else {
+      this.dataLabels.set(name, this.dataWords.length * WORD_SIZE);
+    }
+  }
+
+  directive(text) {
+    const { mnemonic, rest } = splitMnemonic(text);
+    const args = splitOperands(rest);
+
+    switch (mnemonic) {
+      case '.text':
+      case '.data':
+        if (args.length > 0) throw new Error(`${mnemonic} takes no arguments`);
+        this.section = mnemonic.slice(1);
+        return;
+      case '.word':
+        this.expectData(mnemonic);
+        if (args.length === 0) throw new Error('.word needs at least one value');
+        this.emitData(args.map(arg => this.immediate(arg)));
+        return;
+      case '.space': {
+        this.expectData(mnemonic);
+        const count = args.length === 1 ? parseInteger(args[0]) : null;
+        if (!(Number.isInteger(count) && count > 0)) throw new Error('.space needs a positive number of words');
+        this.emitData(new Array(Math.min(count, MAX_DATA_WORDS + 1)).fill(0));
+        return;
+      }
+      default:
+        throw new Error(`unknown directive ${mnemonic}`);
+    }
+  }
+
+  expectData(directive) {
+    if (this.section !== 'data') throw new Error(`${directive} belongs in the .data section`);
+  }
+
+  emitData(words) {
+    if (this.dataWords.length + words.length > MAX_DATA_WORDS) {
+      throw new Error(`The data section is limited to ${MAX_DATA_WORDS} words`);
+    }
+    this.dataWords.push(...words);
+  }
+
+  instruction(text, line) {
+    if (this.instructions.length >= MAX_INSTRUCTIONS) {
+      throw new Error(`Programs are limited to ${MAX_INSTRUCTIONS} instructions`);
+    }
+
+    const { mnemonic, params, rest } = splitMnemonic(text);
+    const args = splitOperands(rest);
+    const source = text.replace(/\s+/g, ' ');
+    const gate = !Object.hasOwn(INSTRUCTION_SET, mnemonic) && Object.hasOwn(STANDARD_GATES, mnemonic)
+      ? STANDARD_GATES[mnemonic]
+      : null;
+
+    if (params !== null && !gate) throw new Error(`${mnemonic} takes no parameters`);
+
+    if (gate) {
+      this.instructions.push({
+        opcode: 'gate',
+        name: mnemonic,
+        params: this.gateParams(mnemonic, gate, params || []),
+        operands: this.gateQubits(mnemonic, gate.qubits, args),
+        line,
+        source
+      });
+      return;
+    }
+
+    if (mnemonic === 'barrier') {
+      this.instructions.push({ opcode: 'barrier', operands: args.map(arg => this.qubit(arg)), line, source });
+      return;
+    }
+
+    if (!Object.hasOwn(INSTRUCTION_SET, mnemonic)) throw new Error(`unknown instruction ${mnemonic}`);
+    const kinds = INSTRUCTION_SET[mnemonic];
+    if (args.length !== kinds.length) {
+      throw new Error(`${mnemonic} takes ${kinds.length} operand${kinds.length === 1 ? '' : 's'}, got ${args.length}`);
+    }
+
+    this.instructions.push({
+      opcode: mnemonic,
+      operands: args.map((arg, index) => this.operand(kinds[index], arg)),
+      line,
+      source
+    });
+  }
+
+  gateParams(name, gate, params) {
+    if (params.length !== gate.params) {
+      throw new Error(`${name} takes ${gate.params} parameter${gate.params === 1 ? '' : 's'}, got ${params.length}`);
+    }
+    return params.map(param => {
+      try {
+        return evaluateExpression(param);
+      } catch (error) {
+        throw new Error(`invalid parameter '${param}': ${error.message.replace(/^QASM line \d+: /, '')}`);
+      }
+    });
+  }
+
+  gateQubits(name, count, args) {
+    if (args.length !== count) throw new Error(`${name} acts on ${count} qubit${count === 1 ? '' : 's'}, got ${args.length}`);
+    const qubits = args.map(arg => this.qubit(arg));
+    if (new Set(qubits.map(qubit => qubit.index)).size !== qubits.length) {
+      throw new Error(`${name} uses the same qubit more than once`);
+    }
+    return qubits;
+  }
+
+  operand(kind, text) {
+    switch (kind) {
+      case 'reg':
+        return this.register(text);
+      case 'imm':
+        return this.immediateOperand(text);
+      case 'src':
+        return REGISTER.test(text) ? this.register(text) : this.immediateOperand(text);
+      case 'mem':
+        return this.memory(text);
+      case 'qubit':
+        return this.qubit(text);
+      default:
+        if (!IDENTIFIER.test(text)) throw new Error(`expected a label but found '${text}'`);
+        return { kind: 'label', name: text };
+    }
+  }
+
+  register(text) {
+    const match = text.match(REGISTER);
+    const index = match ? Number(match[1]) : -1;
+    if (!(index >= 0 && index < NUM_REGISTERS)) {
+      throw new Error(`expected a register r0-r${NUM_REGISTERS - 1} but found '${text}'`);
+    }
+    return { kind: 'reg', index };
+  }
+
+  qubit(text) {
+    const match = text.match(QUBIT);
+    if (!match) throw new Error(`expected a qubit such as q0 but found '${text}'`);
+    const index = Number(match[1] ?? match[2]);
+    this.numQubits = Math.max(this.numQubits, index + 1);
+    return { kind: 'qubit', index };
+  }
+
+  immediate(text) {
+    const value = parseInteger(text);
+    if (value === null || value < INT32_MIN || value > UINT32_MAX) {
+      throw new Error(`expected a 32-bit integer but found '${text}'`);
+    }
+    return value | 0;
+  }
+
+  // An integer, or the address of a data label
+  immediateOperand(text) {
+    if (IDENTIFIER.test(text) && !REGISTER.test(text)) return { kind: 'data', name: text };
+    return { kind: 'imm', value: this.immediate(text) };
+  }
+
+  memory(text) {
+    const match = text.match(MEMORY);
+    const displacement = match ? match[1].trim() : text;
+    const base = match ? this.register(match[2]).index : null;
+
+    if (displacement === '') return { kind: 'mem', base, displacement: 0, data: false };
+    if (IDENTIFIER.test(displacement) && !REGISTER.test(displacement)) {
+      return { kind: 'mem', base, name: displacement, displacement: 0, data: true };
+    }
+    if (parseInteger(displacement) === null) {
+      throw new Error(`expected an address such as values(r1) or 8(r2) but found '${text}'`);
+    }
+    return { kind: 'mem', base, displacement: this.immediate(displacement), data: false };
+  }
+}
+
+const assemble = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Program source must be a non-empty string');
+  }
+  return new Assembler(source).assemble();
+};
+
+module.exports = {
+  NUM_REGISTERS,
+  WORD_SIZE,
+  INSTRUCTION_SET,
+  QUANTUM_OPCODES,
+  assemble
+};
@@ -0,0 +1,179 @@
+const gates = require('./gates');
+const { isUnitary } = require('./linearAlgebra');
+
+// Named single-qubit gates accepted by the APIs. params lists the fields a
+// gate object must carry, in radians, e.g. { type: 'U3', theta, phi, lambda }.
+const SINGLE_QUBIT_GATES = {
+  IDENTITY: { params: [], matrix: () => gates.identity() },
+  PAULI_X: { params: [], matrix: () => gates.pauliX() },
+  PAULI_Y: { params: [], matrix: () => gates.pauliY() },
+  PAULI_Z: { params: [], matrix: () => gates.pauliZ() },
+  HADAMARD: { params: [], matrix: () => gates.hadamard() },
+  S: { params: [], matrix: () => gates.sGate() },
+  S_DAGGER: { params: [], matrix: () => gates.sDagger() },
+  T: { params: [], matrix: () => gates.tGate() },
+  T_DAGGER: { params: [], matrix: () => gates.tDagger() },
+  SQRT_X: { params: [], matrix: () => gates.sqrtX() },
+  ROTATION_X: { params: ['theta'], matrix: ({ theta }) => gates.rotationX(theta) },
+  ROTATION_Y: { params: ['theta'], matrix: ({ theta }) => gates.rotationY(theta) },
+  ROTATION_Z: { params: ['theta'], matrix: ({ theta }) => gates.rotationZ(theta) },
+  PHASE: { params: ['lambda'], matrix: ({ lambda }) => gates.phaseShift(lambda) },
+  U1: { params: ['lambda'], matrix: ({ lambda }) => gates.u1(lambda) },
+  U2: { params: ['phi', 'lambda'], matrix: ({ phi, lambda }) => gates.u2(phi, lambda) },
+  U3: { params: ['theta', 'phi', 'lambda'], matrix: ({ theta, phi, lambda }) => gates.u3(theta, phi, lambda) }
+};
+
+// Short and OpenQASM-style names for the gates above
+const ALIASES = {
+  I: 'IDENTITY',
+  ID: 'IDENTITY',
+  X: 'PAULI_X',
+  Y: 'PAULI_Y',
+  Z: 'PAULI_Z',
+  H: 'HADAMARD',
+  SDG: 'S_DAGGER',
+  TDG: 'T_DAGGER',
+  SX: 'SQRT_X',
+  RX: 'ROTATION_X',
+  RY: 'ROTATION_Y',
+  RZ: 'ROTATION_Z',
+  P: 'PHASE',
+  // The original API's only rotation: Ry, π/4 unless an angle is given
+  ROTATION: 'ROTATION_Y'
+};
+
+// Gates on more than one qubit. qubits() lists the gate's qubits from its
+// fields, the first controls of them being controls; params are read as for
+// the single-qubit gates. SimulationService and circuitFromGates both go
+// through multiQubitGate, so the two JSON gate lists agree.
+const controlled = gate => [gate.control, gate.target];
+const pair = gate => gate.targets || [gate.qubit1, gate.qubit2];
+const unitaryControls = gate => gate.controls || [gate.control];
+
+const MULTI_QUBIT_GATES = {
+  CNOT: { params: [], controls: () => 1, qubits: controlled },
+  CZ: { params: [], controls: () => 1, qubits: controlled },
+  SWAP: { params: [], controls: () => 0, qubits: pair },
+  ISWAP: { params: [], controls: () => 0, qubits: pair },
+  CRX: { params: ['theta'], controls: () => 1, qubits: controlled },
+  CRY: { params: ['theta'], controls: () => 1, qubits: controlled },
+  CRZ: { params: ['theta'], controls: () => 1, qubits: controlled },
+  TOFFOLI: {
+    params: [],
+    controls: () => 2,
+    qubits: (gate) => {
+      if (!Array.isArray(gate.controls) || gate.controls.length !== 2) {
+        throw new Error(`${gate.type} needs exactly two controls`);
+      }
+      return [...gate.controls, gate.target];
+    }
+  },
+  // Any unitary on the targets, conditioned on every control
+  CU: {
+    params: [],
+    controls: gate => unitaryControls(gate).length,
+    qubits: gate => [...unitaryControls(gate), ...(gate.targets || [gate.target])]
+  },
+  // Shorthand for the Bell-pair circuit H, CNOT
+  ENTANGLE: { params: [], controls: () => 0, qubits: gate => [gate.qubit1, gate.qubit2] }
+};
+
+const MULTI_QUBIT_ALIASES = {
+  CX: 'CNOT',
+  CCX: 'TOFFOLI'
+};
+
+const DEFAULTS = {
+  ROTATION: { theta: Math.PI / 4 }
+};
+
+const normalizeGateType = (type) => String(type || '').toUpperCase();
+
+const resolveGateName = (type) => {
+  const name = normalizeGateType(type);
+  return ALIASES[name] || name;
+};
+
+const isSingleQubitGate = (type) => resolveGateName(type) in SINGLE_QUBIT_GATES;
+
+const listSingleQubitGates = () => Object.entries(SINGLE_QUBIT_GATES).map(([name, gate]) => ({
+  name,
+  params: gate.params,
+  aliases: Object.keys(ALIASES).filter(alias => ALIASES[alias] === name)
+}));
+
+// Read the gate's parameters; the first one may also be given as angle
+const gateParameters = (gate, params, defaults = {}) => {
+  const values = {};
+  params.forEach((param, position) => {
+    let value = gate[param];
+    if (value === undefined && position === 0) value = gate.angle;
+    if (value === undefined) value = defaults[param];
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Gate ${gate.type} requires a numeric ${param}`);
+    }
+    values[param] = value;
+  });
+  return values;
+};
+
+// { type, ...params } -> { name, params, matrix }, with name in canonical
+// form so the noise model sees one name per gate
+const singleQubitGate = (gate) => {
+  const name = resolveGateName(gate && gate.type);
+  const definition = SINGLE_QUBIT_GATES[name];
+  if (!definition) {
+    const supported = Object.keys(SINGLE_QUBIT_GATES).join(', ');
+    throw new Error(`Unsupported gate type ${gate && gate.type}. Supported gates: ${supported}`);
+  }
+
+  const values = gateParameters(gate, definition.params, DEFAULTS[normalizeGateType(gate.type)]);
+  return {
+    name,
+    params: definition.params.map(param => values[param]),
+    matrix: definition.matrix(values)
+  };
+};
+
+// { type, ...fields } -> { name, params, controls, targets }, plus the
+// checked matrix for CU
+const multiQubitGate = (gate) => {
+  const type = normalizeGateType(gate && gate.type);
+  const name = MULTI_QUBIT_ALIASES[type] || type;
+  const definition = MULTI_QUBIT_GATES[name];
+  if (!definition) throw new Error(`Unsupported gate type ${gate && gate.type}`);
+
+  const values = gateParameters(gate, definition.params);
+  const qubits = definition.qubits(gate);
+  const controlCount = definition.controls(gate);
+  const result = {
+    name,
+    params: definition.params.map(param => values[param]),
+    controls: qubits.slice(0, controlCount),
+    targets: qubits.slice(controlCount)
+  };
+
+  if (name === 'CU') {
+    if (!Array.isArray(gate.matrix) || !gate.matrix.every(Array.isArray)) {
+      throw new Error('Gate CU requires a matrix');
+    }
+    const matrix = gates.complexMatrix(gate.matrix);
+    if (matrix.length !== 2 ** result.targets.length || !isUnitary(matrix)) {
+      throw new Error(`Gate CU needs a unitary ${2 ** result.targets.length}x${2 ** result.targets.length} matrix for its targets`);
+    }
+    result.matrix = matrix;
+  }
+
+  return result;
+};
+
+module.exports = {
+  normalizeGateType,
+  gateParameters,
+  resolveGateName,
+  isSingleQubitGate,
+  listSingleQubitGates,
+  singleQubitGate,
+  multiQubitGate
+};
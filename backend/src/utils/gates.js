@@ -0,0 +1,160 @@
+// Complex numbers are [real, imaginary] pairs and gate matrices are
+// row-major arrays of rows, e.g. a single-qubit gate is [[a, b], [c, d]].
+const complex = (real, imaginary = 0) => [real, imaginary];
+
+// Accept plain numbers as well as [real, imaginary] pairs in user matrices
+const complexMatrix = (rows) => rows.map(row => row.map(entry => (
+  Array.isArray(entry) ? complex(Number(entry[0]), Number(entry[1] || 0)) : complex(Number(entry))
+)));
+
+const identity = () => [
+  [complex(1), complex(0)],
+  [complex(0), complex(1)]
+];
+
+const hadamard = () => {
+  const h = Math.SQRT1_2;
+  return [
+    [complex(h), complex(h)],
+    [complex(h), complex(-h)]
+  ];
+};
+
+const pauliX = () => [
+  [complex(0), complex(1)],
+  [complex(1), complex(0)]
+];
+
+const pauliY = () => [
+  [complex(0), complex(0, -1)],
+  [complex(0, 1), complex(0)]
+];
+
+const pauliZ = () => [
+  [complex(1), complex(0)],
+  [complex(0), complex(-1)]
+];
+
+// Rotation about the X axis: exp(-i * theta * X / 2)
+const rotationX = (theta) => {
+  const cos = Math.cos(theta / 2);
+  const sin = Math.sin(theta / 2);
+  return [
+    [complex(cos), complex(0, -sin)],
+    [complex(0, -sin), complex(cos)]
+  ];
+};
+
+// Rotation about the Y axis: exp(-i * theta * Y / 2)
+const rotationY = (theta) => {
+  const cos = Math.cos(theta / 2);
+  const sin = Math.sin(theta / 2);
+  return [
+    [complex(cos), complex(-sin)],
+    [complex(sin), complex(cos)]
+  ];
+};
+
+// Rotation about the Z axis: exp(-i * theta * Z / 2)
+const rotationZ = (theta) => [
+  [complex(Math.cos(theta / 2), -Math.sin(theta / 2)), complex(0)],
+  [complex(0), complex(Math.cos(theta / 2), Math.sin(theta / 2))]
+];
+
+// Phase shift: diag(1, e^(i * phi))
+const phaseShift = (phi) => [
+  [complex(1), complex(0)],
+  [complex(0), complex(Math.cos(phi), Math.sin(phi))]
+];
+
+const sGate = () => phaseShift(Math.PI / 2);
+const sDagger = () => phaseShift(-Math.PI / 2);
+const tGate = () => phaseShift(Math.PI / 4);
+const tDagger = () => phaseShift(-Math.PI / 4);
+
+// Square root of X: applying it twice gives Pauli-X
+const sqrtX = () => [
+  [complex(0.5, 0.5), complex(0.5, -0.5)],
+  [complex(0.5, -0.5), complex(0.5, 0.5)]
+];
+
+// General single-qubit gate in the OpenQASM convention:
+// U3(theta, phi, lambda) = Rz(phi) Ry(theta) Rz(lambda) up to global phase
+const u3 = (theta, phi, lambda) => {
+  const cos = Math.cos(theta / 2);
+  const sin = Math.sin(theta / 2);
+  return [
+    [complex(cos), complex(-Math.cos(lambda) * sin, -Math.sin(lambda) * sin)],
+    [complex(Math.cos(phi) * sin, Math.sin(phi) * sin), complex(Math.cos(phi + lambda) * cos, Math.sin(phi + lambda) * cos)]
+  ];
+};
+
+const u2 = (phi, lambda) => u3(Math.PI / 2, phi, lambda);
+const u1 = (lambda) => phaseShift(lambda);
+
+// Two-qubit gates, in the |ab⟩ basis order of their targets
+const swap = () => [
+  [complex(1), complex(0), complex(0), complex(0)],
+  [complex(0), complex(0), complex(1), complex(0)],
+  [complex(0), complex(1), complex(0), complex(0)],
+  [complex(0), complex(0), complex(0), complex(1)]
+];
+
+// SWAP that adds a phase of i to the exchanged |01⟩ and |10⟩ terms
+const iSwap = () => [
+  [complex(1), complex(0), complex(0), complex(0)],
+  [complex(0), complex(0), complex(0, 1), complex(0)],
+  [complex(0), complex(0, 1), complex(0), complex(0)],
+  [complex(0), complex(0), complex(0), complex(1)]
+];
+
+// Ising couplings exp(-i * theta * XX / 2) and exp(-i * theta * ZZ / 2)
+const rxx = (theta) => {
+  const cos = complex(Math.cos(theta / 2));
+  const sin = complex(0, -Math.sin(theta / 2));
+  const zero = complex(0);
+  return [
+    [cos, zero, zero, sin],
+    [zero, cos, sin, zero],
+    [zero, sin, cos, zero],
+    [sin, zero, zero, cos]
+  ];
+};
+
+const rzz = (theta) => {
+  const even = complex(Math.cos(theta / 2), -Math.sin(theta / 2));
+  const odd = complex(Math.cos(theta / 2), Math.sin(theta / 2));
+  const zero = complex(0);
+  return [
+    [even, zero, zero, zero],
+    [zero, odd, zero, zero],
+    [zero, zero, odd, zero],
+    [zero, zero, zero, even]
+  ];
+};
+
+module.exports = {
+  complex,
+  complexMatrix,
+  identity,
+  hadamard,
+  pauliX,
+  pauliY,
+  pauliZ,
+  rotationX,
+  rotationY,
+  rotationZ,
+  phaseShift,
+  sGate,
+  sDagger,
+  tGate,
+  tDagger,
+  sqrtX,
+  u1,
+  u2,
+  u3,
+  swap,
+  iSwap,
+  rxx,
+  rzz
+};
@@ -0,0 +1,108 @@
+// In-place kernels over complex vectors stored as separate real/imag
+// Float64Arrays. "Bits" are positions in the vector index, which for a
+// state vector are qubit numbers.
+
+// Multiply a 2^k x 2^k matrix into the listed target bits, only where every
+// control bit is 1. targets[0] is the most significant bit of the matrix
+// index, matching textbook |ab⟩ ordering. The matrix need not be unitary.
+const applyMatrix = (real, imag, matrix, targets, controls = []) => {
+  const size = 1 << targets.length;
+  if (matrix.length !== size) {
+    throw new Error(`Gate matrix must be ${size}x${size} for ${targets.length} target qubit(s)`);
+  }
+
+  const controlMask = controls.reduce((mask, bit) => mask | (1 << bit), 0);
+
+  if (targets.length === 1) {
+    applySingleBitMatrix(real, imag, matrix, targets[0], controlMask);
+    return;
+  }
+
+  const targetMask = targets.reduce((mask, bit) => mask | (1 << bit), 0);
+  const offsets = new Array(size);
+  for (let row = 0; row < size; row++) {
+    let offset = 0;
+    targets.forEach((bit, position) => {
+      if ((row >> (targets.length - 1 - position)) & 1) offset |= 1 << bit;
+    });
+    offsets[row] = offset;
+  }
+
+  const inReal = new Float64Array(size);
+  const inImag = new Float64Array(size);
+
+  for (let base = 0; base < real.length; base++) {
+    if ((base & targetMask) !== 0 || (base & controlMask) !== controlMask) continue;
+
+    for (let col = 0; col < size; col++) {
+      inReal[col] = real[base | offsets[col]];
+      inImag[col] = imag[base | offsets[col]];
+    }
+
+    for (let row = 0; row < size; row++) {
+      let sumReal = 0;
+      let sumImag = 0;
+      for (let col = 0; col < size; col++) {
+        const [re, im] = matrix[row][col];
+        sumReal += re * inReal[col] - im * inImag[col];
+        sumImag += re * inImag[col] + im * inReal[col];
+      }
+      real[base | offsets[row]] = sumReal;
+      imag[base | offsets[row]] = sumImag;
+    }
+  }
+};
+
+// Fast path for the common single-target case
+const applySingleBitMatrix = (real, imag, matrix, target, controlMask = 0) => {
+  const [[a, b], [c, d]] = matrix;
+  const bit = 1 << target;
+
+  for (let i0 = 0; i0 < real.length; i0++) {
+    if ((i0 & bit) !== 0 || (i0 & controlMask) !== controlMask) continue;
+    const i1 = i0 | bit;
+
+    const r0 = real[i0];
+    const m0 = imag[i0];
+    const r1 = real[i1];
+    const m1 = imag[i1];
+
+    real[i0] = a[0] * r0 - a[1] * m0 + b[0] * r1 - b[1] * m1;
+    imag[i0] = a[0] * m0 + a[1] * r0 + b[0] * m1 + b[1] * r1;
+    real[i1] = c[0] * r0 - c[1] * m0 + d[0] * r1 - d[1] * m1;
+    imag[i1] = c[0] * m0 + c[1] * r0 + d[0] * m1 + d[1] * r1;
+  }
+};
+
+// Element-wise complex conjugate of a matrix
+const conjugate = (matrix) => matrix.map(row => row.map(([re, im]) => [re, -im]));
+
+// U U† = I within tolerance, for matrices supplied by callers
+const isUnitary = (matrix, tolerance = 1e-9) => {
+  const size = matrix.length;
+  if (size === 0 || (size & (size - 1)) !== 0) return false;
+  if (!matrix.every(row => Array.isArray(row) && row.length === size)) return false;
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      let sumReal = 0;
+      let sumImag = 0;
+      for (let k = 0; k < size; k++) {
+        const [aRe, aIm] = matrix[i][k];
+        const [bRe, bIm] = matrix[j][k];
+        sumReal += aRe * bRe + aIm * bIm;
+        sumImag += aIm * bRe - aRe * bIm;
+      }
+      if (Math.abs(sumReal - (i === j ? 1 : 0)) > tolerance || Math.abs(sumImag) > tolerance) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+module.exports = {
+  applyMatrix,
+  conjugate,
+  isUnitary
+};
@@ -0,0 +1,101 @@
+const { complex, pauliX, pauliY, pauliZ } = require('./gates');
+
+// Single-qubit noise channels as Kraus operator sets {K_i}, with
+// ρ -> Σ K_i ρ K_i† and Σ K_i† K_i = I. Each builder takes the channel
+// spec and, for time-based specs, the duration the qubit was exposed.
+
+const identity = () => [
+  [complex(1), complex(0)],
+  [complex(0), complex(1)]
+];
+
+const scale = (matrix, factor) => matrix.map(row => row.map(([re, im]) => [re * factor, im * factor]));
+
+const probabilityOf = (spec, key = 'probability') => {
+  const value = spec[key];
+  if (typeof value !== 'number' || value < 0 || value > 1) {
+    throw new Error(`${spec.type} channel needs ${key} between 0 and 1`);
+  }
+  return value;
+};
+
+// Decay constant from a characteristic time, or the explicit parameter
+const decayOf = (spec, key, timeKey, duration, timeScale = 1) => {
+  if (spec[key] !== undefined) return probabilityOf(spec, key);
+
+  const time = spec[timeKey];
+  const exposure = spec.duration ?? duration;
+  if (!(time > 0) || !(exposure >= 0)) {
+    throw new Error(`${spec.type} channel needs ${key}, or ${timeKey} and a duration`);
+  }
+  return 1 - Math.exp(-timeScale * exposure / time);
+};
+
+const CHANNELS = {
+  // Energy relaxation |1⟩ -> |0⟩ (T1)
+  amplitude_damping: (spec, duration) => {
+    const gamma = decayOf(spec, 'gamma', 't1', duration);
+    return [
+      [[complex(1), complex(0)], [complex(0), complex(Math.sqrt(1 - gamma))]],
+      [[complex(0), complex(Math.sqrt(gamma))], [complex(0), complex(0)]]
+    ];
+  },
+
+  // Pure dephasing; on its own, off-diagonals decay as exp(-t / T2)
+  phase_damping: (spec, duration) => {
+    const lambda = decayOf(spec, 'lambda', 't2', duration, 2);
+    return [
+      [[complex(1), complex(0)], [complex(0), complex(Math.sqrt(1 - lambda))]],
+      [[complex(0), complex(0)], [complex(0), complex(Math.sqrt(lambda))]]
+    ];
+  },
+
+  // ρ -> (1 - p) ρ + p I / 2
+  depolarizing: (spec) => {
+    const p = probabilityOf(spec);
+    return [
+      scale(identity(), Math.sqrt(1 - 3 * p / 4)),
+      scale(pauliX(), Math.sqrt(p / 4)),
+      scale(pauliY(), Math.sqrt(p / 4)),
+      scale(pauliZ(), Math.sqrt(p / 4))
+    ];
+  },
+
+  bit_flip: (spec) => {
+    const p = probabilityOf(spec);
+    return [scale(identity(), Math.sqrt(1 - p)), scale(pauliX(), Math.sqrt(p))];
+  },
+
+  phase_flip: (spec) => {
+    const p = probabilityOf(spec);
+    return [scale(identity(), Math.sqrt(1 - p)), scale(pauliZ(), Math.sqrt(p))];
+  }
+};
+
+const listNoiseChannels = () => Object.keys(CHANNELS);
+
+const krausOperators = (spec, duration) => {
+  const build = spec && CHANNELS[spec.type];
+  if (!build) {
+    throw new Error(`Unknown noise channel '${spec && spec.type}'. Available channels: ${listNoiseChannels().join(', ')}`);
+  }
+  return build(spec, duration);
+};
+
+// Check a { afterGate, idle } noise config up front so a bad spec fails
+// when it is attached rather than midway through a run
+const validateNoiseConfig = (noise = {}) => {
+  const afterGate = noise.afterGate || [];
+  const idle = noise.idle || [];
+
+  afterGate.forEach(spec => krausOperators(spec, 0));
+  idle.forEach(spec => krausOperators(spec, 0));
+
+  return { afterGate, idle };
+};
+
+module.exports = {
+  krausOperators,
+  listNoiseChannels,
+  validateNoiseConfig
+};
@@ -0,0 +1,998 @@
+const gates = require('./gates');
+const { conjugate } = require('./linearAlgebra');
+const { normalizeGateType, resolveGateName, singleQubitGate, multiQubitGate } = require('./gateLibrary');
+const { maxQubits } = require('../models/quantumBackends');
+
+// Circuits are kept in one form whether they came from OpenQASM 2, the
+// OpenQASM 3 subset or the JSON gate list:
+//
+// {
+//   version: '2.0',                                // or '3.0'
+//   qregs: [{ name: 'q', size: 2, offset: 0 }],   // offsets into the qubits
+//   cregs: [{ name: 'c', size: 2, offset: 0 }],   // offsets into the clbits
+//   numQubits, numClbits,
+//   operations: [
+//     { type: 'gate', name: 'cx', params: [], qubits: [0, 1] },
+//     { type: 'measure', qubit: 0, clbit: 0, condition: { creg: 'c', value: 1 } },
+//     { type: 'reset', qubit: 0 },
+//     { type: 'barrier', qubits: [0, 1] },
+//     { type: 'if', condition: { creg: 'c', index: 0, value: 1 }, then: [...], else: [...] }
+//   ]
+// }
+//
+// Custom gate definitions and for loops are expanded at parse time, so every
+// gate name in operations is a key of STANDARD_GATES, except the JSON gate
+// list's 'cu', which carries its own controls count and matrix and has no
+// OpenQASM form. A condition without index compares the whole register; only
+// OpenQASM 3 produces 'if' blocks.
+
+const standardGate = (name, params, qubits, controls, matrix) => ({ name, params, qubits, controls, matrix });
+
+// qelib1.inc plus the built-in U and CX. Arguments list controls first, as in
+// OpenQASM, and matrix() builds the gate on the remaining targets. name is
+// what the noise model and gate counters see.
+const STANDARD_GATES = {
+  U: standardGate('U3', 3, 1, 0, ([theta, phi, lambda]) => gates.u3(theta, phi, lambda)),
+  CX: standardGate('CNOT', 0, 2, 1, () => gates.pauliX()),
+  u3: standardGate('U3', 3, 1, 0, ([theta, phi, lambda]) => gates.u3(theta, phi, lambda)),
+  u2: standardGate('U2', 2, 1, 0, ([phi, lambda]) => gates.u2(phi, lambda)),
+  u1: standardGate('U1', 1, 1, 0, ([lambda]) => gates.u1(lambda)),
+  u: standardGate('U3', 3, 1, 0, ([theta, phi, lambda]) => gates.u3(theta, phi, lambda)),
+  p: standardGate('PHASE', 1, 1, 0, ([lambda]) => gates.phaseShift(lambda)),
+  u0: standardGate('IDENTITY', 1, 1, 0, () => gates.identity()),
+  id: standardGate('IDENTITY', 0, 1, 0, () => gates.identity()),
+  x: standardGate('PAULI_X', 0, 1, 0, () => gates.pauliX()),
+  y: standardGate('PAULI_Y', 0, 1, 0, () => gates.pauliY()),
+  z: standardGate('PAULI_Z', 0, 1, 0, () => gates.pauliZ()),
+  h: standardGate('HADAMARD', 0, 1, 0, () => gates.hadamard()),
+  s: standardGate('S', 0, 1, 0, () => gates.sGate()),
+  sdg: standardGate('S_DAGGER', 0, 1, 0, () => gates.sDagger()),
+  t: standardGate('T', 0, 1, 0, () => gates.tGate()),
+  tdg: standardGate('T_DAGGER', 0, 1, 0, () => gates.tDagger()),
+  sx: standardGate('SQRT_X', 0, 1, 0, () => gates.sqrtX()),
+  sxdg: standardGate('SQRT_X_DAGGER', 0, 1, 0, () => conjugate(gates.sqrtX())),
+  rx: standardGate('ROTATION_X', 1, 1, 0, ([theta]) => gates.rotationX(theta)),
+  ry: standardGate('ROTATION_Y', 1, 1, 0, ([theta]) => gates.rotationY(theta)),
+  rz: standardGate('ROTATION_Z', 1, 1, 0, ([theta]) => gates.rotationZ(theta)),
+  cx: standardGate('CNOT', 0, 2, 1, () => gates.pauliX()),
+  cy: standardGate('CY', 0, 2, 1, () => gates.pauliY()),
+  cz: standardGate('CZ', 0, 2, 1, () => gates.pauliZ()),
+  ch: standardGate('CH', 0, 2, 1, () => gates.hadamard()),
+  swap: standardGate('SWAP', 0, 2, 0, () => gates.swap()),
+  ccx: standardGate('TOFFOLI', 0, 3, 2, () => gates.pauliX()),
+  cswap: standardGate('CSWAP', 0, 3, 1, () => gates.swap()),
+  crx: standardGate('CRX', 1, 2, 1, ([theta]) => gates.rotationX(theta)),
+  cry: standardGate('CRY', 1, 2, 1, ([theta]) => gates.rotationY(theta)),
+  crz: standardGate('CRZ', 1, 2, 1, ([theta]) => gates.rotationZ(theta)),
+  cu1: standardGate('CPHASE', 1, 2, 1, ([lambda]) => gates.u1(lambda)),
+  cp: standardGate('CPHASE', 1, 2, 1, ([lambda]) => gates.phaseShift(lambda)),
+  phase: standardGate('PHASE', 1, 1, 0, ([lambda]) => gates.phaseShift(lambda)),
+  cphase: standardGate('CPHASE', 1, 2, 1, ([lambda]) => gates.phaseShift(lambda)),
+  cu3: standardGate('CU3', 3, 2, 1, ([theta, phi, lambda]) => gates.u3(theta, phi, lambda)),
+  rxx: standardGate('RXX', 1, 2, 0, ([theta]) => gates.rxx(theta)),
+  rzz: standardGate('RZZ', 1, 2, 0, ([theta]) => gates.rzz(theta))
+};
+
+const BUILTIN_GATES = ['U', 'CX'];
+
+// stdgates.inc spellings that qelib1.inc does not have
+const QASM3_ONLY_GATES = ['phase', 'cphase'];
+
+const INCLUDES = ['qelib1.inc', 'stdgates.inc'];
+
+// Loops are unrolled, so bound the size of what a program can expand to
+const MAX_OPERATIONS = 100000;
+
+// Most qubits and clbits a circuit can declare. No backend simulates more
+// qubits than the state vector, and classical registers are rewritten whole
+// on every shot.
+const MAX_QUBITS = maxQubits('statevector');
+const MAX_CLBITS = 1024;
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  exp: Math.exp,
+  ln: Math.log,
+  sqrt: Math.sqrt
+};
+
+const NUMBER = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*/;
+const SYMBOLS = ['->', '==', '=', ':', ';', ',', '(', ')', '[', ']', '{', '}', '+', '-', '*', '/', '^'];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i, i + 64);
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new Error(`QASM line ${line}: unterminated comment`);
+      line += source.slice(i, end).split('\n').length - 1;
+      i = end + 2;
+    } else if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end === -1) throw new Error(`QASM line ${line}: unterminated string`);
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), line });
+      i = end + 1;
+    } else if (NUMBER.test(rest)) {
+      const [text] = rest.match(NUMBER);
+      tokens.push({ type: 'number', value: Number(text), text, line });
+      i += text.length;
+    } else if (IDENTIFIER.test(rest)) {
+      const [text] = rest.match(IDENTIFIER);
+      tokens.push({ type: 'id', value: text, line });
+      i += text.length;
+    } else {
+      const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, i));
+      if (!symbol) throw new Error(`QASM line ${line}: unexpected character '${char}'`);
+      tokens.push({ type: 'symbol', value: symbol, line });
+      i += symbol.length;
+    }
+  }
+
+  tokens.push({ type: 'eof', value: 'end of input', line });
+  return tokens;
+};
+
+class QasmParser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+    this.majorVersion = 2;
+    this.standardLibrary = false;
+    this.customGates = new Map();
+    this.scope = {};
+    this.operationCount = 0;
+    this.circuit = {
+      version: '2.0',
+      qregs: [],
+      cregs: [],
+      numQubits: 0,
+      numClbits: 0,
+      operations: []
+    };
+    this.target = this.circuit.operations;
+  }
+
+  error(message, token = this.peek()) {
+    return new Error(`QASM line ${token.line}: ${message}`);
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  accept(value) {
+    const token = this.peek();
+    if (token.type !== 'string' && token.value === value) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.type === 'string' || token.value !== value) {
+      throw this.error(`expected '${value}' but found '${token.value}'`, token);
+    }
+    return token;
+  }
+
+  expectType(type, description = type) {
+    const token = this.next();
+    if (token.type !== type) throw this.error(`expected ${description} but found '${token.value}'`, token);
+    return token;
+  }
+
+  expectInteger(description) {
+    const token = this.expectType('number', description);
+    if (!Number.isInteger(token.value) || /[.eE]/.test(token.text)) {
+      throw this.error(`${description} must be an integer`, token);
+    }
+    return token.value;
+  }
+
+  // Integer-valued expression, which may use for-loop variables
+  integerExpression(description) {
+    const token = this.peek();
+    const value = this.evaluate(this.expression(), this.scope, token);
+    if (!Number.isInteger(value)) throw this.error(`${description} must be an integer`, token);
+    return value;
+  }
+
+  parse() {
+    if (this.accept('OPENQASM')) {
+      const version = this.expectType('number', 'a version number');
+      this.majorVersion = Math.floor(version.value);
+      if (this.majorVersion !== 2 && this.majorVersion !== 3) {
+        throw this.error(`unsupported OpenQASM version ${version.text}`, version);
+      }
+      this.circuit.version = this.majorVersion === 3 ? '3.0' : '2.0';
+      this.expect(';');
+    }
+
+    while (this.peek().type !== 'eof') {
+      this.statement();
+    }
+
+    return this.circuit;
+  }
+
+  statement() {
+    const token = this.peek();
+    if (token.type !== 'id') throw this.error(`unexpected '${token.value}'`);
+
+    switch (token.value) {
+      case 'include':
+        return this.include();
+      case 'qreg':
+      case 'creg':
+        return this.register();
+      case 'qubit':
+      case 'bit':
+        if (this.majorVersion < 3) break;
+        return this.declaration();
+      case 'for':
+        if (this.majorVersion < 3) break;
+        return this.forLoop();
+      case 'gate':
+        return this.gateDefinition();
+      case 'opaque':
+        throw this.error('opaque gates are not supported');
+      case 'barrier':
+        return this.barrier();
+      case 'if':
+        return this.conditional();
+    }
+
+    if (this.majorVersion >= 3 && this.circuit.cregs.some(reg => reg.name === token.value)) {
+      return this.measureAssignment();
+    }
+    return this.quantumOperation();
+  }
+
+  include() {
+    this.next();
+    const file = this.expectType('string', 'a file name');
+    if (!INCLUDES.includes(file.value)) throw this.error(`cannot include '${file.value}'`, file);
+    this.standardLibrary = true;
+    this.expect(';');
+  }
+
+  register() {
+    const kind = this.next().value;
+    const name = this.expectType('id', 'a register name');
+    this.expect('[');
+    const size = this.expectInteger('register size');
+    this.expect(']');
+    this.expect(';');
+
+    this.addRegister(kind === 'qreg' ? 'qreg' : 'creg', name, size);
+  }
+
+  // OpenQASM 3: qubit[n] name; bit[n] name; and the single-bit forms
+  declaration() {
+    const kind = this.next().value;
+    let size = 1;
+    if (this.accept('[')) {
+      size = this.expectInteger('register size');
+      this.expect(']');
+    }
+    const name = this.expectType('id', 'a register name');
+    this.expect(';');
+
+    this.addRegister(kind === 'qubit' ? 'qreg' : 'creg', name, size);
+  }
+
+  addRegister(kind, name, size) {
+    if (size < 1) throw this.error(`register ${name.value} must have at least one bit`, name);
+    if (this.findRegister(name.value)) throw this.error(`register ${name.value} is already declared`, name);
+
+    const [total, limit, unit] = kind === 'qreg'
+      ? [this.circuit.numQubits, MAX_QUBITS, 'qubits']
+      : [this.circuit.numClbits, MAX_CLBITS, 'clbits'];
+    if (total + size > limit) throw this.error(`circuits can declare at most ${limit} ${unit}`, name);
+
+    if (kind === 'qreg') {
+      this.circuit.qregs.push({ name: name.value, size, offset: this.circuit.numQubits });
+      this.circuit.numQubits += size;
+    } else {
+      this.circuit.cregs.push({ name: name.value, size, offset: this.circuit.numClbits });
+      this.circuit.numClbits += size;
+    }
+  }
+
+  findRegister(name) {
+    return this.circuit.qregs.find(reg => reg.name === name) ||
+      this.circuit.cregs.find(reg => reg.name === name);
+  }
+
+  lookupGate(name) {
+    if (this.customGates.has(name)) return this.customGates.get(name);
+    if (!STANDARD_GATES[name]) return null;
+    if (this.majorVersion < 3 && QASM3_ONLY_GATES.includes(name)) return null;
+    if (this.standardLibrary || BUILTIN_GATES.includes(name)) return STANDARD_GATES[name];
+    return null;
+  }
+
+  // gate name(params) args { body }, expanded wherever it is called
+  gateDefinition() {
+    this.next();
+    const name = this.expectType('id', 'a gate name');
+    if (this.lookupGate(name.value)) throw this.error(`gate ${name.value} is already defined`, name);
+
+    const params = this.accept('(') ? this.identifierList(')') : [];
+    const args = this.identifierList('{');
+    if (args.length === 0) throw this.error(`gate ${name.value} needs at least one qubit argument`, name);
+
+    const body = [];
+    while (!this.accept('}')) {
+      const token = this.expectType('id', 'a gate call');
+      if (token.value === 'barrier') {
+        this.identifierList(';').forEach(arg => this.checkGateArgument(arg, args, token));
+        continue;
+      }
+
+      const gate = this.lookupGate(token.value);
+      if (!gate) throw this.error(`unknown gate ${token.value}`, token);
+
+      const callParams = this.accept('(') ? this.expressionList() : [];
+      const callArgs = this.identifierList(';');
+      callArgs.forEach(arg => this.checkGateArgument(arg, args, token));
+      callParams.forEach(expression => this.checkExpression(expression, params, token));
+      this.checkArity(token.value, gate, callParams.length, callArgs, token);
+
+      body.push({ name: token.value, params: callParams, args: callArgs });
+    }
+
+    this.customGates.set(name.value, { params: params.length, qubits: args.length, paramNames: params, args, body });
+  }
+
+  checkGateArgument(arg, args, token) {
+    if (!args.includes(arg)) throw this.error(`unknown qubit argument ${arg}`, token);
+  }
+
+  checkExpression(expression, params, token) {
+    if (expression.type === 'param' && !params.includes(expression.name)) {
+      throw this.error(`unknown parameter ${expression.name}`, token);
+    }
+    ['arg', 'left', 'right'].forEach(key => {
+      if (expression[key]) this.checkExpression(expression[key], params, token);
+    });
+  }
+
+  checkArity(name, gate, paramCount, qubits, token) {
+    if (paramCount !== gate.params) {
+      throw this.error(`gate ${name} takes ${gate.params} parameter(s), got ${paramCount}`, token);
+    }
+    if (qubits.length !== gate.qubits) {
+      throw this.error(`gate ${name} acts on ${gate.qubits} qubit(s), got ${qubits.length}`, token);
+    }
+    if (new Set(qubits).size !== qubits.length) {
+      throw this.error(`gate ${name} uses the same qubit more than once`, token);
+    }
+  }
+
+  // Comma-separated identifiers up to and including the closing symbol
+  identifierList(close) {
+    const names = [];
+    if (this.accept(close)) return names;
+    do {
+      names.push(this.expectType('id', 'an identifier').value);
+    } while (this.accept(','));
+    this.expect(close);
+    return names;
+  }
+
+  barrier() {
+    this.next();
+    const qubits = [];
+    do {
+      qubits.push(...this.argument('qreg').indices);
+    } while (this.accept(','));
+    this.expect(';');
+    this.target.push({ type: 'barrier', qubits: [...new Set(qubits)] });
+  }
+
+  // OpenQASM 2: if (creg == value) operation
+  // OpenQASM 3: if (creg == value) { ... } else { ... }, or creg[i] == value
+  conditional() {
+    const token = this.next();
+    this.expect('(');
+    const name = this.expectType('id', 'a classical register');
+    const creg = this.circuit.cregs.find(reg => reg.name === name.value);
+    if (!creg) throw this.error(`unknown classical register ${name.value}`, name);
+
+    const condition = { creg: creg.name };
+    if (this.majorVersion >= 3 && this.accept('[')) {
+      condition.index = this.integerExpression('index');
+      this.expect(']');
+      if (condition.index < 0 || condition.index >= creg.size) {
+        throw this.error(`index ${condition.index} is out of range for ${creg.name}[${creg.size}]`, name);
+      }
+    }
+    this.expect('==');
+    condition.value = this.expectInteger('condition value');
+    this.expect(')');
+
+    if (this.majorVersion < 3) {
+      this.quantumOperation(condition);
+      return;
+    }
+
+    const operation = { type: 'if', condition, then: this.block(), else: [] };
+    if (this.accept('else')) operation.else = this.block();
+    this.target.push(operation);
+    this.countOperation(token);
+  }
+
+  // A braced block or a single statement, parsed into its own operation list
+  block() {
+    const parent = this.target;
+    const operations = [];
+    this.target = operations;
+
+    if (this.accept('{')) {
+      while (!this.accept('}')) {
+        if (this.peek().type === 'eof') throw this.error("expected '}'");
+        this.statement();
+      }
+    } else {
+      this.statement();
+    }
+
+    this.target = parent;
+    return operations;
+  }
+
+  // for [type] i in [start:end] or [start:step:end], end inclusive, where
+  // the optional type is int or uint with an optional [width]; the body is
+  // re-parsed once per value
+  forLoop() {
+    const token = this.next();
+    if (this.accept('int') || this.accept('uint')) {
+      if (this.accept('[')) {
+        this.expectInteger('integer width');
+        this.expect(']');
+      }
+    }
+    const variable = this.expectType('id', 'a loop variable').value;
+    this.expect('in');
+    this.expect('[');
+    const bounds = [this.integerExpression('range start')];
+    while (this.accept(':')) bounds.push(this.integerExpression('range bound'));
+    this.expect(']');
+
+    if (bounds.length < 2 || bounds.length > 3) throw this.error('loop range must be [start:end] or [start:step:end]', token);
+    const [start, step, end] = bounds.length === 2 ? [bounds[0], 1, bounds[1]] : bounds;
+    if (step === 0) throw this.error('loop step cannot be zero', token);
+
+    const values = [];
+    for (let value = start; step > 0 ? value <= end : value >= end; value += step) {
+      values.push(value);
+      if (values.length > MAX_OPERATIONS) throw this.error('loop has too many iterations', token);
+    }
+
+    if (values.length === 0) {
+      this.skipStatement();
+      return;
+    }
+
+    const outer = this.scope;
+    const bodyStart = this.position;
+    values.forEach(value => {
+      this.position = bodyStart;
+      this.scope = { ...outer, [variable]: value };
+      this.target.push(...this.block());
+    });
+    this.scope = outer;
+  }
+
+  // Step over a loop body that runs zero times
+  skipStatement() {
+    const token = this.next();
+
+    if (token.value === '{' && token.type === 'symbol') {
+      let depth = 1;
+      while (depth > 0) {
+        const inner = this.next();
+        if (inner.type === 'eof') throw this.error("expected '}'", inner);
+        if (inner.type === 'symbol' && inner.value === '{') depth++;
+        if (inner.type === 'symbol' && inner.value === '}') depth--;
+      }
+      return;
+    }
+
+    if (token.value === 'if') {
+      this.skipBalanced('(', ')');
+      this.skipStatement();
+      if (this.accept('else')) this.skipStatement();
+      return;
+    }
+
+    if (token.value === 'for') {
+      while (!this.accept('[')) {
+        if (this.peek().type === 'eof') throw this.error("expected '['");
+        this.next();
+      }
+      this.position--;
+      this.skipBalanced('[', ']');
+      this.skipStatement();
+      return;
+    }
+
+    let current = token;
+    while (!(current.type === 'symbol' && current.value === ';')) {
+      if (current.type === 'eof') throw this.error("expected ';'", current);
+      current = this.next();
+    }
+  }
+
+  skipBalanced(open, close) {
+    this.expect(open);
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.next();
+      if (token.type === 'eof') throw this.error(`expected '${close}'`, token);
+      if (token.type === 'symbol' && token.value === open) depth++;
+      if (token.type === 'symbol' && token.value === close) depth--;
+    }
+  }
+
+  // OpenQASM 3: c = measure q; or c[i] = measure q[j];
+  measureAssignment() {
+    const clbits = this.argument('creg');
+    this.expect('=');
+    const token = this.expect('measure');
+    const qubits = this.argument('qreg');
+    this.expect(';');
+
+    this.measurePairs(token, qubits, clbits).forEach(([qubit, clbit]) => {
+      this.emit({ type: 'measure', qubit, clbit });
+    });
+  }
+
+  quantumOperation(condition) {
+    const token = this.expectType('id', 'a quantum operation');
+
+    if (token.value === 'measure') {
+      const qubits = this.argument('qreg');
+
+      // OpenQASM 3 allows measuring without keeping the result
+      if (this.majorVersion >= 3 && this.accept(';')) {
+        qubits.indices.forEach(qubit => this.emit({ type: 'measure', qubit, clbit: null }, condition));
+        return;
+      }
+
+      this.expect('->');
+      const clbits = this.argument('creg');
+      this.expect(';');
+
+      this.measurePairs(token, qubits, clbits).forEach(([qubit, clbit]) => {
+        this.emit({ type: 'measure', qubit, clbit }, condition);
+      });
+      return;
+    }
+
+    if (token.value === 'reset') {
+      const qubits = this.argument('qreg');
+      this.expect(';');
+      qubits.indices.forEach(qubit => this.emit({ type: 'reset', qubit }, condition));
+      return;
+    }
+
+    const gate = this.lookupGate(token.value);
+    if (!gate) throw this.error(`unknown gate ${token.value}`, token);
+
+    const params = this.accept('(') ? this.expressionList().map(expression => this.evaluate(expression, this.scope, token)) : [];
+    const args = [];
+    if (!this.accept(';')) {
+      do {
+        args.push(this.argument('qreg'));
+      } while (this.accept(','));
+      this.expect(';');
+    }
+
+    this.broadcast(token, args).forEach(qubits => {
+      this.checkArity(token.value, gate, params.length, qubits, token);
+      this.expand(token.value, params, qubits, condition, token);
+    });
+  }
+
+  emit(operation, condition) {
+    this.target.push(condition ? { ...operation, condition } : operation);
+    this.countOperation(this.peek());
+  }
+
+  countOperation(token) {
+    if (++this.operationCount > MAX_OPERATIONS) {
+      throw this.error(`program expands to more than ${MAX_OPERATIONS} operations`, token);
+    }
+  }
+
+  // Inline custom gates down to standard ones
+  expand(name, params, qubits, condition, token) {
+    // Catches rx(1/0) and the like, here or inside a custom gate's body
+    if (!params.every(Number.isFinite)) throw this.error(`parameters of ${name} must be finite numbers`, token);
+
+    const custom = this.customGates.get(name);
+    if (!custom) {
+      this.emit({ type: 'gate', name, params, qubits }, condition);
+      return;
+    }
+
+    const env = {};
+    custom.paramNames.forEach((param, i) => { env[param] = params[i]; });
+    const qubitOf = {};
+    custom.args.forEach((arg, i) => { qubitOf[arg] = qubits[i]; });
+
+    custom.body.forEach(call => {
+      const values = call.params.map(expression => this.evaluate(expression, env, token));
+      this.expand(call.name, values, call.args.map(arg => qubitOf[arg]), condition, token);
+    });
+  }
+
+  // reg or reg[i], as qubit or clbit indices
+  argument(kind) {
+    const name = this.expectType('id', 'a register');
+    const registers = kind === 'qreg' ? this.circuit.qregs : this.circuit.cregs;
+    const register = registers.find(reg => reg.name === name.value);
+    if (!register) throw this.error(`unknown ${kind === 'qreg' ? 'quantum' : 'classical'} register ${name.value}`, name);
+
+    if (this.accept('[')) {
+      const index = this.integerExpression('index');
+      this.expect(']');
+      if (index < 0 || index >= register.size) throw this.error(`index ${index} is out of range for ${register.name}[${register.size}]`, name);
+      return { whole: false, indices: [register.offset + index] };
+    }
+
+    return { whole: true, indices: Array.from({ length: register.size }, (_, i) => register.offset + i) };
+  }
+
+  // A measurement maps qubits one-to-one onto bits
+  measurePairs(token, qubits, clbits) {
+    if (qubits.indices.length !== clbits.indices.length) {
+      throw this.error('measure needs as many bits as qubits', token);
+    }
+    return this.broadcast(token, [qubits, clbits]);
+  }
+
+  // Whole-register arguments apply the operation once per index; they must
+  // all be the same size
+  broadcast(token, args) {
+    const sizes = [...new Set(args.filter(arg => arg.whole).map(arg => arg.indices.length))];
+    if (sizes.length > 1) throw this.error('register arguments have different sizes', token);
+
+    const count = sizes.length === 1 ? sizes[0] : 1;
+    return Array.from({ length: count }, (_, i) => args.map(arg => (arg.whole ? arg.indices[i] : arg.indices[0])));
+  }
+
+  expressionList() {
+    const expressions = [];
+    if (this.accept(')')) return expressions;
+    do {
+      expressions.push(this.expression());
+    } while (this.accept(','));
+    this.expect(')');
+    return expressions;
+  }
+
+  expression() {
+    let node = this.term();
+    while (this.peek().value === '+' || this.peek().value === '-') {
+      const op = this.next().value;
+      node = { type: 'binary', op, left: node, right: this.term() };
+    }
+    return node;
+  }
+
+  term() {
+    let node = this.unary();
+    while (this.peek().value === '*' || this.peek().value === '/') {
+      const op = this.next().value;
+      node = { type: 'binary', op, left: node, right: this.unary() };
+    }
+    return node;
+  }
+
+  unary() {
+    if (this.accept('-')) return { type: 'negate', arg: this.unary() };
+    this.accept('+');
+    return this.power();
+  }
+
+  power() {
+    const base = this.primary();
+    if (this.accept('^')) return { type: 'binary', op: '^', left: base, right: this.unary() };
+    return base;
+  }
+
+  primary() {
+    const token = this.next();
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+
+    if (token.type === 'symbol' && token.value === '(') {
+      const node = this.expression();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.type === 'id') {
+      if (token.value === 'pi') return { type: 'number', value: Math.PI };
+      if (FUNCTIONS[token.value]) {
+        this.expect('(');
+        const arg = this.expression();
+        this.expect(')');
+        return { type: 'call', fn: token.value, arg };
+      }
+      return { type: 'param', name: token.value };
+    }
+
+    throw this.error(`unexpected '${token.value}' in expression`, token);
+  }
+
+  evaluate(node, env, token) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'param':
+        if (!(node.name in env)) throw this.error(`unknown parameter ${node.name}`, token);
+        return env[node.name];
+      case 'negate':
+        return -this.evaluate(node.arg, env, token);
+      case 'call':
+        return FUNCTIONS[node.fn](this.evaluate(node.arg, env, token));
+      default: {
+        const left = this.evaluate(node.left, env, token);
+        const right = this.evaluate(node.right, env, token);
+        switch (node.op) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          default: return left ** right;
+        }
+      }
+    }
+  }
+}
+
+const parseQasm = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('OpenQASM source must be a non-empty string');
+  }
+
+  const circuit = new QasmParser(source).parse();
+  if (circuit.numQubits === 0) throw new Error('Circuit declares no quantum registers');
+  return circuit;
+};
+
+// Value of a constant expression such as pi/4 or 2*sin(0.3), for gate
+// parameters written outside an OpenQASM program
+const evaluateExpression = (source) => {
+  const parser = new QasmParser(String(source));
+  const token = parser.peek();
+  const value = parser.evaluate(parser.expression(), {}, token);
+  parser.expectType('eof', 'the end of the expression');
+  if (!Number.isFinite(value)) throw new Error(`Expression '${source}' is not a finite number`);
+  return value;
+};
+
+const bitName = (registers, index) => {
+  const register = registers.find(reg => index >= reg.offset && index < reg.offset + reg.size);
+  return `${register.name}[${index - register.offset}]`;
+};
+
+const formatCondition = (condition, qasm3) => {
+  const bit = condition.index !== undefined ? `[${condition.index}]` : '';
+  return qasm3 ? `if (${condition.creg}${bit} == ${condition.value})` : `if(${condition.creg}==${condition.value})`;
+};
+
+// OpenQASM text for a circuit, in the version it was written in. Custom
+// gates and loops come out expanded.
+const toQasm = (circuit) => {
+  const qasm3 = circuit.version.startsWith('3');
+  const qubit = index => bitName(circuit.qregs, index);
+  const clbit = index => bitName(circuit.cregs, index);
+
+  const lines = qasm3
+    ? ['OPENQASM 3.0;', 'include "stdgates.inc";']
+    : ['OPENQASM 2.0;', 'include "qelib1.inc";'];
+  circuit.qregs.forEach(reg => lines.push(qasm3 ? `qubit[${reg.size}] ${reg.name};` : `qreg ${reg.name}[${reg.size}];`));
+  circuit.cregs.forEach(reg => lines.push(qasm3 ? `bit[${reg.size}] ${reg.name};` : `creg ${reg.name}[${reg.size}];`));
+
+  const write = (operations, indent) => {
+    operations.forEach(operation => {
+      const prefix = operation.condition && operation.type !== 'if'
+        ? `${formatCondition(operation.condition, qasm3)} `
+        : '';
+
+      switch (operation.type) {
+        case 'gate': {
+          if (operation.matrix) throw new Error(`Gate ${operation.name} has no OpenQASM form`);
+          const params = operation.params.length > 0 ? `(${operation.params.map(String).join(',')})` : '';
+          lines.push(`${indent}${prefix}${operation.name}${params} ${operation.qubits.map(qubit).join(',')};`);
+          break;
+        }
+        case 'measure':
+          if (operation.clbit === null) {
+            lines.push(`${indent}${prefix}measure ${qubit(operation.qubit)};`);
+          } else if (qasm3) {
+            lines.push(`${indent}${prefix}${clbit(operation.clbit)} = measure ${qubit(operation.qubit)};`);
+          } else {
+            lines.push(`${indent}${prefix}measure ${qubit(operation.qubit)} -> ${clbit(operation.clbit)};`);
+          }
+          break;
+        case 'reset':
+          lines.push(`${indent}${prefix}reset ${qubit(operation.qubit)};`);
+          break;
+        case 'barrier':
+          lines.push(`${indent}barrier ${operation.qubits.map(qubit).join(',')};`);
+          break;
+        case 'if':
+          lines.push(`${indent}${formatCondition(operation.condition, true)} {`);
+          write(operation.then, `${indent}  `);
+          if (operation.else.length > 0) {
+            lines.push(`${indent}} else {`);
+            write(operation.else, `${indent}  `);
+          }
+          lines.push(`${indent}}`);
+          break;
+      }
+    });
+  };
+
+  write(circuit.operations, '');
+  return `${lines.join('\n')}\n`;
+};
+
+// Library names of the single-qubit gates that have a qelib1 equivalent
+const QELIB_NAMES = {
+  IDENTITY: 'id',
+  PAULI_X: 'x',
+  PAULI_Y: 'y',
+  PAULI_Z: 'z',
+  HADAMARD: 'h',
+  S: 's',
+  S_DAGGER: 'sdg',
+  T: 't',
+  T_DAGGER: 'tdg',
+  SQRT_X: 'sx',
+  ROTATION_X: 'rx',
+  ROTATION_Y: 'ry',
+  ROTATION_Z: 'rz',
+  PHASE: 'p',
+  U1: 'u1',
+  U2: 'u2',
+  U3: 'u3'
+};
+
+// qelib1 names of the multi-qubit gates in utils/gateLibrary; ISWAP,
+// ENTANGLE and CU have none and are expanded by circuitFromGates
+const QELIB_MULTI_QUBIT_NAMES = {
+  CNOT: 'cx',
+  CZ: 'cz',
+  SWAP: 'swap',
+  CRX: 'crx',
+  CRY: 'cry',
+  CRZ: 'crz',
+  TOFFOLI: 'ccx'
+};
+
+const gateOperation = (name, qubits, params = []) => ({ type: 'gate', name, params, qubits });
+
+// The JSON gate list of POST /api/processor/circuit, with integer qubit
+// indices: { qubits: 2, gates: [{ type: 'H', target: 0 },
+// { type: 'CNOT', control: 0, target: 1 }, { type: 'MEASURE', target: 1 }] }.
+// Gates take the same fields as in the simulation service's circuits.
+const circuitFromGates = ({ qubits, gates: gateList }) => {
+  if (!Array.isArray(gateList)) throw new Error('Circuit gates must be an array');
+  if (qubits !== undefined && (!Number.isInteger(qubits) || qubits < 1 || qubits > MAX_QUBITS)) {
+    throw new Error(`qubits must be an integer between 1 and ${MAX_QUBITS}`);
+  }
+
+  const indices = gateList.flatMap(gate => [
+    gate.target, gate.control, gate.qubit1, gate.qubit2, ...(gate.controls || []), ...(gate.targets || [])
+  ]);
+  const numQubits = qubits || Math.max(0, ...indices.filter(Number.isInteger)) + 1;
+
+  const qubit = (index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= numQubits) {
+      throw new Error(`Qubit ${index} is out of range for a ${numQubits}-qubit circuit`);
+    }
+    return index;
+  };
+
+  const operations = gateList.flatMap(gate => {
+    const type = normalizeGateType(gate.type);
+    const name = resolveGateName(type);
+
+    if (QELIB_NAMES[name]) {
+      const { params } = singleQubitGate(gate);
+      return [gateOperation(QELIB_NAMES[name], [qubit(gate.target)], params)];
+    }
+
+    switch (type) {
+      case 'MEASURE':
+        return [{ type: 'measure', qubit: qubit(gate.target), clbit: gate.clbit ?? gate.target }];
+      case 'RESET':
+        return [{ type: 'reset', qubit: qubit(gate.target) }];
+      case 'BARRIER':
+        return [{ type: 'barrier', qubits: (gate.targets || []).map(qubit) }];
+    }
+
+    const { name: gateName, params, controls, targets, matrix } = multiQubitGate(gate);
+    const gateQubits = [...controls, ...targets].map(qubit);
+
+    switch (gateName) {
+      case 'ISWAP': {
+        // s a; s b; h a; cx a,b; cx b,a; h b is exactly iSWAP
+        const [a, b] = gateQubits;
+        return [
+          gateOperation('s', [a]),
+          gateOperation('s', [b]),
+          gateOperation('h', [a]),
+          gateOperation('cx', [a, b]),
+          gateOperation('cx', [b, a]),
+          gateOperation('h', [b])
+        ];
+      }
+      case 'ENTANGLE':
+        return [gateOperation('h', [gateQubits[0]]), gateOperation('cx', gateQubits)];
+      case 'CU':
+        return [{ ...gateOperation('cu', gateQubits), controls: controls.length, matrix }];
+      default:
+        return [gateOperation(QELIB_MULTI_QUBIT_NAMES[gateName], gateQubits, params)];
+    }
+  });
+
+  operations.forEach(operation => {
+    if (operation.type === 'gate' && new Set(operation.qubits).size !== operation.qubits.length) {
+      throw new Error(`Gate ${operation.name} uses the same qubit more than once`);
+    }
+  });
+
+  const clbits = operations.filter(operation => operation.type === 'measure').map(operation => operation.clbit);
+  if (clbits.some(clbit => !Number.isInteger(clbit) || clbit < 0 || clbit >= MAX_CLBITS)) {
+    throw new Error(`Measurement clbit must be an integer from 0 to ${MAX_CLBITS - 1}`);
+  }
+  const numClbits = clbits.length > 0 ? Math.max(...clbits) + 1 : 0;
+
+  return {
+    version: '2.0',
+    qregs: [{ name: 'q', size: numQubits, offset: 0 }],
+    cregs: numClbits > 0 ? [{ name: 'c', size: numClbits, offset: 0 }] : [],
+    numQubits,
+    numClbits,
+    operations
+  };
+};
+
+module.exports = {
+  STANDARD_GATES,
+  evaluateExpression,
+  parseQasm,
+  toQasm,
+  circuitFromGates
+};
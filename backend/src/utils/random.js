@@ -0,0 +1,75 @@
+// Seedable pseudo-random numbers, so a run can be repeated exactly. The
+// generators are drop-in replacements for Math.random.
+
+const MAX_SEED = 0xffffffff;
+
+// Integers are used as-is, strings are hashed (FNV-1a)
+const normalizeSeed = (seed) => {
+  if (typeof seed === 'number') {
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
+    }
+    return seed;
+  }
+
+  if (typeof seed === 'string' && seed.length > 0) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  throw new Error('Seed must be a non-negative integer or a non-empty string');
+};
+
+const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+// mulberry32: small, fast and good enough for Monte Carlo sampling
+const createRandom = (seed) => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A reseedable stream shared by everything one processor or simulation
+// touches. next is bound, so it can be handed to backends as their random().
+class SeededRandom {
+  constructor(seed = randomSeed()) {
+    this.next = this.next.bind(this);
+    this.reseed(seed);
+  }
+
+  reseed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.generator = createRandom(this.seed);
+    return this.seed;
+  }
+
+  next() {
+    return this.generator();
+  }
+
+  // Integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.generator() * max);
+  }
+
+  // Seed for a child run, drawn from this stream
+  nextSeed() {
+    return Math.floor(this.generator() * MAX_SEED);
+  }
+}
+
+module.exports = {
+  normalizeSeed,
+  randomSeed,
+  createRandom,
+  SeededRandom
+};
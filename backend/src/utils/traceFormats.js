@@ -0,0 +1,211 @@
+const { StringDecoder } = require('string_decoder');
+const { MAX_ACCESS_SIZE } = require('../models/ClassicalMemory');
+
+// Readers for recorded memory access traces. They take the upload a chunk
+// at a time, so a trace never has to fit in memory at once:
+//
+//   text    one access per line: op address [size]. op is R or W (READ,
+//           WRITE, L and S also work), address decimal or 0x-prefixed hex,
+//           size in bytes (1 by default, at most a page; see
+//           ClassicalMemory.MAX_ACCESS_SIZE). Blank lines and # comments
+//           are skipped.
+//   din     Dinero III: label address [size], address in hex. Labels 0
+//           (read) and 1 (write) are data accesses and 2 an instruction
+//           fetch; 3 and 4 (escape and cache flush) are skipped.
+//   binary  8-byte records: op (0 read, 1 write), size (1-255), then the
+//           address as a 48-bit little-endian integer.
+//
+// Accesses come out in ClassicalMemory.parseTrace's object form, in batches
+// of one chunk.
+const MAX_TRACE_ACCESSES = 5000000;
+const MAX_LINE_LENGTH = 1024;
+const BINARY_RECORD_SIZE = 8;
+// Instruction tag of instruction fetches, kept apart from the data streams
+const INSTRUCTION_FETCH_PC = 'instruction-fetch';
+
+const TEXT_OPERATIONS = {
+  R: 'READ', READ: 'READ', L: 'READ',
+  W: 'WRITE', WRITE: 'WRITE', S: 'WRITE'
+};
+
+const DIN_LABELS = {
+  0: { operation: 'READ', pc: null },
+  1: { operation: 'WRITE', pc: null },
+  2: { operation: 'READ', pc: INSTRUCTION_FETCH_PC }
+};
+const DIN_SKIPPED_LABELS = ['3', '4'];
+
+const access = (operation, address, size, pc = null) => ({ address, operation, size, pc, core: 0 });
+
+// Decimal or 0x-prefixed hex, or plain hex when hex is set
+const parseNumber = (token, name, hex = false) => {
+  const pattern = hex ? /^(0x)?[0-9a-f]+$/i : /^(0x[0-9a-f]+|\d+)$/i;
+  const value = pattern.test(token) ? Number(hex && !/^0x/i.test(token) ? `0x${token}` : token) : NaN;
+  if (!Number.isSafeInteger(value)) throw new Error(`${name} '${token}' is not a valid number`);
+  return value;
+};
+
+const parseSize = (token, hex) => {
+  const size = parseNumber(token, 'size', hex);
+  if (size < 1 || size > MAX_ACCESS_SIZE) throw new Error(`size must be from 1 to ${MAX_ACCESS_SIZE} bytes`);
+  return size;
+};
+
+const parseTextLine = ([op, address, size = '1', ...rest]) => {
+  const operation = TEXT_OPERATIONS[op.toUpperCase()];
+  if (!operation) throw new Error(`unknown operation '${op}'`);
+  if (address === undefined || rest.length > 0) throw new Error('expected op address [size]');
+  return access(operation, parseNumber(address, 'address'), parseSize(size));
+};
+
+const parseDinLine = ([label, address, size = '1', ...rest]) => {
+  if (address === undefined || rest.length > 0) throw new Error('expected label address [size]');
+  if (DIN_SKIPPED_LABELS.includes(label)) return null;
+  const kind = Object.hasOwn(DIN_LABELS, label) && DIN_LABELS[label];
+  if (!kind) throw new Error(`unknown label '${label}'`);
+  return access(kind.operation, parseNumber(address, 'address', true), parseSize(size, true), kind.pc);
+};
+
+class TraceReader {
+  constructor(format) {
+    this.format = format;
+    this.accesses = 0;
+    this.reads = 0;
+    this.writes = 0;
+    this.instructionFetches = 0;
+    this.skipped = 0;
+  }
+
+  // Batches of accesses from an iterable of chunks, such as a request
+  async* read(chunks) {
+    for await (const chunk of chunks) yield this.count(this.push(chunk));
+    yield this.count(this.end());
+    if (this.accesses === 0) throw new Error('Trace holds no accesses');
+  }
+
+  count(accesses) {
+    this.accesses += accesses.length;
+    if (this.accesses > MAX_TRACE_ACCESSES) throw new Error(`Trace is limited to ${MAX_TRACE_ACCESSES} accesses`);
+    accesses.forEach(({ operation, pc }) => {
+      if (operation === 'WRITE') {
+        this.writes++;
+      } else {
+        this.reads++;
+      }
+      if (pc === INSTRUCTION_FETCH_PC) this.instructionFetches++;
+    });
+    return accesses;
+  }
+
+  getStats() {
+    const { format, accesses, reads, writes, instructionFetches, skipped } = this;
+    return { format, accesses, reads, writes, instructionFetches, skipped };
+  }
+}
+
+// Text formats: parseLine turns a line's fields into an access, or null for
+// a record to skip
+class LineTraceReader extends TraceReader {
+  constructor(format, parseLine) {
+    super(format);
+    this.parseLine = parseLine;
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
+    this.lineNumber = 0;
+  }
+
+  push(chunk) {
+    const lines = (this.pending + this.decoder.write(chunk)).split('\n');
+    this.pending = lines.pop();
+    const accesses = [];
+    lines.forEach(line => this.parse(line, accesses));
+    if (this.pending.length > MAX_LINE_LENGTH) {
+      throw new Error(`Trace line ${this.lineNumber + 1} is longer than ${MAX_LINE_LENGTH} characters`);
+    }
+    return accesses;
+  }
+
+  end() {
+    const accesses = [];
+    const last = this.pending + this.decoder.end();
+    this.pending = '';
+    if (last !== '') this.parse(last, accesses);
+    return accesses;
+  }
+
+  parse(line, accesses) {
+    this.lineNumber++;
+    const fields = line.replace(/#.*/, '').trim().split(/\s+/);
+    if (fields[0] === '') return;
+
+    let entry;
+    try {
+      entry = this.parseLine(fields);
+    } catch (error) {
+      throw new Error(`Trace line ${this.lineNumber}: ${error.message}`);
+    }
+    if (entry === null) {
+      this.skipped++;
+    } else {
+      accesses.push(entry);
+    }
+  }
+}
+
+class BinaryTraceReader extends TraceReader {
+  constructor() {
+    super('binary');
+    this.pending = Buffer.alloc(0);
+    this.records = 0;
+  }
+
+  push(chunk) {
+    const buffer = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : Buffer.from(chunk);
+    const whole = buffer.length - (buffer.length % BINARY_RECORD_SIZE);
+    const accesses = [];
+    for (let offset = 0; offset < whole; offset += BINARY_RECORD_SIZE) {
+      accesses.push(this.parseRecord(buffer, offset));
+    }
+    // Copied, so the tail doesn't keep the whole chunk alive
+    this.pending = Buffer.from(buffer.subarray(whole));
+    return accesses;
+  }
+
+  end() {
+    if (this.pending.length > 0) {
+      throw new Error(`Trace ends ${this.pending.length} bytes into a ${BINARY_RECORD_SIZE}-byte record`);
+    }
+    return [];
+  }
+
+  parseRecord(buffer, offset) {
+    this.records++;
+    const op = buffer[offset];
+    const size = buffer[offset + 1];
+    if (op > 1) throw new Error(`Trace record ${this.records}: op must be 0 (read) or 1 (write)`);
+    if (size === 0) throw new Error(`Trace record ${this.records}: size must be a positive integer`);
+    return access(op === 1 ? 'WRITE' : 'READ', buffer.readUIntLE(offset + 2, 6), size);
+  }
+}
+
+const TRACE_FORMATS = {
+  text: () => new LineTraceReader('text', parseTextLine),
+  din: () => new LineTraceReader('din', parseDinLine),
+  binary: () => new BinaryTraceReader()
+};
+
+const listTraceFormats = () => Object.keys(TRACE_FORMATS);
+
+const createTraceReader = (format) => {
+  const name = String(format).toLowerCase();
+  const createReader = Object.hasOwn(TRACE_FORMATS, name) && TRACE_FORMATS[name];
+  if (!createReader) {
+    throw new Error(`Unknown trace format '${format}'. Available formats: ${listTraceFormats().join(', ')}`);
+  }
+  return createReader();
+};
+
+module.exports = {
+  listTraceFormats,
+  createTraceReader
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assemble } = require('../src/utils/assembler');
+const HybridCpu = require('../src/models/HybridCpu');
+const HybridProcessor = require('../src/models/HybridProcessor');
+
+// The example program from the assembler's header comment
+const EXAMPLE = `
+.data
+values: .word 3, 1, 4        ; initialised words
+sum:    .space 1             ; zeroed words
+.text
+        li   r1, 0
+loop:   ld   r2, values(r1)  ; word at values + r1
+        add  r3, r3, r2
+        add  r1, r1, 8
+        blt  r1, 24, loop
+        st   r3, sum
+        h    q0
+        cx   q0, q1
+        rz(pi/4) q1
+        measure q1, r4
+        halt
+`;
+
+test('the header example assembles into the documented shape', () => {
+  const program = assemble(EXAMPLE);
+
+  assert.equal(program.instructions.length, 11);
+  assert.deepEqual(program.labels, { loop: 1 });
+  assert.deepEqual(program.data, {
+    words: [3, 1, 4, 0],
+    labels: { values: { offset: 0, words: 3 }, sum: { offset: 24, words: 1 } }
+  });
+  assert.equal(program.numQubits, 2);
+
+  const rz = program.instructions[8];
+  assert.equal(rz.opcode, 'gate');
+  assert.equal(rz.name, 'rz');
+  assert.deepEqual(rz.params, [Math.PI / 4]);
+  assert.deepEqual(rz.operands, [{ kind: 'qubit', index: 1 }]);
+  assert.equal(rz.line, 14);
+});
+
+test('the header example runs to completion on the CPU', () => {
+  const processor = new HybridProcessor({ qubits: 2, memorySize: 16, seed: 7 });
+  const cpu = new HybridCpu(assemble(EXAMPLE), processor, { name: 'example' });
+  cpu.run();
+  const state = cpu.getState();
+
+  assert.equal(state.halted, true);
+  assert.equal(state.fault, null);
+  assert.equal(state.registers.r1, 24);
+  assert.equal(state.registers.r3, 8);
+  assert.deepEqual(state.data, { values: [3, 1, 4], sum: [8] });
+  assert.equal(state.measurements.length, 1);
+  assert.ok([0, 1].includes(state.registers.r4));
+  assert.equal(state.quantumOps, 4);
+});
+
+test('assembly errors name the line and the problem', () => {
+  const errors = [
+    ['', /Program source must be a non-empty string/],
+    ['foo r1', /Line 1: unknown instruction foo/],
+    ['add r1, r2', /Line 1: add takes 3 operands, got 2/],
+    ['halt 1', /Line 1: halt takes 0 operands, got 1/],
+    ['li r16, 1', /Line 1: expected a register r0-r15 but found 'r16'/],
+    ['li r1, 4294967296', /Line 1: expected a 32-bit integer/],
+    ['nop\njmp nowhere', /Line 2: unknown label nowhere/],
+    ['loop: nop\nloop: nop', /Line 2: label loop is already defined/],
+    ['r1: nop', /Line 1: r1 names a register and can't be a label/],
+    ['.word 1', /Line 1: .word belongs in the .data section/],
+    ['.data\nli r1, 0', /Line 2: instructions belong in the .text section/],
+    ['.data\nx: .space 0', /Line 2: .space needs a positive number of words/],
+    ['.bogus', /Line 1: unknown directive .bogus/],
+    ['ld r1, nowhere', /Line 1: unknown data label nowhere/],
+    ['ld r1, 8(q1)', /Line 1: expected an address such as values\(r1\) or 8\(r2\)/],
+    ['measure r1, q0', /Line 1: expected a qubit such as q0 but found 'r1'/],
+    ['h q0, q1', /Line 1: h acts on 1 qubit, got 2/],
+    ['cx q0, q0', /Line 1: cx uses the same qubit more than once/],
+    ['rz q0', /Line 1: rz takes 1 parameter, got 0/],
+    ['h(1) q0', /Line 1: h takes 0 parameters, got 1/],
+    ['rz(1/0) q0', /Line 1: invalid parameter '1\/0'/],
+    ['rz(pi/2 q0', /Line 1: unbalanced parentheses in gate parameters/]
+  ];
+
+  errors.forEach(([source, message]) => assert.throws(() => assemble(source), message, JSON.stringify(source)));
+});
+
+test('a program needing more qubits than the processor has is refused', () => {
+  const processor = new HybridProcessor({ qubits: 1, memorySize: 16 });
+  assert.throws(() => new HybridCpu(assemble(EXAMPLE), processor), /Program needs 2 qubits, processor has 1/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClassicalMemory = require('../src/models/ClassicalMemory');
+
+// One four-way, single-set L1 in front of main memory
+const replay = (l1, trace) => {
+  const memory = new ClassicalMemory(1, {
+    caches: { L1: { size: 256, lineSize: 64, associativity: 4, latency: 1, ...l1 }, L2: null, L3: null }
+  });
+  memory.replay(ClassicalMemory.parseTrace(trace));
+  const { levels, dram } = memory.getReplayStats();
+  return { ...levels.L1, dirtyLines: memory.levels[0].dirtyLines, dram };
+};
+
+const write = address => ({ address, operation: 'WRITE', size: 8 });
+// Two stores and a load to line 0, then stores to four more lines; the last
+// one evicts line 0
+const TRACE = [write(0), write(0), 0, write(64), write(128), write(192), write(256)];
+
+test('write-back keeps stores in the cache until the line is evicted', () => {
+  const stats = replay({}, TRACE);
+  assert.equal(stats.hits, 2);
+  assert.equal(stats.misses, 5);
+  assert.equal(stats.writebacks, 1);
+  assert.equal(stats.dirtyLines, 4);
+  assert.equal(stats.dram.reads, 5);
+  assert.equal(stats.dram.writes, 1);
+  assert.equal(stats.dram.writeBytes, 64);
+});
+
+test('write-through sends every store down and leaves no dirty lines', () => {
+  const stats = replay({ writePolicy: 'write-through' }, TRACE);
+  assert.equal(stats.hits, 2);
+  assert.equal(stats.writebacks, 0);
+  assert.equal(stats.dirtyLines, 0);
+  assert.equal(stats.dram.writes, 6);
+  assert.equal(stats.dram.writeBytes, 48);
+});
+
+test('without write-allocate a store miss bypasses the cache', () => {
+  ['write-back', 'write-through'].forEach(writePolicy => {
+    const stats = replay({ writePolicy, writeAllocate: false }, TRACE);
+    assert.equal(stats.hits, 0, writePolicy);
+    assert.equal(stats.misses, 7, writePolicy);
+    assert.equal(stats.evictions, 0, writePolicy);
+    assert.equal(stats.dram.reads, 1, writePolicy);
+    assert.equal(stats.dram.writes, 6, writePolicy);
+  });
+});
+
+test('trace access sizes are bounded', () => {
+  assert.throws(
+    () => ClassicalMemory.parseTrace([{ address: 0, size: ClassicalMemory.MAX_ACCESS_SIZE + 1 }]),
+    /size must be an integer from 1 to 4096/
+  );
+  assert.throws(() => ClassicalMemory.parseTrace([{ address: 0, size: 0 }]), /size must be an integer/);
+  assert.equal(ClassicalMemory.parseTrace([{ address: 0, size: 4096 }])[0].size, 4096);
+});
+
+test('replay rejects an access running past the end of memory', () => {
+  const memory = new ClassicalMemory(1);
+  const end = memory.addressLimit;
+  assert.throws(
+    () => memory.replay(ClassicalMemory.parseTrace([{ address: end - 4, size: 8 }])),
+    new RegExp(`Access of 8 bytes at ${end - 4} runs past the end of memory`)
+  );
+  memory.replay(ClassicalMemory.parseTrace([{ address: end - 8, size: 8 }]));
+  assert.equal(memory.totalAccesses, 1);
+});
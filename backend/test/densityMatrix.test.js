@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DensityMatrix = require('../src/models/DensityMatrix');
+const StateVector = require('../src/models/StateVector');
+const { hadamard, pauliX, rotationX, rotationY, rotationZ } = require('../src/utils/gates');
+const { krausOperators } = require('../src/utils/noise');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} vs ${expected}`);
+
+// A 3-qubit circuit with superposition, entanglement and phases
+const runCircuit = (backend) => {
+  backend.applyGate(hadamard(), [0]);
+  backend.applyGate(pauliX(), [1], [0]);
+  backend.applyGate(rotationY(0.7), [2]);
+  backend.applyGate(rotationZ(1.3), [1]);
+  backend.applyGate(rotationX(0.4), [2], [1]);
+  backend.applyGate(hadamard(), [1]);
+};
+
+test('starts in the pure state |000⟩', () => {
+  const rho = new DensityMatrix(3);
+  close(rho.trace(), 1, 'trace');
+  close(rho.purity(), 1, 'purity');
+  close(rho.probabilityOf([0, 1, 2], 0), 1, 'P(000)');
+});
+
+test('unitary evolution matches the state vector', () => {
+  const rho = new DensityMatrix(3);
+  const psi = new StateVector(3);
+  runCircuit(rho);
+  runCircuit(psi);
+
+  const expected = psi.getProbabilities();
+  rho.getProbabilities().forEach((probability, index) => close(probability, expected[index], `P(${index})`));
+  [0, 1, 2].forEach(qubit => {
+    const a = rho.reducedDensityMatrix(qubit);
+    const b = psi.reducedDensityMatrix(qubit);
+    close(a.rho11, b.rho11, `qubit ${qubit} rho11`);
+    close(a.rho01.real, b.rho01.real, `qubit ${qubit} Re rho01`);
+    close(a.rho01.imaginary, b.rho01.imaginary, `qubit ${qubit} Im rho01`);
+  });
+  close(rho.purity(), 1, 'purity stays 1 under unitaries');
+  close(rho.trace(), 1, 'trace');
+});
+
+test('depolarizing noise loses purity and keeps the trace', () => {
+  const rho = new DensityMatrix(2);
+  rho.applyGate(hadamard(), [0]);
+  rho.applyGate(pauliX(), [1], [0]);
+
+  let previous = rho.purity();
+  for (let i = 0; i < 5; i++) {
+    rho.applyKraus(krausOperators({ type: 'depolarizing', probability: 0.2 }), i % 2);
+    close(rho.trace(), 1, `trace after channel ${i}`);
+    assert.ok(rho.purity() < previous, 'purity drops with each channel');
+    previous = rho.purity();
+  }
+  assert.ok(previous >= 0.25, 'purity stays above the maximally mixed 1 / 2^n');
+});
+
+test('full depolarizing leaves the qubit maximally mixed', () => {
+  const rho = new DensityMatrix(1);
+  rho.applyKraus(krausOperators({ type: 'depolarizing', probability: 1 }), 0);
+  const reduced = rho.reducedDensityMatrix(0);
+  close(reduced.rho00, 0.5, 'rho00');
+  close(reduced.rho11, 0.5, 'rho11');
+  close(rho.purity(), 0.5, 'purity');
+});
+
+test('amplitude damping relaxes |1⟩ to |0⟩', () => {
+  const rho = new DensityMatrix(2);
+  rho.applyGate(pauliX(), [1]);
+  rho.applyKraus(krausOperators({ type: 'amplitude_damping', gamma: 0.25 }), 1);
+  close(rho.probabilityOf([1], 1), 0.75, 'P(1) after partial decay');
+  rho.applyKraus(krausOperators({ type: 'amplitude_damping', gamma: 1 }), 1);
+  close(rho.probabilityOf([1], 1), 0, 'P(1) after full decay');
+  close(rho.purity(), 1, 'decay to |0⟩ ends pure');
+});
+
+test('phase damping removes coherence but not populations', () => {
+  const rho = new DensityMatrix(1);
+  rho.applyGate(hadamard(), [0]);
+  rho.applyKraus(krausOperators({ type: 'phase_damping', lambda: 1 }), 0);
+  const reduced = rho.reducedDensityMatrix(0);
+  close(reduced.rho11, 0.5, 'rho11');
+  close(reduced.rho01.real, 0, 'Re rho01');
+});
+
+test('measurement collapses a Bell pair on both qubits', () => {
+  const draws = [0.1, 0.9];
+  draws.forEach(draw => {
+    const rho = new DensityMatrix(2, { random: () => draw });
+    rho.prepareBellPair(0, 1);
+    const { outcome } = rho.measure(0);
+    close(rho.probabilityOf([1], outcome), 1, `partner matches outcome ${outcome}`);
+    close(rho.trace(), 1, 'trace after collapse');
+  });
+});
+
+test('rejects qubit counts it cannot hold', () => {
+  assert.throws(() => new DensityMatrix(DensityMatrix.MAX_QUBITS + 1), /supports 1 to 10 qubits/);
+  assert.throws(() => new DensityMatrix(0), /supports 1 to 10 qubits/);
+});
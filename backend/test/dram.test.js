@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Dram = require('../src/models/Dram');
+
+// Default timings: tRCD = tCAS = tRP = 42, tRAS = 96, tBurst = 12, and
+// 8 banks of 8 KiB rows, so address 65536 is the next row of bank 0
+const NEXT_ROW = 8192 * 8;
+
+test('open-page DRAM: a row hit costs tCAS, a conflict precharges and activates', () => {
+  const dram = new Dram();
+
+  assert.deepEqual(dram.access(0, 0), { latency: 42 + 42 + 12, outcome: 'miss' });
+  assert.deepEqual(dram.access(64, 1000), { latency: 42 + 12, outcome: 'hit' });
+  assert.deepEqual(dram.access(NEXT_ROW, 2000), { latency: 42 + 42 + 42 + 12, outcome: 'conflict' });
+  // Another bank is idle, so its first access is a plain miss
+  assert.deepEqual(dram.access(8192, 3000), { latency: 42 + 42 + 12, outcome: 'miss' });
+
+  assert.equal(dram.stats.rowHits, 1);
+  assert.equal(dram.stats.rowMisses, 2);
+  assert.equal(dram.stats.rowConflicts, 1);
+});
+
+test('a busy bank delays the next access to it', () => {
+  const dram = new Dram();
+  dram.access(0, 0);
+
+  // The row is open, but the bank is busy until cycle 96
+  assert.deepEqual(dram.access(64, 10), { latency: 96 + 42 + 12 - 10, outcome: 'hit' });
+});
+
+test('closed-page DRAM activates the row on every access', () => {
+  const dram = new Dram({ pagePolicy: 'closed' });
+
+  assert.deepEqual(dram.access(0, 0), { latency: 96, outcome: 'miss' });
+  assert.deepEqual(dram.access(64, 1000), { latency: 96, outcome: 'miss' });
+  assert.equal(dram.stats.rowHits, 0);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HybridProcessor = require('../src/models/HybridProcessor');
+const { parseQasm } = require('../src/utils/qasm');
+const { assemble } = require('../src/utils/assembler');
+
+const QASM2 = 'OPENQASM 2.0;\ninclude "qelib1.inc";\n';
+const BELL = parseQasm(`${QASM2}qreg q[2];\ncreg c[2];\nh q[0];\ncx q[0],q[1];\nmeasure q -> c;`);
+const NOISE = { gates: { singleQubit: { errorRate: 0.2 }, multiQubit: { errorRate: 0.3 } } };
+
+const runShots = (processor, circuit, seed, shots = 200) => processor.executeTask({
+  type: 'QUANTUM_CIRCUIT',
+  data: { circuit, shots },
+  seed
+});
+
+test('parallel tasks on several cores contend for shared lines', async () => {
+  const processor = new HybridProcessor({ qubits: 4, memorySize: 16, classicalCores: 4, seed: 1 });
+  const tasks = Array.from({ length: 8 }, (_, data) => ({ data, speedup: 'none' }));
+  const { results, schedule } = await processor.parallelComputation({ tasks });
+  const memory = processor.classicalMemory;
+
+  assert.equal(schedule.classicalTasks, 8);
+  assert.deepEqual(results.map(({ result }) => result), [0, 2, 4, 6, 8, 10, 12, 14]);
+  assert.equal(memory.peek('parallel_completed'), 8);
+  assert.ok(memory.coherenceStats.invalidations > 0);
+  assert.ok(memory.coherenceStats.interventions > 0);
+  assert.ok(memory.coherenceStats.upgrades > 0);
+});
+
+test('a noiseless circuit measured at the end is sampled from one run', async () => {
+  const processor = new HybridProcessor({ qubits: 2, memorySize: 16 });
+  const { result } = await runShots(processor, BELL, 7);
+
+  assert.equal(result.sampled, true);
+  assert.deepEqual(Object.keys(result.counts).sort(), ['00', '11']);
+  assert.equal(result.counts['00'] + result.counts['11'], 200);
+  // The gates ran once, and each measurement was drawn per shot
+  assert.equal(result.quantumOps, 4);
+  assert.equal(result.classicalOps, 400);
+});
+
+test('noise or a mid-circuit measurement re-runs every shot', async () => {
+  const noisy = await runShots(new HybridProcessor({ qubits: 2, memorySize: 16, noiseModel: NOISE }), BELL, 7);
+  assert.equal(noisy.result.sampled, false);
+  assert.equal(noisy.result.quantumOps, 4 * 200);
+
+  const feedForward = parseQasm(`${QASM2}qreg q[1];\ncreg c[1];\nh q[0];\nmeasure q[0] -> c[0];\nif (c == 1) x q[0];\nmeasure q[0] -> c[0];`);
+  const { result } = await runShots(new HybridProcessor({ qubits: 1, memorySize: 16 }), feedForward, 7);
+  assert.equal(result.sampled, false);
+  assert.deepEqual(result.counts, { 0: 200 });
+});
+
+test('a seed replays the same counts', async () => {
+  const processor = new HybridProcessor({ qubits: 2, memorySize: 16, noiseModel: NOISE });
+  const first = await runShots(processor, BELL, 42);
+  const replay = await runShots(processor, BELL, 42);
+  const other = await runShots(processor, BELL, 43);
+
+  assert.equal(first.seed, 42);
+  assert.deepEqual(replay.result.counts, first.result.counts);
+  assert.notDeepEqual(other.result.counts, first.result.counts);
+  assert.ok(Object.keys(first.result.counts).length > 2, 'noise should produce 01 and 10 outcomes');
+
+  const fresh = await runShots(new HybridProcessor({ qubits: 2, memorySize: 16, noiseModel: NOISE }), BELL, 42);
+  assert.deepEqual(fresh.result.counts, first.result.counts);
+});
+
+const sum = (...values) => ({ type: 'CLASSICAL', data: { operation: 'SUM', values } });
+
+// Start the worker and wait for it to drain the queue or stop
+const runQueue = async (processor) => {
+  await processor.startProcessing();
+  await processor.worker;
+};
+
+test('queued tasks run by priority, then deadline, then submission', async () => {
+  const processor = new HybridProcessor({ qubits: 1, memorySize: 16 });
+  const low = processor.enqueueTask(sum(1));
+  const high = processor.enqueueTask(sum(2), { priority: 5 });
+  const later = processor.enqueueTask(sum(3), { priority: 1, deadline: Date.now() + 60000 });
+  const sooner = processor.enqueueTask(sum(4), { priority: 1, deadline: Date.now() + 30000 });
+  const tied = processor.enqueueTask(sum(5), { priority: 1, deadline: Date.now() + 30000 });
+
+  const order = [high, sooner, tied, later, low].map(({ id }) => id);
+  assert.deepEqual(processor.getQueue().queued.map(({ id }) => id), order);
+
+  await runQueue(processor);
+  assert.deepEqual(processor.getExecutionHistory().map(({ taskId }) => taskId), order);
+  order.forEach(id => assert.equal(processor.getTask(id).status, 'done'));
+});
+
+test('a task still queued at its deadline fails without running', async () => {
+  const processor = new HybridProcessor({ qubits: 1, memorySize: 16 });
+  const expired = processor.enqueueTask(sum(1), { priority: 1, deadline: Date.now() - 1 });
+  const open = processor.enqueueTask(sum(2));
+
+  await runQueue(processor);
+
+  const task = processor.getTask(expired.id);
+  assert.equal(task.status, 'failed');
+  assert.equal(task.error, 'Deadline passed before the task could start');
+  assert.equal(task.missedDeadline, true);
+  assert.equal(task.execution, null);
+  assert.equal(processor.getTask(open.id).status, 'done');
+  assert.equal(processor.getExecutionHistory().length, 1);
+});
+
+test('a task breakpoint pauses the queue, and only a paused queue steps', async () => {
+  const processor = new HybridProcessor({ qubits: 1, memorySize: 16 });
+  const [first, second, third] = [sum(1), sum(2), sum(3)].map(task => processor.enqueueTask(task));
+  const before = processor.addBreakpoint({ type: 'task', taskId: third.id });
+  const after = processor.addBreakpoint({ type: 'task' });
+
+  await runQueue(processor);
+  assert.equal(processor.paused, true);
+  assert.equal(processor.getTask(first.id).status, 'done');
+  assert.equal(processor.getTask(second.id).status, 'queued');
+  assert.deepEqual(
+    { reason: processor.lastStop.reason, breakpoint: processor.lastStop.breakpoint, after: processor.lastStop.after },
+    { reason: 'breakpoint', breakpoint: after.id, after: first.id }
+  );
+  // Polling clients see the stop in the status and fetch the snapshot
+  assert.deepEqual(processor.getSystemStatus().lastStop, processor.getSnapshot().stop);
+
+  // A step runs one task, then stops again at the every-task breakpoint
+  processor.removeBreakpoint(after.id);
+  const step = await processor.stepProcessing(1);
+  assert.deepEqual(step.executed.map(({ id }) => id), [second.id]);
+  assert.equal(step.snapshot.stop.reason, 'step');
+
+  // The next task has a breakpoint of its own, so the step stops before it
+  const blocked = await processor.stepProcessing(1);
+  assert.deepEqual(blocked.executed, []);
+  assert.equal(blocked.snapshot.stop.breakpoint, before.id);
+  assert.equal(blocked.snapshot.stop.before, third.id);
+
+  // That breakpoint has fired, so stepping again gets past it
+  const past = await processor.stepProcessing(1);
+  assert.deepEqual(past.executed.map(({ id }) => id), [third.id]);
+
+  processor.resumeProcessing();
+  await assert.rejects(processor.stepProcessing(1), /Processor must be paused to step/);
+});
+
+test('a gate breakpoint stops a stepped program before that quantum operation', () => {
+  const processor = new HybridProcessor({ qubits: 2, memorySize: 16 });
+  processor.loadProgram(assemble('li r1, 1\nh q0\nadd r1, r1, 1\ncx q0, q1\nmeasure q1, r2\nhalt'), 3);
+  const breakpoint = processor.addBreakpoint({ type: 'gate', index: 1 });
+
+  const stopped = processor.stepProgram(100);
+  assert.equal(stopped.breakpoint.id, breakpoint.id);
+  assert.equal(stopped.executed.length, 3);
+  assert.equal(stopped.state.halted, false);
+  assert.equal(processor.lastStop.reason, 'breakpoint');
+
+  const finished = processor.stepProgram(100);
+  assert.equal(finished.breakpoint, null);
+  assert.equal(finished.state.halted, true);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { krausOperators, listNoiseChannels, validateNoiseConfig } = require('../src/utils/noise');
+
+// Σ K† K as a 2x2 complex matrix of [re, im] entries
+const completeness = (operators) => {
+  const sum = [[[0, 0], [0, 0]], [[0, 0], [0, 0]]];
+  operators.forEach(k => {
+    for (let i = 0; i < 2; i++) {
+      for (let j = 0; j < 2; j++) {
+        for (let m = 0; m < 2; m++) {
+          // conj(K[m][i]) * K[m][j]
+          const [ar, ai] = k[m][i];
+          const [br, bi] = k[m][j];
+          sum[i][j][0] += ar * br + ai * bi;
+          sum[i][j][1] += ar * bi - ai * br;
+        }
+      }
+    }
+  });
+  return sum;
+};
+
+const assertIdentity = (matrix) => {
+  [[1, 0], [0, 1]].forEach((row, i) => row.forEach((expected, j) => {
+    assert.ok(Math.abs(matrix[i][j][0] - expected) < 1e-12, `entry (${i}, ${j}) real part`);
+    assert.ok(Math.abs(matrix[i][j][1]) < 1e-12, `entry (${i}, ${j}) imaginary part`);
+  }));
+};
+
+const SPECS = [
+  { type: 'amplitude_damping', gamma: 0.3 },
+  { type: 'amplitude_damping', t1: 100, duration: 25 },
+  { type: 'phase_damping', lambda: 0.6 },
+  { type: 'phase_damping', t2: 50 },
+  { type: 'depolarizing', probability: 0.2 },
+  { type: 'depolarizing', probability: 1 },
+  { type: 'bit_flip', probability: 0.1 },
+  { type: 'phase_flip', probability: 0.5 }
+];
+
+test('every channel is trace preserving', () => {
+  SPECS.forEach(spec => assertIdentity(completeness(krausOperators(spec, 10))));
+});
+
+test('all channels are covered by the specs above', () => {
+  assert.deepEqual([...new Set(SPECS.map(spec => spec.type))].sort(), listNoiseChannels().sort());
+});
+
+test('time-based decay follows 1 - exp(-t / T1)', () => {
+  const [, decay] = krausOperators({ type: 'amplitude_damping', t1: 100 }, 50);
+  const gamma = decay[0][1][0] ** 2;
+  assert.ok(Math.abs(gamma - (1 - Math.exp(-0.5))) < 1e-12);
+});
+
+test('bad specs are rejected', () => {
+  assert.throws(() => krausOperators({ type: 'bit_flip', probability: 1.5 }), /probability between 0 and 1/);
+  assert.throws(() => krausOperators({ type: 'amplitude_damping' }), /needs gamma, or t1 and a duration/);
+  assert.throws(() => krausOperators({ type: 'nope' }), /Unknown noise channel 'nope'/);
+  assert.throws(() => validateNoiseConfig({ idle: [{ type: 'depolarizing' }] }), /depolarizing channel needs probability/);
+});
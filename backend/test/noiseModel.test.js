@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NoiseModel = require('../src/models/NoiseModel');
+const DensityMatrix = require('../src/models/DensityMatrix');
+const { hadamard, pauliX } = require('../src/utils/gates');
+
+test('a per-qubit t1 override without t2 is valid and caps the inherited t2', () => {
+  const model = new NoiseModel({
+    qubitDefaults: { t1: 50000, t2: 70000, readoutError: 0.02 },
+    qubits: { 3: { t1: 20000 } }
+  });
+
+  assert.deepEqual(model.qubitParameters(0), { t1: 50000, t2: 70000, readoutError: 0.02 });
+  assert.deepEqual(model.qubitParameters(3), { t1: 20000, t2: 40000, readoutError: 0.02 });
+});
+
+test('an unset t2 means no pure dephasing', () => {
+  const model = new NoiseModel({
+    qubits: { 0: { t1: 100 } },
+    gates: { singleQubit: { duration: 10 } }
+  });
+
+  assert.equal(model.qubitParameters(0).t2, 200);
+  assert.deepEqual(model.channelsForGate('H', [0]).map(({ spec }) => spec.type), ['amplitude_damping']);
+  assert.equal(model.qubitParameters(1).t2, Infinity);
+});
+
+test('an explicit t2 above 2 * t1 is rejected', () => {
+  assert.throws(() => new NoiseModel({ qubitDefaults: { t1: 100, t2: 300 } }), /t2 cannot exceed 2 \* t1/);
+  assert.throws(() => new NoiseModel({ qubits: { 1: { t1: 100, t2: 201 } } }), /t2 cannot exceed 2 \* t1/);
+  assert.throws(() => new NoiseModel({ qubitDefaults: { t1: 100 }, qubits: { 1: { t2: 250 } } }), /t2 cannot exceed 2 \* t1/);
+  assert.throws(() => new NoiseModel({ qubits: { 1: { t2: -5 } } }), /must be positive/);
+});
+
+test('a qubit reset is ideal: no gate, no noise and no fidelity loss', () => {
+  const noiseModel = new NoiseModel({ gates: { singleQubit: { errorRate: 0.5 } } });
+  const backend = new DensityMatrix(1, { noiseModel, noise: { afterGate: [{ type: 'depolarizing', probability: 0.5 }] } });
+  backend.applyMatrix(pauliX(), [0]);
+
+  backend.resetQubit(0);
+
+  assert.equal(backend.probabilityOfOne(0), 0);
+  assert.ok(Math.abs(backend.purity() - 1) < 1e-12);
+  assert.equal(backend.getStats().gateCount, 0);
+  assert.equal(backend.getStats().noiseEvents, 0);
+  assert.equal(noiseModel.getRunReport().gates, 0);
+  assert.equal(noiseModel.getRunReport().estimatedFidelity, 1);
+
+  // A gate still gets the noise
+  backend.applyGate(hadamard(), [0], [], 'HADAMARD');
+  assert.equal(backend.getStats().gateCount, 1);
+  assert.ok(backend.purity() < 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClassicalMemory = require('../src/models/ClassicalMemory');
+
+// One load instruction walking every other 64-byte line
+const STRIDED = Array.from({ length: 16 }, (_, i) => ({ address: i * 128, pc: 1 }));
+
+const replay = (prefetcher) => {
+  const memory = new ClassicalMemory(1, {
+    caches: { L1: { size: 4096, lineSize: 64, associativity: 4, latency: 1, prefetcher }, L2: null, L3: null }
+  });
+  memory.replay(ClassicalMemory.parseTrace(STRIDED));
+  return memory.levels[0].getStats();
+};
+
+test('the stride prefetcher locks on after two equal strides', () => {
+  const { hits, misses, prefetch } = replay({ type: 'stride', degree: 1 });
+
+  // Lines 0, 128 and 256 train the table; every later line was prefetched
+  assert.equal(misses, 3);
+  assert.equal(hits, 13);
+  assert.equal(prefetch.fills, 14);
+  assert.equal(prefetch.useful, 13);
+  assert.equal(prefetch.accuracy, (13 / 14) * 100);
+  assert.equal(prefetch.coverage, (13 / 16) * 100);
+});
+
+test('next-line prefetches miss a stride of two lines', () => {
+  const { misses, prefetch } = replay('next-line');
+
+  assert.equal(misses, 16);
+  assert.equal(prefetch.fills, 16);
+  assert.equal(prefetch.useful, 0);
+  assert.equal(prefetch.accuracy, 0);
+  assert.equal(prefetch.coverage, 0);
+});
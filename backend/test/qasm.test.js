@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HybridProcessor = require('../src/models/HybridProcessor');
+const { parseQasm, toQasm, circuitFromGates } = require('../src/utils/qasm');
+
+const QASM2 = 'OPENQASM 2.0;\ninclude "qelib1.inc";\n';
+
+test('gate parameters must be finite', () => {
+  assert.throws(() => parseQasm(`${QASM2}qreg q[1];\nrx(1/0) q[0];`), /parameters of rx must be finite numbers/);
+  assert.throws(
+    () => parseQasm(`${QASM2}qreg q[1];\ngate g(a) x { rx(1/a) x; }\ng(0) q[0];`),
+    /parameters of rx must be finite numbers/
+  );
+
+  const circuit = parseQasm(`${QASM2}qreg q[1];\nrx(pi/2) q[0];`);
+  assert.deepEqual(circuit.operations, [{ type: 'gate', name: 'rx', params: [Math.PI / 2], qubits: [0] }]);
+});
+
+const QASM3 = 'OPENQASM 3.0;\ninclude "stdgates.inc";\n';
+
+test('for loops accept a sized integer iterator type', () => {
+  ['', 'int ', 'uint ', 'int[8] ', 'uint[32] '].forEach(type => {
+    const circuit = parseQasm(`${QASM3}qubit[3] q;\nfor ${type}i in [0:2] { h q[i]; }`);
+    assert.deepEqual(circuit.operations.map(operation => operation.qubits), [[0], [1], [2]], `for ${type}i`);
+  });
+});
+
+test('barriers inside loops and conditional blocks stay in their block', () => {
+  const looped = parseQasm(`${QASM3}qubit[2] q;\nfor i in [0:1] { x q[i]; barrier q[i]; }`);
+  assert.deepEqual(looped.operations.map(operation => operation.type), ['gate', 'barrier', 'gate', 'barrier']);
+
+  const conditional = parseQasm(`${QASM3}qubit[2] q;\nbit[2] c;\nif (c == 1) { barrier q; x q[0]; }`);
+  assert.equal(conditional.operations.length, 1);
+  assert.deepEqual(conditional.operations[0].then, [
+    { type: 'barrier', qubits: [0, 1] },
+    { type: 'gate', name: 'x', params: [], qubits: [0] }
+  ]);
+});
+
+test('gate lists take the same fields as simulation circuits', () => {
+  const { operations } = circuitFromGates({
+    qubits: 3,
+    gates: [
+      { type: 'crx', control: 0, target: 1, theta: 0.5 },
+      { type: 'CRZ', control: 1, target: 2, angle: 0.25 },
+      { type: 'ENTANGLE', qubit1: 1, qubit2: 2 },
+      { type: 'CCX', controls: [0, 1], target: 2 },
+      { type: 'SWAP', targets: [0, 2] }
+    ]
+  });
+
+  assert.deepEqual(operations, [
+    { type: 'gate', name: 'crx', params: [0.5], qubits: [0, 1] },
+    { type: 'gate', name: 'crz', params: [0.25], qubits: [1, 2] },
+    { type: 'gate', name: 'h', params: [], qubits: [1] },
+    { type: 'gate', name: 'cx', params: [], qubits: [1, 2] },
+    { type: 'gate', name: 'ccx', params: [], qubits: [0, 1, 2] },
+    { type: 'gate', name: 'swap', params: [], qubits: [0, 2] }
+  ]);
+
+  assert.throws(() => circuitFromGates({ qubits: 0, gates: [] }), /qubits must be an integer between 1 and 20/);
+  assert.throws(() => circuitFromGates({ qubits: 1.5, gates: [] }), /qubits must be an integer between 1 and 20/);
+  assert.throws(() => circuitFromGates({ gates: [{ type: 'CRY', control: 0, target: 1 }] }), /requires a numeric theta/);
+  assert.throws(() => circuitFromGates({ gates: [{ type: 'CU', control: 0, target: 1, matrix: [[1, 1], [0, 1]] }] }), /unitary 2x2/);
+});
+
+test('ISWAP and CU gate lists run on the processor', async () => {
+  const processor = new HybridProcessor({ qubits: 2, memorySize: 16, seed: 1 });
+  const circuit = circuitFromGates({
+    gates: [
+      { type: 'X', target: 0 },
+      { type: 'ISWAP', qubit1: 0, qubit2: 1 },
+      { type: 'CU', controls: [1], targets: [0], matrix: [[0, 1], [1, 0]] },
+      { type: 'MEASURE', target: 0 },
+      { type: 'MEASURE', target: 1 }
+    ]
+  });
+
+  const { counts } = await processor.runCircuit({ circuit, shots: 4 });
+  assert.deepEqual(counts, { '11': 4 });
+  assert.throws(() => toQasm(circuit), /Gate cu has no OpenQASM form/);
+});
+
+test('register sizes and clbit indices are bounded', () => {
+  assert.throws(() => parseQasm(`${QASM2}creg c[1000000];`), /at most 1024 clbits/);
+  assert.throws(() => parseQasm(`${QASM2}creg c[1000];\ncreg d[25];`), /at most 1024 clbits/);
+  assert.throws(() => parseQasm(`${QASM3}qubit[21] q;`), /at most 20 qubits/);
+  assert.equal(parseQasm(`${QASM2}qreg q[20];\ncreg c[1024];`).numClbits, 1024);
+
+  assert.throws(() => circuitFromGates({ qubits: 21, gates: [] }), /qubits must be an integer between 1 and 20/);
+  assert.throws(
+    () => circuitFromGates({ gates: [{ type: 'MEASURE', target: 0, clbit: 1024 }] }),
+    /clbit must be an integer from 0 to 1023/
+  );
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Cache = require('../src/models/Cache');
+const { listReplacementPolicies } = require('../src/models/replacementPolicies');
+
+const LINE = 64;
+
+// A single four-way set, so every line competes for the same ways. Runs a
+// trace of line numbers as demand reads, filling on every miss, and returns
+// the evicted line numbers in order with the hit count.
+const run = (policy, lines, options = {}) => {
+  const cache = new Cache('L1', { size: 4 * LINE, lineSize: LINE, associativity: 4, latency: 1, policy }, options);
+  const victims = [];
+  lines.forEach(line => {
+    if (cache.access(line * LINE)) return;
+    const evicted = cache.fill(line * LINE);
+    if (evicted) victims.push(evicted.address / LINE);
+  });
+  return { victims, hits: cache.stats.hits };
+};
+
+// Re-use of line 0 after the set fills, then a miss and a return to line 1
+const REUSE = [0, 1, 2, 3, 0, 4, 1];
+// Line 0 used heavily before the other lines arrive
+const FREQUENT = [0, 0, 0, 1, 2, 3, 4];
+// A scan of single-use lines past a line hit once
+const SCAN = [0, 0, 1, 2, 3, 4, 5, 0];
+
+test('LRU evicts the line unused for longest', () => {
+  assert.deepEqual(run('lru', REUSE), { victims: [1, 2], hits: 1 });
+  assert.deepEqual(run('lru', FREQUENT), { victims: [0], hits: 2 });
+  assert.deepEqual(run('lru', SCAN), { victims: [0, 1, 2], hits: 1 });
+});
+
+test('tree PLRU follows the bits pointing away from recent ways', () => {
+  // The hit on way 0 points the root at the right half, where way 2 is next
+  assert.deepEqual(run('plru', REUSE), { victims: [2], hits: 2 });
+  assert.deepEqual(run('plru', FREQUENT), { victims: [0], hits: 2 });
+});
+
+test('FIFO evicts in fill order regardless of hits', () => {
+  assert.deepEqual(run('fifo', REUSE), { victims: [0], hits: 2 });
+  assert.deepEqual(run('fifo', FREQUENT), { victims: [0], hits: 2 });
+});
+
+test('LFU evicts the least used line, the older fill on a tie', () => {
+  assert.deepEqual(run('lfu', REUSE), { victims: [1, 2], hits: 1 });
+  assert.deepEqual(run('lfu', FREQUENT), { victims: [1], hits: 2 });
+});
+
+test('SRRIP keeps a re-referenced line through a scan', () => {
+  assert.deepEqual(run('srrip', REUSE), { victims: [1, 2], hits: 1 });
+  assert.deepEqual(run('srrip', SCAN), { victims: [1, 2], hits: 2 });
+});
+
+test('BRRIP inserts at the distant interval unless its coin says otherwise', () => {
+  // Distant insertion: the newest line is the first to go
+  assert.deepEqual(run('brrip', REUSE, { random: () => 0.5 }), { victims: [1, 4], hits: 1 });
+  // The occasional long insertion behaves like SRRIP
+  assert.deepEqual(run('brrip', REUSE, { random: () => 0 }), run('srrip', REUSE));
+});
+
+test('random eviction uses the injected source', () => {
+  assert.deepEqual(run('random', REUSE, { random: () => 0.99 }), { victims: [3], hits: 2 });
+});
+
+test('policies are listed and looked up by name', () => {
+  assert.deepEqual(listReplacementPolicies(), ['lru', 'plru', 'fifo', 'random', 'lfu', 'srrip', 'brrip']);
+  assert.equal(new Cache('L1', { size: 256, lineSize: 64, associativity: 4, latency: 1, policy: 'LRU' }).policyName, 'lru');
+  assert.throws(() => run('mru', REUSE), /Unknown replacement policy 'mru'/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HybridProcessor = require('../src/models/HybridProcessor');
+
+// Estimated advantages on a 4-qubit processor: 0.195, 0.883 and -79.5; the
+// last task needs more qubits than there are
+const TASKS = [
+  { size: 10000, speedup: 'quadratic', qubits: 4 },
+  { size: 10000, speedup: 'exponential', qubits: 4 },
+  { size: 100, speedup: 'none', qubits: 4 },
+  { size: 1000, qubits: 8 }
+];
+
+const units = (quantumThreshold, policy, tasks = TASKS) => {
+  const processor = new HybridProcessor({ qubits: 4, memorySize: 16, quantumThreshold });
+  const schedule = processor.scheduleParallelTasks(tasks, policy);
+  assert.equal(schedule.threshold, quantumThreshold);
+  return schedule.decisions.map(({ unit }) => unit);
+};
+
+test('greedy sends every task whose advantage meets quantumThreshold to the quantum unit', () => {
+  assert.deepEqual(units(0.1, 'greedy'), ['quantum', 'quantum', 'classical', 'classical']);
+  assert.deepEqual(units(0.5, 'greedy'), ['classical', 'quantum', 'classical', 'classical']);
+});
+
+test('round-robin alternates over the tasks that fit whatever the threshold', () => {
+  const expected = ['quantum', 'classical', 'quantum', 'classical'];
+  assert.deepEqual(units(0.1, 'round-robin'), expected);
+  assert.deepEqual(units(0.5, 'round-robin'), expected);
+});
+
+test('cost-model applies the threshold, then moves work off a busy quantum unit', () => {
+  assert.deepEqual(units(0.1, 'cost-model'), ['quantum', 'quantum', 'classical', 'classical']);
+  assert.deepEqual(units(0.5, 'cost-model'), ['classical', 'quantum', 'classical', 'classical']);
+
+  // The second copy would wait behind the first on the quantum unit
+  const twice = [TASKS[0], TASKS[0]];
+  assert.deepEqual(units(0.1, 'greedy', twice), ['quantum', 'quantum']);
+  assert.deepEqual(units(0.1, 'cost-model', twice), ['quantum', 'classical']);
+});
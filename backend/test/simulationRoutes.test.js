@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const simulationRoutes = require('../src/routes/simulation');
+const simulationService = require('../src/services/simulationService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/simulation', simulationRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/simulation`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const post = async (path, body = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('start rejects a bad stepInterval, memorySize or qubits', async () => {
+  const cases = [
+    [{ stepInterval: 5 }, /stepInterval must be an integer between 10 and 60000 ms/],
+    [{ stepInterval: 'fast' }, /stepInterval must be an integer/],
+    [{ memorySize: 0 }, /memorySize must be an integer between 1 and 1048576/],
+    [{ memorySize: 2 ** 21 }, /memorySize must be an integer between 1 and 1048576/],
+    [{ qubits: 21 }, /qubits must be an integer between 1 and 20 for the statevector backend/],
+    [{ qubits: 11, backend: 'densitymatrix' }, /qubits must be an integer between 1 and 10 for the densitymatrix backend/]
+  ];
+
+  for (const [config, error] of cases) {
+    const { status, body } = await post('/start', config);
+    assert.equal(status, 400, JSON.stringify(config));
+    assert.equal(body.success, false);
+    assert.match(body.error, error);
+  }
+});
+
+test('stopping before the first step reports no average step time', async () => {
+  const started = await post('/start', { stepInterval: 60000, qubits: 2, memorySize: 64 });
+  assert.equal(started.status, 200);
+
+  const { status, body } = await post('/stop');
+  assert.equal(status, 200);
+  assert.equal(body.data.steps, 0);
+  assert.equal(body.data.averageStepTime, null);
+
+  // NaN and Infinity would also reach JSON as null, so check the service too
+  await post('/start', { stepInterval: 60000, qubits: 2, memorySize: 64 });
+  assert.equal(simulationService.stopSimulation().stats.averageStepTime, null);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { createTraceReader } = require('../src/utils/traceFormats');
+
+const readAll = async (format, source) => {
+  const accesses = [];
+  for await (const batch of createTraceReader(format).read(Readable.from([Buffer.from(source)]))) accesses.push(...batch);
+  return accesses;
+};
+
+test('text and din traces parse into access objects', async () => {
+  assert.deepEqual(await readAll('text', '# loads\nR 0 8\nW 0x40\n'), [
+    { address: 0, operation: 'READ', size: 8, pc: null, core: 0 },
+    { address: 64, operation: 'WRITE', size: 1, pc: null, core: 0 }
+  ]);
+  assert.deepEqual((await readAll('din', '0 40 4\n3 0\n2 100\n')).map(({ address, pc }) => [address, pc]), [
+    [64, null],
+    [256, 'instruction-fetch']
+  ]);
+});
+
+test('access sizes are capped at a page', async () => {
+  await assert.rejects(readAll('text', 'R 0 8\nW 0x40 4097\n'), /Trace line 2: size must be from 1 to 4096 bytes/);
+  await assert.rejects(readAll('din', '0 0 100000\n'), /size must be from 1 to 4096 bytes/);
+  assert.equal((await readAll('text', 'R 0 4096\n'))[0].size, 4096);
+});
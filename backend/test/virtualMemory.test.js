@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VirtualMemory = require('../src/models/VirtualMemory');
+
+// Two-level page tables over 64 KiB of 4 KiB frames. Each address space's
+// root and first second-level table take the first frames.
+const createVirtualMemory = (config = {}) => new VirtualMemory(
+  { levels: 2, faultLatency: 1000, ...config },
+  { capacity: 64 * 1024 }
+);
+
+test('a TLB miss walks the page table and faults the page in; a repeat hits', () => {
+  const vm = createVirtualMemory();
+  const asid = vm.createAddressSpace();
+
+  const first = vm.translate(asid, 0x1234);
+  assert.equal(first.tlbHit, false);
+  assert.equal(first.walk.length, 2);
+  assert.equal(first.fault, 'minor');
+  assert.equal(first.faultCycles, 1000);
+  assert.equal(first.physical, 2 * 4096 + 0x234);
+
+  const again = vm.translate(asid, 0x1ff8);
+  assert.equal(again.tlbHit, true);
+  assert.deepEqual(again.walk, []);
+  assert.equal(again.fault, null);
+  assert.equal(again.physical, 2 * 4096 + 0xff8);
+
+  const stats = vm.getStats();
+  assert.equal(stats.tlb.hits, 1);
+  assert.equal(stats.tlb.misses, 1);
+  assert.equal(stats.minorFaults, 1);
+  assert.equal(stats.pageWalks, 1);
+});
+
+test('an evicted dirty page comes back from swap with a major fault', () => {
+  const vm = createVirtualMemory({ frames: 4, swap: { pages: 8, latency: 5000 } });
+  const asid = vm.createAddressSpace();
+
+  // Frames 0 and 1 hold the page tables, so the third page evicts the first
+  vm.translate(asid, 0, true);
+  vm.translate(asid, 4096, true);
+  assert.equal(vm.translate(asid, 8192).fault, 'minor');
+  assert.equal(vm.getStats().swapOuts, 1);
+
+  const back = vm.translate(asid, 0);
+  assert.equal(back.tlbHit, false);
+  assert.equal(back.fault, 'major');
+  // The fault itself, reading the page in, and writing out the next victim
+  assert.equal(back.faultCycles, 1000 + 5000 + 5000);
+
+  const stats = vm.getStats();
+  assert.equal(stats.majorFaults, 1);
+  assert.equal(stats.swapIns, 1);
+  assert.equal(stats.evictions, 2);
+});
@@ -4,10 +4,27 @@ import ProcessorControls from './ProcessorControls';
 import MemoryVisualizer from './MemoryVisualizer';
 import QuantumStateDisplay from './QuantumStateDisplay';
 import PerformanceMetrics from './PerformanceMetrics';
+import { useSimulation } from '../hooks/useSimulation';
 
 const Dashboard = () => {
+  // Run state, stepping and breakpoints come from the backend processor
+  const {
+    isRunning,
+    isPaused,
+    snapshot,
+    breakpoints,
+    error,
+    loading,
+    startSimulation,
+    stopSimulation,
+    pauseProcessor,
+    resumeProcessor,
+    stepProcessor,
+    addBreakpoint,
+    removeBreakpoint
+  } = useSimulation();
+
   const [processorState, setProcessorState] = useState({
-    isRunning: false,
     mode: 'hybrid',
     frequency: 2.4,
     temperature: 45,
@@ -122,13 +139,39 @@ const Dashboard = () => {
     return () => clearInterval(interval);
   }, []);
 
+  // A paused processor is still running on the backend, but only advances
+  // by stepping
+  const controlState = {
+    ...processorState,
+    isRunning: isRunning && !isPaused,
+    isPaused,
+    snapshot,
+    breakpoints,
+    loading
+  };
+
+  // Failed requests are reported through the hook's error
   const handleProcessorControl = (action, value) => {
+    const ignore = () => {};
     switch (action) {
       case 'start':
-        setProcessorState(prev => ({ ...prev, isRunning: true }));
+        // Resumes a paused processor
+        (isPaused ? resumeProcessor() : startSimulation()).catch(ignore);
+        break;
+      case 'pause':
+        pauseProcessor().catch(ignore);
+        break;
+      case 'step':
+        stepProcessor(value).catch(ignore);
         break;
       case 'stop':
-        setProcessorState(prev => ({ ...prev, isRunning: false }));
+        stopSimulation().catch(ignore);
+        break;
+      case 'addBreakpoint':
+        addBreakpoint(value).catch(ignore);
+        break;
+      case 'removeBreakpoint':
+        removeBreakpoint(value).catch(ignore);
         break;
       case 'setMode':
         setProcessorState(prev => ({ ...prev, mode: value }));
@@ -158,9 +201,9 @@ const Dashboard = () => {
             </div>
             <div className="flex items-center space-x-4">
               <div className="flex items-center space-x-2">
-                <div className={`h-3 w-3 rounded-full ${processorState.isRunning ? 'bg-green-400' : 'bg-red-400'} animate-pulse`}></div>
+                <div className={`h-3 w-3 rounded-full ${controlState.isRunning ? 'bg-green-400' : 'bg-red-400'} animate-pulse`}></div>
                 <span className="text-sm font-medium">
-                  {processorState.isRunning ? 'ACTIVE' : 'STANDBY'}
+                  {controlState.isRunning ? 'ACTIVE' : 'STANDBY'}
                 </span>
               </div>
               <div className="text-right">
@@ -176,6 +219,13 @@ const Dashboard = () => {
 
       {/* Main Content */}
       <div className="p-6 space-y-6">
+        {error && (
+          <div className="flex items-center gap-2 px-4 py-3 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 text-sm">
+            <AlertCircle className="h-4 w-4" />
+            {error}
+          </div>
+        )}
+
         {/* System Overview Cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
           <div className="bg-slate-800/50 backdrop-blur-sm border border-slate-700 rounded-xl p-6">
@@ -228,7 +278,7 @@ const Dashboard = () => {
           {/* Left Column */}
           <div className="space-y-6">
             <ProcessorControls 
-              processorState={processorState}
+              processorState={controlState}
               onControl={handleProcessorControl}
             />
             <MemoryVisualizer memoryState={memoryState} />
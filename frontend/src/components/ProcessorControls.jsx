@@ -1,7 +1,15 @@
 import React from 'react';
-import { Play, Pause, Square, Settings, Cpu, Zap, Thermometer } from 'lucide-react';
+import { Play, Pause, Square, SkipForward, Settings, Cpu, Zap, Thermometer, CircleDot, X } from 'lucide-react';
+
+const breakpointLabel = (breakpoint) => {
+  if (breakpoint.type === 'gate') return `program stepper, gate ${breakpoint.index}`;
+  return breakpoint.taskId ? `before task ${breakpoint.taskId}` : 'after each task';
+};
 
 const ProcessorControls = ({ processorState, onControl }) => {
+  const breakpoints = processorState.breakpoints || [];
+  const stop = processorState.snapshot?.stop;
+
   const modes = [
     { value: 'classical', label: 'Classical Only', color: 'blue' },
     { value: 'quantum', label: 'Quantum Only', color: 'purple' },
@@ -21,36 +29,47 @@ const ProcessorControls = ({ processorState, onControl }) => {
           <div className={`px-3 py-1 rounded-full text-xs font-medium ${
             processorState.isRunning 
               ? 'bg-green-500/20 text-green-400 border border-green-500/30' 
-              : 'bg-red-500/20 text-red-400 border border-red-500/30'
+              : processorState.isPaused
+                ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/30'
+                : 'bg-red-500/20 text-red-400 border border-red-500/30'
           }`}>
-            {processorState.isRunning ? 'RUNNING' : 'STOPPED'}
+            {processorState.isRunning ? 'RUNNING' : processorState.isPaused ? 'PAUSED' : 'STOPPED'}
           </div>
         </div>
       </div>
 
       {/* Control Buttons */}
-      <div className="grid grid-cols-3 gap-3 mb-6">
+      <div className="grid grid-cols-4 gap-3 mb-6">
         <button
           onClick={() => onControl('start')}
-          disabled={processorState.isRunning}
+          disabled={processorState.isRunning || processorState.loading}
           className="flex items-center justify-center gap-2 px-4 py-3 bg-green-600 hover:bg-green-700 disabled:bg-slate-600 disabled:text-slate-400 rounded-lg transition-colors font-medium"
         >
           <Play className="h-4 w-4" />
-          Start
+          {processorState.isPaused ? 'Resume' : 'Start'}
         </button>
         
         <button
           onClick={() => onControl('pause')}
-          disabled={!processorState.isRunning}
+          disabled={!processorState.isRunning || processorState.loading}
           className="flex items-center justify-center gap-2 px-4 py-3 bg-yellow-600 hover:bg-yellow-700 disabled:bg-slate-600 disabled:text-slate-400 rounded-lg transition-colors font-medium"
         >
           <Pause className="h-4 w-4" />
           Pause
         </button>
+
+        <button
+          onClick={() => onControl('step', 1)}
+          disabled={!processorState.isPaused || processorState.loading}
+          className="flex items-center justify-center gap-2 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:text-slate-400 rounded-lg transition-colors font-medium"
+        >
+          <SkipForward className="h-4 w-4" />
+          Step
+        </button>
         
         <button
           onClick={() => onControl('stop')}
-          disabled={!processorState.isRunning}
+          disabled={(!processorState.isRunning && !processorState.isPaused) || processorState.loading}
           className="flex items-center justify-center gap-2 px-4 py-3 bg-red-600 hover:bg-red-700 disabled:bg-slate-600 disabled:text-slate-400 rounded-lg transition-colors font-medium"
         >
           <Square className="h-4 w-4" />
@@ -58,6 +77,48 @@ const ProcessorControls = ({ processorState, onControl }) => {
         </button>
       </div>
 
+      {/* Breakpoints pause the task queue that Step walks through. Gate
+          breakpoints only stop the program stepper, so they are listed
+          (they may be set through the API) but not added here. */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <label className="text-sm font-medium text-slate-300">Breakpoints</label>
+          {stop && (
+            <span className="text-xs text-yellow-400">
+              Stopped: {stop.reason}{stop.breakpoint ? ` #${stop.breakpoint}` : ''}
+              {stop.before ? ` before ${stop.before}` : stop.after ? ` after ${stop.after}` : ''}
+            </span>
+          )}
+        </div>
+        <div className="flex gap-2 mb-3">
+          <button
+            onClick={() => onControl('addBreakpoint', { type: 'task' })}
+            className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm transition-colors"
+          >
+            <CircleDot className="h-4 w-4 text-red-400" />
+            After each task
+          </button>
+        </div>
+        {breakpoints.length > 0 && (
+          <div className="space-y-1">
+            {breakpoints.map((breakpoint) => (
+              <div key={breakpoint.id} className="flex items-center justify-between px-3 py-2 bg-slate-700/50 rounded-lg text-sm">
+                <span className="font-mono">
+                  #{breakpoint.id} {breakpointLabel(breakpoint)}
+                </span>
+                <button
+                  onClick={() => onControl('removeBreakpoint', breakpoint.id)}
+                  className="text-slate-400 hover:text-red-400"
+                  aria-label={`Remove breakpoint ${breakpoint.id}`}
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Mode Selection */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-slate-300 mb-3">
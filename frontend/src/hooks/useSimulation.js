@@ -3,6 +3,10 @@ import apiService from '../services/api';
 
 export const useSimulation = () => {
   const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  // Quantum and classical state where the processor last paused or stepped
+  const [snapshot, setSnapshot] = useState(null);
+  const [breakpoints, setBreakpoints] = useState([]);
   const [processorStatus, setProcessorStatus] = useState(null);
   const [memoryStatus, setMemoryStatus] = useState(null);
   const [quantumStates, setQuantumStates] = useState([]);
@@ -10,10 +14,15 @@ export const useSimulation = () => {
   const [metrics, setMetrics] = useState(null);
   const [algorithms, setAlgorithms] = useState([]);
   const [history, setHistory] = useState([]);
+  const [circuitCounts, setCircuitCounts] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   
   const pollingInterval = useRef(null);
+  // lastStop.at of the snapshot shown, so polling can tell when the processor
+  // stopped without this client asking: a breakpoint the queue hit, or
+  // another client pausing it
+  const snapshotStop = useRef(null);
   const updateInterval = 1000; // 1 second
 
   // Clear error after some time
@@ -24,6 +33,11 @@ export const useSimulation = () => {
     }
   }, [error]);
 
+  const updateSnapshot = useCallback((data) => {
+    snapshotStop.current = data?.stop?.at ?? null;
+    setSnapshot(data);
+  }, []);
+
   // Polling function to get real-time updates
   const pollData = useCallback(async () => {
     try {
@@ -43,7 +57,9 @@ export const useSimulation = () => {
 
       if (processorStatusData.status === 'fulfilled') {
         setProcessorStatus(processorStatusData.value);
-        setIsRunning(processorStatusData.value.isRunning || false);
+        const status = processorStatusData.value.data || {};
+        setIsRunning(status.isRunning || false);
+        setIsPaused(status.paused || false);
       }
 
       if (memoryStatusData.status === 'fulfilled') {
@@ -61,10 +77,17 @@ export const useSimulation = () => {
       if (metricsData.status === 'fulfilled') {
         setMetrics(metricsData.value);
       }
+
+      // Stopped since the snapshot shown: fetch the state at the new stop
+      const status = processorStatusData.status === 'fulfilled' ? processorStatusData.value.data : null;
+      if (status?.paused && status.lastStop && status.lastStop.at !== snapshotStop.current) {
+        const snapshotData = await apiService.getProcessorSnapshot();
+        updateSnapshot(snapshotData.data);
+      }
     } catch (err) {
       console.error('Polling error:', err);
     }
-  }, []);
+  }, [updateSnapshot]);
 
   // Start polling when simulation is running
   useEffect(() => {
@@ -89,9 +112,10 @@ export const useSimulation = () => {
     const loadInitialData = async () => {
       try {
         setLoading(true);
-        const [algorithmsData, historyData] = await Promise.allSettled([
+        const [algorithmsData, historyData, breakpointsData] = await Promise.allSettled([
           apiService.getAlgorithms(),
-          apiService.getProcessorHistory()
+          apiService.getProcessorHistory(),
+          apiService.getBreakpoints()
         ]);
 
         if (algorithmsData.status === 'fulfilled') {
@@ -102,6 +126,10 @@ export const useSimulation = () => {
           setHistory(historyData.value || []);
         }
 
+        if (breakpointsData.status === 'fulfilled') {
+          setBreakpoints(breakpointsData.value.data || []);
+        }
+
         // Initial status check
         await pollData();
       } catch (err) {
@@ -142,6 +170,7 @@ export const useSimulation = () => {
       const result = await apiService.stopProcessor();
       if (result.success) {
         setIsRunning(false);
+        setIsPaused(false);
         // Final data refresh
         await pollData();
         const historyData = await apiService.getProcessorHistory();
@@ -156,13 +185,97 @@ export const useSimulation = () => {
     }
   }, [pollData]);
 
-  const resetSimulation = useCallback(async () => {
+  const pauseProcessor = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await apiService.pauseProcessor();
+      if (result.success) {
+        setIsPaused(true);
+        updateSnapshot(result.data);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [updateSnapshot]);
+
+  const resumeProcessor = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await apiService.resumeProcessor();
+      if (result.success) {
+        setIsPaused(false);
+        updateSnapshot(null);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [updateSnapshot]);
+
+  // Run count queued tasks while paused, stopping early at a breakpoint
+  const stepProcessor = useCallback(async (count = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await apiService.stepProcessor(count);
+      if (result.success) {
+        updateSnapshot(result.data.snapshot);
+        await pollData();
+        const historyData = await apiService.getProcessorHistory();
+        setHistory(historyData || []);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [pollData, updateSnapshot]);
+
+  // breakpoint is { type: 'task' } or { type: 'task', taskId }
+  const addBreakpoint = useCallback(async (breakpoint) => {
+    try {
+      setError(null);
+      const result = await apiService.addBreakpoint(breakpoint);
+      if (result.success) setBreakpoints(prev => [...prev, result.data]);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const removeBreakpoint = useCallback(async (id) => {
+    try {
+      setError(null);
+      const result = await apiService.removeBreakpoint(id);
+      if (result.success) setBreakpoints(prev => prev.filter(breakpoint => breakpoint.id !== id));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const resetSimulation = useCallback(async (config = {}) => {
     try {
       setLoading(true);
       setError(null);
-      const result = await apiService.resetProcessor();
+      const result = await apiService.resetProcessor(config);
       if (result.success) {
         setIsRunning(false);
+        setIsPaused(false);
+        updateSnapshot(null);
         setQuantumStates([]);
         setPerformance(null);
         setMetrics(null);
@@ -177,7 +290,7 @@ export const useSimulation = () => {
     } finally {
       setLoading(false);
     }
-  }, [pollData]);
+  }, [pollData, updateSnapshot]);
 
   const executeTask = useCallback(async (task) => {
     try {
@@ -198,6 +311,12 @@ export const useSimulation = () => {
     try {
       setError(null);
       const result = await apiService.executeCircuit(circuit);
+      setCircuitCounts(result?.data ? {
+        shots: result.data.shots,
+        seed: result.data.seed,
+        counts: result.data.counts,
+        marginals: result.data.marginals
+      } : null);
       // Refresh quantum states after circuit execution
       const quantumStatesData = await apiService.getAllQuantumStates();
       setQuantumStates(quantumStatesData || []);
@@ -270,6 +389,9 @@ export const useSimulation = () => {
   return {
     // State
     isRunning,
+    isPaused,
+    snapshot,
+    breakpoints,
     processorStatus,
     memoryStatus,
     quantumStates,
@@ -277,12 +399,18 @@ export const useSimulation = () => {
     metrics,
     algorithms,
     history,
+    circuitCounts,
     error,
     loading,
     
     // Actions
     startSimulation,
     stopSimulation,
+    pauseProcessor,
+    resumeProcessor,
+    stepProcessor,
+    addBreakpoint,
+    removeBreakpoint,
     resetSimulation,
     executeTask,
     executeCircuit,
@@ -15,7 +15,7 @@ class ApiService {
       ...options,
     };
 
-    if (config.body && typeof config.body === 'object') {
+    if (config.body && typeof config.body === 'object' && !(config.body instanceof Blob)) {
       config.body = JSON.stringify(config.body);
     }
 
@@ -50,8 +50,49 @@ class ApiService {
     return this.request('/processor/stop', { method: 'POST' });
   }
 
-  async resetProcessor() {
-    return this.request('/processor/reset', { method: 'POST' });
+  // Pausing stops the task queue at the next task boundary; stepping runs
+  // count queued tasks of a paused processor. Each returns a snapshot.
+  async pauseProcessor() {
+    return this.request('/processor/pause', { method: 'POST' });
+  }
+
+  async resumeProcessor() {
+    return this.request('/processor/resume', { method: 'POST' });
+  }
+
+  async stepProcessor(count = 1) {
+    return this.request('/processor/step', {
+      method: 'POST',
+      body: { count },
+    });
+  }
+
+  // The processor's state at its last stop, whoever paused or stepped it
+  async getProcessorSnapshot() {
+    return this.request('/processor/snapshot');
+  }
+
+  // breakpoint is { type: 'task', taskId? } or { type: 'gate', index }
+  async getBreakpoints() {
+    return this.request('/processor/breakpoints');
+  }
+
+  async addBreakpoint(breakpoint) {
+    return this.request('/processor/breakpoints', {
+      method: 'POST',
+      body: breakpoint,
+    });
+  }
+
+  async removeBreakpoint(id) {
+    return this.request(`/processor/breakpoints/${id}`, { method: 'DELETE' });
+  }
+
+  async resetProcessor(config = {}) {
+    return this.request('/processor/reset', {
+      method: 'POST',
+      body: { config },
+    });
   }
 
   async executeTask(task) {
@@ -61,6 +102,28 @@ class ApiService {
     });
   }
 
+  // Background task queue; tasks run while the processor is started
+  async enqueueTask(task, { priority, deadline } = {}) {
+    return this.request('/processor/queue', {
+      method: 'POST',
+      body: { task, priority, deadline },
+    });
+  }
+
+  async getTaskQueue() {
+    return this.request('/processor/queue');
+  }
+
+  async getQueuedTask(taskId) {
+    return this.request(`/processor/queue/${encodeURIComponent(taskId)}`);
+  }
+
+  async cancelTask(taskId) {
+    return this.request(`/processor/queue/${encodeURIComponent(taskId)}`, {
+      method: 'DELETE',
+    });
+  }
+
   async getProcessorHistory() {
     return this.request('/processor/history');
   }
@@ -84,10 +147,59 @@ class ApiService {
     });
   }
 
+  async executeQasm(qasm, { shots, seed } = {}) {
+    return this.request('/processor/circuit', {
+      method: 'POST',
+      body: { qasm, shots, seed },
+    });
+  }
+
+  // OpenQASM 2.0 text of a circuit that has already run
+  async getCircuitQasm(circuitId) {
+    const endpoint = `/processor/circuit/${encodeURIComponent(circuitId)}/qasm`;
+    const response = await fetch(`${this.baseURL}${endpoint}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      console.error(`API request failed: ${endpoint}`, error);
+      throw error;
+    }
+
+    return response.text();
+  }
+
   async getMetrics() {
     return this.request('/processor/metrics');
   }
 
+  // Hybrid assembly programs: run one to completion, or load one and step
+  // through it
+  async runProgram(source, { maxSteps, seed } = {}) {
+    return this.request('/processor/program/run', {
+      method: 'POST',
+      body: { source, maxSteps, seed },
+    });
+  }
+
+  async loadProgram(source, { seed } = {}) {
+    return this.request('/processor/program/load', {
+      method: 'POST',
+      body: { source, seed },
+    });
+  }
+
+  async stepProgram(count = 1) {
+    return this.request('/processor/program/step', {
+      method: 'POST',
+      body: { count },
+    });
+  }
+
+  async getProgramState() {
+    return this.request('/processor/program');
+  }
+
   // Memory endpoints
   async getMemoryStatus() {
     return this.request('/memory/status');
@@ -111,6 +223,24 @@ class ApiService {
     });
   }
 
+  async compareCachePolicies(trace, { policies, caches, seed } = {}) {
+    return this.request('/memory/cache/compare', {
+      method: 'POST',
+      body: { trace, policies, caches, seed },
+    });
+  }
+
+  // trace is a File or Blob in text, din or binary format
+  async replayTrace(trace, { format = 'text', seed } = {}) {
+    const query = new URLSearchParams({ format });
+    if (seed !== undefined) query.set('seed', seed);
+    return this.request(`/memory/trace?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': format === 'binary' ? 'application/octet-stream' : 'text/plain' },
+      body: trace,
+    });
+  }
+
   async getAllQuantumStates() {
     return this.request('/memory/quantum/states');
   }
@@ -140,6 +270,62 @@ class ApiService {
     });
   }
 
+  // Simulation endpoints. config: { stepInterval, algorithm, qubits,
+  // memorySize, hybridMode, backend, noise, seed }
+  async startSimulation(config = {}) {
+    return this.request('/simulation/start', {
+      method: 'POST',
+      body: config,
+    });
+  }
+
+  async stopSimulation() {
+    return this.request('/simulation/stop', { method: 'POST' });
+  }
+
+  async getSimulationStatus() {
+    return this.request('/simulation/status');
+  }
+
+  async getSimulationPerformance(limit = 100) {
+    return this.request(`/simulation/performance?limit=${limit}`);
+  }
+
+  async getSimulationAlgorithms() {
+    return this.request('/simulation/algorithms');
+  }
+
+  async pauseSimulation() {
+    return this.request('/simulation/pause', { method: 'POST' });
+  }
+
+  async resumeSimulation() {
+    return this.request('/simulation/resume', { method: 'POST' });
+  }
+
+  async stepSimulation(count = 1) {
+    return this.request('/simulation/step', {
+      method: 'POST',
+      body: { count },
+    });
+  }
+
+  // breakpoint is { type: 'task' } or { type: 'gate', index }
+  async getSimulationBreakpoints() {
+    return this.request('/simulation/breakpoints');
+  }
+
+  async addSimulationBreakpoint(breakpoint) {
+    return this.request('/simulation/breakpoints', {
+      method: 'POST',
+      body: breakpoint,
+    });
+  }
+
+  async removeSimulationBreakpoint(id) {
+    return this.request(`/simulation/breakpoints/${id}`, { method: 'DELETE' });
+  }
+
   // Health check
   async healthCheck() {
     const url = this.baseURL.replace('/api', '') + '/health';
@@ -8,6 +8,7 @@ export const API_CONFIG = {
   
   // Quantum Gates
   export const QUANTUM_GATES = {
+    IDENTITY: { symbol: 'I', name: 'Identity', description: 'Leaves the qubit unchanged' },
     HADAMARD: { symbol: 'H', name: 'Hadamard', description: 'Creates superposition' },
     PAULI_X: { symbol: 'X', name: 'Pauli-X', description: 'Bit flip gate' },
     PAULI_Y: { symbol: 'Y', name: 'Pauli-Y', description: 'Bit and phase flip' },
@@ -15,6 +16,15 @@ export const API_CONFIG = {
     ROTATION_X: { symbol: 'Rx', name: 'X-Rotation', description: 'Rotation around X-axis' },
     ROTATION_Y: { symbol: 'Ry', name: 'Y-Rotation', description: 'Rotation around Y-axis' },
     ROTATION_Z: { symbol: 'Rz', name: 'Z-Rotation', description: 'Rotation around Z-axis' },
+    S: { symbol: 'S', name: 'S', description: 'Quarter-turn phase gate' },
+    S_DAGGER: { symbol: 'S†', name: 'S-Dagger', description: 'Inverse of S' },
+    T: { symbol: 'T', name: 'T', description: 'Eighth-turn phase gate' },
+    T_DAGGER: { symbol: 'T†', name: 'T-Dagger', description: 'Inverse of T' },
+    SQRT_X: { symbol: '√X', name: 'Square-root X', description: 'Half of a bit flip' },
+    PHASE: { symbol: 'P', name: 'Phase', description: 'Phase shift on |1⟩' },
+    U1: { symbol: 'U1', name: 'U1', description: 'Single-parameter phase gate' },
+    U2: { symbol: 'U2', name: 'U2', description: 'Two-parameter single-qubit gate' },
+    U3: { symbol: 'U3', name: 'U3', description: 'General single-qubit gate' },
     CNOT: { symbol: 'CNOT', name: 'Controlled-NOT', description: 'Two-qubit entangling gate' },
     CZ: { symbol: 'CZ', name: 'Controlled-Z', description: 'Controlled phase gate' },
     TOFFOLI: { symbol: 'TOF', name: 'Toffoli', description: 'Three-qubit gate' },